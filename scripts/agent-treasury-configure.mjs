@@ -2,32 +2,39 @@
 /**
  * agent-treasury-configure.mjs — Enable AllowanceModule on Safe and set spending limits
  *
- * Executes four Safe transactions (sequentially):
- *   1. enableModule(AllowanceModule)
- *   2. addDelegate(agentHotWallet) on the AllowanceModule
- *   3. setAllowance(agent, MOR, amount, resetInterval) on the AllowanceModule
- *   4. setAllowance(agent, ETH, amount, resetInterval) on the AllowanceModule
+ * Compares the desired AllowanceModule configuration with on-chain state
+ * (module status, getDelegates, getTokenAllowance) and makes only the
+ * changes needed, one Safe transaction each:
+ *   enableModule, removeDelegate, deleteAllowance, addDelegate, setAllowance
  *
- * Requires threshold of 1 (agent can execute alone during setup).
- * For threshold 2+, use agent-treasury-propose.mjs instead.
+ * The desired state comes from an allowance plan file (see
+ * lib/allowance-plan.mjs and templates/allowance-plan.example.json). A plan
+ * file is authoritative: delegates and allowances not in it are removed.
+ * Without one, the agent gets a MOR and an ETH allowance from the flags or
+ * .env below, and other delegates are left alone.
+ *
+ * At threshold 1 the agent executes each change directly. Above that, all
+ * changes are bundled into one MultiSend transaction, signed by the agent
+ * and proposed to the Safe Transaction Service for co-signing.
  *
  * Usage:
- *   node scripts/agent-treasury-configure.mjs
+ *   node scripts/agent-treasury-configure.mjs plan [--file allowance-plan.json]
+ *   node scripts/agent-treasury-configure.mjs apply [--file allowance-plan.json]
  *   node scripts/agent-treasury-configure.mjs --mor-allowance 100 --eth-allowance 0.1
- *   node scripts/agent-treasury-configure.mjs --dry-run
+ *   node scripts/agent-treasury-configure.mjs --dry-run        (same as plan)
  *
  * Required in ~/morpheus/.env:
  *   SAFE_ADDRESS=0x...
  *
  * Optional in ~/morpheus/.env:
  *   ALLOWANCE_MODULE=0x...        (default: Base deployment)
- *   MOR_DAILY_ALLOWANCE=50        MOR per day (default: 50)
- *   ETH_DAILY_ALLOWANCE=0.05      ETH per day (default: 0.05)
+ *   ALLOWANCE_PLAN_FILE=...       Plan file (default: ~/morpheus/allowance-plan.json if present)
+ *   MOR_DAILY_ALLOWANCE=50        MOR per day without a plan file (default: 50)
+ *   ETH_DAILY_ALLOWANCE=0.05      ETH per day without a plan file (default: 0.05)
  *   SAFE_RPC=https://...          Base RPC URL
  */
 
-import { readFileSync, openSync, closeSync, unlinkSync, constants } from "node:fs";
-import { execFileSync } from "node:child_process";
+import { readFileSync, existsSync, openSync, closeSync, unlinkSync, constants } from "node:fs";
 import { parseArgs } from "node:util";
 import {
   createPublicClient,
@@ -35,21 +42,24 @@ import {
   http,
   formatEther,
   parseEther,
+  formatUnits,
   parseAbi,
-  encodeFunctionData,
   getAddress,
   zeroAddress,
-  keccak256,
-  encodePacked,
-  encodeAbiParameters,
-  parseAbiParameters,
-  toBytes,
-  concat,
-  pad,
-  toHex,
 } from "viem";
 import { base } from "viem/chains";
-import { privateKeyToAccount } from "viem/accounts";
+import { loadAgentAccount, safeSignatureScheme, signerErrorMessage } from "./lib/signer.mjs";
+import { computeSafeTxHash, signSafeTx, verifySafeSignatures } from "./lib/safe-tx.mjs";
+import { encodeMultiSend, multiSendCallOnlyAddress } from "./lib/multisend.mjs";
+import { submitToTxService, getQueuedTransactions, nextFreeNonce } from "./lib/tx-service.mjs";
+import {
+  buildAllowancePlan,
+  loadAllowancePlan,
+  diffAllowances,
+  changeCall,
+  formatChange,
+} from "./lib/allowance-plan.mjs";
+import { createLogger } from "./lib/logger.mjs";
 
 // --- Load .env ---
 const SAFE_DIR = process.env.SAFE_DIR || process.env.MORPHEUS_DIR || `${process.env.HOME}/morpheus`;
@@ -117,15 +127,23 @@ function loadEnv(filepath) {
 loadEnv(`${SAFE_DIR}/.env`);
 
 // --- CLI args ---
-const { values: args } = parseArgs({
+const { values: args, positionals } = parseArgs({
   options: {
+    file: { type: "string" },
     "mor-allowance": { type: "string" },
     "eth-allowance": { type: "string" },
-    "reset-minutes": { type: "string", default: "1440" },
+    "reset-minutes": { type: "string" },
     "dry-run": { type: "boolean", default: false },
   },
+  allowPositionals: true,
 });
 
+const COMMAND = positionals[0] || "apply";
+if (!["plan", "apply"].includes(COMMAND)) {
+  console.error(`[ERROR] Unknown command "${COMMAND}". Use plan or apply.`);
+  process.exit(1);
+}
+
 // --- Configuration ---
 const SAFE_ADDRESS = process.env.SAFE_ADDRESS;
 // SECURITY: Require explicit RPC config. Public RPCs can return manipulated data.
@@ -137,15 +155,6 @@ if (!RPC_URL) {
   process.exit(1);
 }
 
-const KEYCHAIN_ACCOUNT =
-  process.env.SAFE_KEYCHAIN_ACCOUNT || process.env.EVERCLAW_KEYCHAIN_ACCOUNT || "everclaw-agent";
-const KEYCHAIN_SERVICE =
-  process.env.SAFE_KEYCHAIN_SERVICE || process.env.EVERCLAW_KEYCHAIN_SERVICE || "everclaw-wallet-key";
-const KEYCHAIN_DB =
-  process.env.SAFE_KEYCHAIN_DB || process.env.EVERCLAW_KEYCHAIN_DB ||
-  `${process.env.HOME}/Library/Keychains/everclaw.keychain-db`;
-// KEYCHAIN_PASS_FILE removed - auto-unlock via CLI args exposed password in `ps aux`
-
 // Contract addresses (Base mainnet)
 const MOR_TOKEN = "0x7431aDa8a591C955a994a21710752EF9b882b8e3";
 const ALLOWANCE_MODULE =
@@ -159,7 +168,19 @@ const MOR_DAILY_ALLOWANCE = parseEther(
 const ETH_DAILY_ALLOWANCE = parseEther(
   args["eth-allowance"] || process.env.ETH_DAILY_ALLOWANCE || "0.05"
 );
-const RESET_MINUTES = parseInt(args["reset-minutes"], 10); // 1440 = 24 hours
+const RESET_MINUTES = parseInt(args["reset-minutes"] || "1440", 10); // 1440 = 24 hours
+
+// Declarative plan file; replaces the MOR/ETH flags when present
+const DEFAULT_PLAN_FILE = `${SAFE_DIR}/allowance-plan.json`;
+const PLAN_FILE =
+  args.file ||
+  process.env.ALLOWANCE_PLAN_FILE ||
+  (existsSync(DEFAULT_PLAN_FILE) ? DEFAULT_PLAN_FILE : null);
+if (PLAN_FILE && (args["mor-allowance"] || args["eth-allowance"] || args["reset-minutes"])) {
+  console.error(`[ERROR] Allowance flags cannot be combined with a plan file (${PLAN_FILE}).`);
+  console.error("  Edit the plan file instead.");
+  process.exit(1);
+}
 
 // SECURITY: Validate bounds for uint96 (allowance amounts) and uint16 (reset minutes)
 const UINT96_MAX = 2n ** 96n - 1n;
@@ -190,45 +211,111 @@ const SAFE_ABI = parseAbi([
 ]);
 
 const ALLOWANCE_MODULE_ABI = parseAbi([
-  "function addDelegate(address delegate)",
-  "function setAllowance(address delegate, address token, uint96 allowanceAmount, uint16 resetTimeMin, uint32 resetBaseMin)",
   "function getTokenAllowance(address safe, address delegate, address token) view returns (uint256[5])",
-  "function getDelegates(address safe, uint48 start, uint8 pageSize) view returns (address[] results, address next)",
+  "function getDelegates(address safe, uint48 start, uint8 pageSize) view returns (address[] results, uint48 next)",
+  "function getTokens(address safe, address delegate) view returns (address[])",
 ]);
 
-// Safe TX type hash (EIP-712)
-const SAFE_TX_TYPEHASH = keccak256(
-  toBytes(
-    "SafeTx(address to,uint256 value,bytes data,uint8 operation,uint256 safeTxGas,uint256 baseGas,uint256 gasPrice,address gasToken,address refundReceiver,uint256 nonce)"
-  )
-);
+const ERC20_ABI = parseAbi([
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+]);
 
 // --- Helpers ---
-function log(msg) {
-  console.log(`[${new Date().toISOString()}] ${msg}`);
+const log = createLogger({ script: "configure", fields: { safe: SAFE_ADDRESS } });
+
+/**
+ * Current AllowanceModule configuration of the Safe, in the shape
+ * diffAllowances() expects. Deleted allowances (all zero) are left out.
+ */
+async function readAllowanceState(publicClient, safeAddress) {
+  const moduleEnabled = await publicClient.readContract({
+    address: safeAddress,
+    abi: SAFE_ABI,
+    functionName: "isModuleEnabled",
+    args: [ALLOWANCE_MODULE],
+  });
+
+  const addresses = [];
+  let start = 0;
+  do {
+    const [results, next] = await publicClient.readContract({
+      address: ALLOWANCE_MODULE,
+      abi: ALLOWANCE_MODULE_ABI,
+      functionName: "getDelegates",
+      args: [safeAddress, start, 50],
+    });
+    addresses.push(...results);
+    start = Number(next);
+  } while (start !== 0);
+
+  const delegates = new Map();
+  for (const delegate of addresses) {
+    const tokens = await publicClient.readContract({
+      address: ALLOWANCE_MODULE,
+      abi: ALLOWANCE_MODULE_ABI,
+      functionName: "getTokens",
+      args: [safeAddress, delegate],
+    });
+    const allowances = new Map();
+    for (const token of tokens) {
+      // getTokenAllowance returns [amount, spent, resetTimeMin, lastReset, nonce]
+      const [amount, spent, resetTimeMin, lastResetMin] = await publicClient.readContract({
+        address: ALLOWANCE_MODULE,
+        abi: ALLOWANCE_MODULE_ABI,
+        functionName: "getTokenAllowance",
+        args: [safeAddress, delegate, token],
+      });
+      if (amount === 0n && resetTimeMin === 0n) continue;
+      allowances.set(token.toLowerCase(), {
+        token,
+        amount,
+        spent,
+        resetTimeMin: Number(resetTimeMin),
+        lastResetMin: Number(lastResetMin),
+      });
+    }
+    delegates.set(delegate.toLowerCase(), { address: delegate, allowances });
+  }
+
+  return { moduleEnabled, delegates };
 }
 
-function getPrivateKey() {
-  // SECURITY: Keychain must be pre-unlocked. We no longer auto-unlock via password file
-  // because passing passwords via command-line args exposes them in `ps aux` output.
-  // Before running: security unlock-keychain ~/Library/Keychains/everclaw.keychain-db
-  try {
-    return execFileSync(
-      "security",
-      [
-        "find-generic-password",
-        "-a", KEYCHAIN_ACCOUNT,
-        "-s", KEYCHAIN_SERVICE,
-        "-w", KEYCHAIN_DB,
-      ],
-      { encoding: "utf-8", stdio: "pipe" }
-    ).trim();
-  } catch (e) {
-    log(`ERROR: Could not retrieve wallet key from Keychain.`);
-    log(`  Account: ${KEYCHAIN_ACCOUNT}, Service: ${KEYCHAIN_SERVICE}`);
-    log(`  DB: ${KEYCHAIN_DB}`);
-    log(`  Unlock keychain first: security unlock-keychain "${KEYCHAIN_DB}"`);
-    process.exit(1);
+/**
+ * Fill in symbol/decimals for tokens that are only known on-chain.
+ */
+async function describeTokens(publicClient, state, tokenInfo) {
+  for (const { allowances } of state.delegates.values()) {
+    for (const { token } of allowances.values()) {
+      if (tokenInfo.has(token.toLowerCase())) continue;
+      try {
+        const [symbol, decimals] = await Promise.all([
+          publicClient.readContract({ address: token, abi: ERC20_ABI, functionName: "symbol" }),
+          publicClient.readContract({ address: token, abi: ERC20_ABI, functionName: "decimals" }),
+        ]);
+        tokenInfo.set(token.toLowerCase(), { symbol, decimals });
+      } catch {
+        tokenInfo.set(token.toLowerCase(), { symbol: token, decimals: 18 });
+      }
+    }
+  }
+}
+
+function printState(state, tokenInfo) {
+  log(`  Module enabled: ${state.moduleEnabled}`);
+  if (state.delegates.size === 0) {
+    log("  No delegates.");
+  }
+  for (const { address, allowances } of state.delegates.values()) {
+    log(`  Delegate ${address}:`);
+    if (allowances.size === 0) {
+      log("    (no allowances)");
+    }
+    for (const a of allowances.values()) {
+      const { symbol, decimals } = tokenInfo.get(a.token.toLowerCase());
+      const period = a.resetTimeMin === 0 ? "one-time" : `resets every ${a.resetTimeMin}min`;
+      log(`    ${symbol}: ${formatUnits(a.amount, decimals)} allowed, ${formatUnits(a.spent, decimals)} spent, ${period}`);
+    }
   }
 }
 
@@ -260,53 +347,25 @@ async function execSafeTx(
   ]);
 
   // Compute Safe transaction hash (EIP-712)
-  const safeTxHash = keccak256(
-    concat([
-      "0x1901",
-      domainSeparator,
-      keccak256(
-        encodeAbiParameters(
-          parseAbiParameters(
-            "bytes32, address, uint256, bytes32, uint8, uint256, uint256, uint256, address, address, uint256"
-          ),
-          [
-            SAFE_TX_TYPEHASH,
-            to,
-            0n, // value
-            keccak256(data),
-            operation,
-            0n, // safeTxGas
-            0n, // baseGas
-            0n, // gasPrice
-            zeroAddress, // gasToken
-            zeroAddress, // refundReceiver
-            nonce,
-          ]
-        )
-      ),
-    ])
-  );
-
-  // Sign the hash with the agent's key
-  const signature = await account.signMessage({
-    message: { raw: toBytes(safeTxHash) },
+  const txData = { to, value: 0n, data, operation, nonce };
+  const safeTxHash = computeSafeTxHash(domainSeparator, txData);
+
+  // Sign with the agent's key using the signer's scheme (eth_sign or EIP-712)
+  const signature = await signSafeTx(account, {
+    scheme: safeSignatureScheme(),
+    safeTxHash,
+    chainId: publicClient.chain.id,
+    safeAddress,
+    txData,
   });
 
-  // Adjust v value for eth_sign (Safe expects v + 4)
-  // Normalize v to 27/28 first if it's in recovery id format (0/1)
-  const sigBytes = toBytes(signature);
-  let v = sigBytes[64];
-  if (v < 27) {
-    v += 27; // Normalize 0/1 -> 27/28
-  }
-  sigBytes[64] = v + 4; // Add 4 for eth_sign style -> 31/32
-
-  // Sanity check: v should now be 31 or 32
-  if (sigBytes[64] !== 31 && sigBytes[64] !== 32) {
-    throw new Error(`Unexpected signature v value: ${sigBytes[64]}`);
-  }
-
-  const adjustedSig = toHex(sigBytes);
+  // SECURITY: The signature must recover to a current owner before we pay gas
+  const owners = await publicClient.readContract({
+    address: safeAddress,
+    abi: SAFE_ABI,
+    functionName: "getOwners",
+  });
+  await verifySafeSignatures(safeTxHash, [signature], owners);
 
   // Execute
   const txHash = await walletClient.writeContract({
@@ -323,7 +382,7 @@ async function execSafeTx(
       0n, // gasPrice
       zeroAddress, // gasToken
       zeroAddress, // refundReceiver
-      adjustedSig,
+      signature,
     ],
   });
 
@@ -334,6 +393,43 @@ async function execSafeTx(
   return { txHash, receipt, nonce };
 }
 
+/**
+ * Propose calls as one Safe transaction (a MultiSend batch if more than
+ * one) at the next free nonce, signed by the agent. Returns the safeTxHash.
+ */
+async function proposeSafeTx(publicClient, account, safeAddress, calls) {
+  const target = calls.length === 1
+    ? { to: calls[0].to, data: calls[0].data, operation: 0 }
+    : { to: multiSendCallOnlyAddress(), data: encodeMultiSend(calls), operation: 1 };
+
+  const [currentNonce, domainSeparator, owners] = await Promise.all([
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "nonce" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "domainSeparator" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "getOwners" }),
+  ]);
+  const queued = await getQueuedTransactions(safeAddress, currentNonce);
+  const nonce = nextFreeNonce(queued, currentNonce);
+  if (nonce > currentNonce) {
+    log(`Queued after ${queued.length} pending transaction(s): using nonce ${nonce} (Safe nonce: ${currentNonce})`);
+  }
+
+  const txData = { ...target, value: 0n, nonce };
+  const safeTxHash = computeSafeTxHash(domainSeparator, txData);
+  const signature = await signSafeTx(account, {
+    scheme: safeSignatureScheme(),
+    safeTxHash,
+    chainId: publicClient.chain.id,
+    safeAddress,
+    txData,
+  });
+
+  // SECURITY: The signature must recover to a current owner before it is shared
+  await verifySafeSignatures(safeTxHash, [signature], owners);
+
+  await submitToTxService(safeAddress, txData, safeTxHash, signature, account.address);
+  return { safeTxHash, nonce };
+}
+
 // --- Main ---
 async function main() {
   if (!SAFE_ADDRESS) {
@@ -343,21 +439,27 @@ async function main() {
   }
 
   const safeAddress = getAddress(SAFE_ADDRESS);
-  const dryRun = args["dry-run"];
+  const planOnly = COMMAND === "plan" || args["dry-run"];
 
   log("--- Safe configuration ---");
   log(`Safe: ${safeAddress}`);
   log(`AllowanceModule: ${ALLOWANCE_MODULE}`);
-  log(`MOR daily allowance: ${formatEther(MOR_DAILY_ALLOWANCE)} MOR`);
-  log(`ETH daily allowance: ${formatEther(ETH_DAILY_ALLOWANCE)} ETH`);
-  log(`Reset interval: ${RESET_MINUTES} minutes (${RESET_MINUTES / 60}h)`);
+  if (PLAN_FILE) {
+    log(`Allowance plan: ${PLAN_FILE}`);
+  } else {
+    log(`MOR daily allowance: ${formatEther(MOR_DAILY_ALLOWANCE)} MOR`);
+    log(`ETH daily allowance: ${formatEther(ETH_DAILY_ALLOWANCE)} ETH`);
+    log(`Reset interval: ${RESET_MINUTES} minutes (${RESET_MINUTES / 60}h)`);
+  }
 
   // Get agent key
-  let privateKey = getPrivateKey();
-  if (!privateKey.startsWith("0x")) {
-    privateKey = `0x${privateKey}`;
+  let account;
+  try {
+    account = await loadAgentAccount();
+  } catch (e) {
+    log(`ERROR: ${e.message}`);
+    process.exit(1);
   }
-  const account = privateKeyToAccount(privateKey);
   const agentAddress = account.address;
   log(`Agent: ${agentAddress}`);
 
@@ -366,8 +468,30 @@ async function main() {
     transport: http(RPC_URL),
   });
 
+  // Desired state
+  const knownTokens = { MOR: { address: MOR_TOKEN, decimals: 18 } };
+  let plan;
+  try {
+    plan = PLAN_FILE
+      ? loadAllowancePlan(PLAN_FILE, { agentAddress, knownTokens })
+      : buildAllowancePlan(
+          {
+            delegates: {
+              agent: {
+                MOR: { amount: formatEther(MOR_DAILY_ALLOWANCE), resetMinutes: RESET_MINUTES },
+                ETH: { amount: formatEther(ETH_DAILY_ALLOWANCE), resetMinutes: RESET_MINUTES },
+              },
+            },
+          },
+          { agentAddress, knownTokens, prune: false }
+        );
+  } catch (e) {
+    log(`ERROR: Invalid allowance plan: ${e.message}`);
+    process.exit(1);
+  }
+
   // Check current state
-  const [threshold, owners, moduleEnabled] = await Promise.all([
+  const [threshold, owners, state] = await Promise.all([
     publicClient.readContract({
       address: safeAddress,
       abi: SAFE_ABI,
@@ -378,22 +502,35 @@ async function main() {
       abi: SAFE_ABI,
       functionName: "getOwners",
     }),
-    publicClient.readContract({
-      address: safeAddress,
-      abi: SAFE_ABI,
-      functionName: "isModuleEnabled",
-      args: [ALLOWANCE_MODULE],
-    }),
+    readAllowanceState(publicClient, safeAddress),
   ]);
 
+  const tokenInfo = new Map([[zeroAddress, { symbol: "ETH", decimals: 18 }]]);
+  for (const { allowances } of plan.delegates.values()) {
+    for (const [key, a] of allowances) tokenInfo.set(key, { symbol: a.symbol, decimals: a.decimals });
+  }
+  await describeTokens(publicClient, state, tokenInfo);
+
   log(`Threshold: ${threshold}-of-${owners.length}`);
   log(`Owners: ${owners.join(", ")}`);
-  log(`AllowanceModule enabled: ${moduleEnabled}`);
+  log("");
+  log("--- On-chain state ---");
+  printState(state, tokenInfo);
 
-  if (threshold > 1n) {
-    log("ERROR: Threshold is > 1. Use agent-treasury-propose.mjs for multi-sig transactions.");
-    log("Set threshold to 1 during setup, then raise after configuration.");
-    process.exit(1);
+  const changes = diffAllowances(plan, state);
+  log("");
+  log(`--- Plan (${plan.source || "defaults from flags/.env, agent only"}) ---`);
+  if (changes.length === 0) {
+    log("  No changes: on-chain configuration matches the plan.");
+    return;
+  }
+  for (const change of changes) {
+    log(`  ${formatChange(change, tokenInfo)}`);
+  }
+
+  if (planOnly) {
+    log(`${changes.length} change(s). Run "apply" to execute them.`);
+    return;
   }
 
   // Verify agent is an owner
@@ -405,21 +542,18 @@ async function main() {
     process.exit(1);
   }
 
-  if (dryRun) {
-    log("--- DRY RUN --- (showing planned transactions)");
-    if (!moduleEnabled) {
-      log("  TX 1: enableModule(AllowanceModule)");
-    } else {
-      log("  TX 1: SKIP (module already enabled)");
-    }
-    log(`  TX 2: addDelegate(${agentAddress})`);
-    log(
-      `  TX 3: setAllowance(agent, MOR, ${formatEther(MOR_DAILY_ALLOWANCE)}, ${RESET_MINUTES}min)`
-    );
-    log(
-      `  TX 4: setAllowance(agent, ETH, ${formatEther(ETH_DAILY_ALLOWANCE)}, ${RESET_MINUTES}min)`
+  if (threshold > 1n) {
+    // Co-signers are needed: one proposal with every change, in order
+    log("");
+    log(`Threshold is ${threshold}: proposing ${changes.length} change(s) as one transaction...`);
+    const calls = changes.map((change) =>
+      changeCall(change, { safeAddress, moduleAddress: ALLOWANCE_MODULE })
     );
-    log("To execute for real, remove --dry-run flag.");
+    const { safeTxHash, nonce } = await proposeSafeTx(publicClient, account, safeAddress, calls);
+    log(`Proposed (nonce ${nonce}). Safe TX hash: ${safeTxHash}`);
+    log(`  Co-sign in Safe Wallet: https://app.safe.global/transactions/queue?safe=base:${safeAddress}`);
+    log(`  Or from a co-signer host: agent-treasury-propose.mjs confirm --hash ${safeTxHash}`);
+    log('After it executes, run "plan" to confirm the configuration matches.');
     return;
   }
 
@@ -429,36 +563,6 @@ async function main() {
     transport: http(RPC_URL),
   });
 
-  // --- TX 1: Enable AllowanceModule ---
-  if (!moduleEnabled) {
-    log("TX 1/4: Enabling AllowanceModule...");
-    const enableData = encodeFunctionData({
-      abi: SAFE_ABI,
-      functionName: "enableModule",
-      args: [ALLOWANCE_MODULE],
-    });
-
-    const result = await execSafeTx(
-      publicClient,
-      walletClient,
-      account,
-      safeAddress,
-      safeAddress, // to = Safe itself
-      enableData
-    );
-
-    log(
-      `  ${result.receipt.status === "success" ? "OK" : "REVERTED"} tx: ${result.txHash}`
-    );
-
-    if (result.receipt.status !== "success") {
-      log("ERROR: enableModule reverted. Aborting.");
-      process.exit(1);
-    }
-  } else {
-    log("TX 1/4: AllowanceModule already enabled. Skipping.");
-  }
-
   // Wait for RPC state to catch up after previous tx
   const RPC_SETTLE_MS = 5000;
   async function settle() {
@@ -466,146 +570,49 @@ async function main() {
     await new Promise((r) => setTimeout(r, RPC_SETTLE_MS));
   }
 
-  await settle();
-
-  // --- TX 2: Add delegate ---
-  // Check if already registered
-  const [delegates] = await publicClient.readContract({
-    address: ALLOWANCE_MODULE,
-    abi: ALLOWANCE_MODULE_ABI,
-    functionName: "getDelegates",
-    args: [safeAddress, 0, 10],
-  });
-  const alreadyDelegate = delegates.some(
-    (d) => d.toLowerCase() === agentAddress.toLowerCase()
-  );
-
-  if (!alreadyDelegate) {
-    log("TX 2/4: Adding agent as delegate...");
-    const addDelegateData = encodeFunctionData({
-      abi: ALLOWANCE_MODULE_ABI,
-      functionName: "addDelegate",
-      args: [agentAddress],
-    });
-
-    const delegateResult = await execSafeTx(
+  log("");
+  for (const [i, change] of changes.entries()) {
+    if (i > 0) await settle();
+    log(`TX ${i + 1}/${changes.length}: ${formatChange(change, tokenInfo)}`);
+    const call = changeCall(change, { safeAddress, moduleAddress: ALLOWANCE_MODULE });
+    const result = await execSafeTx(
       publicClient,
       walletClient,
       account,
       safeAddress,
-      ALLOWANCE_MODULE,
-      addDelegateData
+      call.to,
+      call.data
     );
 
     log(
-      `  ${delegateResult.receipt.status === "success" ? "OK" : "REVERTED"} tx: ${delegateResult.txHash}`
+      `  ${result.receipt.status === "success" ? "OK" : "REVERTED"} tx: ${result.txHash}`
     );
 
-    if (delegateResult.receipt.status !== "success") {
-      log("ERROR: addDelegate reverted. Aborting.");
+    if (result.receipt.status !== "success") {
+      log(`ERROR: ${change.action} reverted. Aborting (run "plan" to see what is left).`);
       process.exit(1);
     }
-
-    await settle();
-  } else {
-    log("TX 2/4: Agent already registered as delegate. Skipping.");
   }
 
-  // --- TX 3: Set MOR allowance ---
-  log(
-    `TX 3/4: Setting MOR allowance (${formatEther(MOR_DAILY_ALLOWANCE)} MOR / ${RESET_MINUTES}min)...`
-  );
-  const setMorData = encodeFunctionData({
-    abi: ALLOWANCE_MODULE_ABI,
-    functionName: "setAllowance",
-    args: [
-      agentAddress,
-      MOR_TOKEN,
-      MOR_DAILY_ALLOWANCE, // uint96
-      RESET_MINUTES, // uint16
-      0, // resetBaseMin (uint32, start from now)
-    ],
-  });
-
-  const morResult = await execSafeTx(
-    publicClient,
-    walletClient,
-    account,
-    safeAddress,
-    ALLOWANCE_MODULE,
-    setMorData
-  );
-
-  log(
-    `  ${morResult.receipt.status === "success" ? "OK" : "REVERTED"} tx: ${morResult.txHash}`
-  );
-
-  await settle();
-
-  // --- TX 4: Set ETH allowance ---
-  log(
-    `TX 4/4: Setting ETH allowance (${formatEther(ETH_DAILY_ALLOWANCE)} ETH / ${RESET_MINUTES}min)...`
-  );
-  const setEthData = encodeFunctionData({
-    abi: ALLOWANCE_MODULE_ABI,
-    functionName: "setAllowance",
-    args: [
-      agentAddress,
-      zeroAddress, // address(0) = native ETH
-      ETH_DAILY_ALLOWANCE, // uint96
-      RESET_MINUTES, // uint16
-      0, // resetBaseMin
-    ],
-  });
-
-  const ethResult = await execSafeTx(
-    publicClient,
-    walletClient,
-    account,
-    safeAddress,
-    ALLOWANCE_MODULE,
-    setEthData
-  );
-
-  log(
-    `  ${ethResult.receipt.status === "success" ? "OK" : "REVERTED"} tx: ${ethResult.txHash}`
-  );
-
   // --- Verify ---
+  await settle();
   log("");
   log("Verifying configuration...");
-
-  const morAllowance = await publicClient.readContract({
-    address: ALLOWANCE_MODULE,
-    abi: ALLOWANCE_MODULE_ABI,
-    functionName: "getTokenAllowance",
-    args: [safeAddress, agentAddress, MOR_TOKEN],
-  });
-
-  const ethAllowance = await publicClient.readContract({
-    address: ALLOWANCE_MODULE,
-    abi: ALLOWANCE_MODULE_ABI,
-    functionName: "getTokenAllowance",
-    args: [safeAddress, agentAddress, zeroAddress],
-  });
-
-  // getTokenAllowance returns [amount, spent, resetTimeMin, lastReset, nonce]
-  log(`  MOR: ${formatEther(morAllowance[0])} allowed, ${formatEther(morAllowance[1])} spent, resets every ${morAllowance[2]}min`);
-  log(`  ETH: ${formatEther(ethAllowance[0])} allowed, ${formatEther(ethAllowance[1])} spent, resets every ${ethAllowance[2]}min`);
-
-  const isEnabled = await publicClient.readContract({
-    address: safeAddress,
-    abi: SAFE_ABI,
-    functionName: "isModuleEnabled",
-    args: [ALLOWANCE_MODULE],
-  });
-
-  log(`  Module enabled: ${isEnabled}`);
+  const after = await readAllowanceState(publicClient, safeAddress);
+  printState(after, tokenInfo);
+  const remaining = diffAllowances(plan, after);
+  if (remaining.length > 0) {
+    log(`WARNING: ${remaining.length} change(s) still pending after apply:`);
+    for (const change of remaining) {
+      log(`  ${formatChange(change, tokenInfo)}`);
+    }
+    process.exit(1);
+  }
   log("");
   log("Configuration complete. agent-treasury-refill.mjs can now pull funds from this Safe.");
 }
 
 main().catch((e) => {
-  log(`FATAL: ${e.message}`);
+  log(`FATAL: ${signerErrorMessage(e)}`);
   process.exit(1);
 });
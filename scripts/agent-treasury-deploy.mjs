@@ -4,7 +4,7 @@
  *
  * Creates a 1-of-2 Safe with two owners:
  *   1. Owner's personal wallet (passed via --owner or SAFE_OWNER env var)
- *   2. Agent hot wallet (retrieved from macOS Keychain)
+ *   2. Agent hot wallet (loaded from the configured signer backend, see lib/signer.mjs)
  *
  * Initial threshold is 1 so either owner can execute during setup.
  * Raise to 2 after configuration is complete (Step 4).
@@ -13,7 +13,7 @@
  *   node scripts/agent-treasury-deploy.mjs --owner 0xOwnerAddress
  *   node scripts/agent-treasury-deploy.mjs --owner 0xOwnerAddress --threshold 2
  *   node scripts/agent-treasury-deploy.mjs --owner 0xOwnerAddress --agent 0xAgentAddress --dry-run
- *   # --agent bypasses Keychain lookup (dry-run only, for testing on dev machines)
+ *   # --agent bypasses the signer lookup (dry-run only, for testing on dev machines)
  *
  * After deployment, add SAFE_ADDRESS to ~/morpheus/.env
  *
@@ -24,7 +24,6 @@
  */
 
 import { readFileSync } from "node:fs";
-import { execFileSync } from "node:child_process";
 import { parseArgs } from "node:util";
 import {
   createPublicClient,
@@ -37,7 +36,8 @@ import {
   zeroAddress,
 } from "viem";
 import { base } from "viem/chains";
-import { privateKeyToAccount } from "viem/accounts";
+import { loadAgentAccount, signerErrorMessage } from "./lib/signer.mjs";
+import { createLogger } from "./lib/logger.mjs";
 
 // --- Load .env ---
 const SAFE_DIR = process.env.SAFE_DIR || process.env.MORPHEUS_DIR || `${process.env.HOME}/morpheus`;
@@ -90,15 +90,6 @@ if (!RPC_URL) {
   process.exit(1);
 }
 
-const KEYCHAIN_ACCOUNT =
-  process.env.SAFE_KEYCHAIN_ACCOUNT || process.env.EVERCLAW_KEYCHAIN_ACCOUNT || "everclaw-agent";
-const KEYCHAIN_SERVICE =
-  process.env.SAFE_KEYCHAIN_SERVICE || process.env.EVERCLAW_KEYCHAIN_SERVICE || "everclaw-wallet-key";
-const KEYCHAIN_DB =
-  process.env.SAFE_KEYCHAIN_DB || process.env.EVERCLAW_KEYCHAIN_DB ||
-  `${process.env.HOME}/Library/Keychains/everclaw.keychain-db`;
-// KEYCHAIN_PASS_FILE removed - auto-unlock via CLI args exposed password in `ps aux`
-
 // Safe v1.4.1 canonical addresses on Base (8453)
 const SAFE_PROXY_FACTORY = "0x4e1DCf7AD4e460CfD30791CCC4F9c8a4f820ec67";
 const SAFE_L2_SINGLETON = "0x29fcB43b46531BcA003ddC8FCB67FFE91900C762";
@@ -118,33 +109,7 @@ const PROXY_FACTORY_ABI = parseAbi([
 ]);
 
 // --- Helpers ---
-function log(msg) {
-  console.log(`[${new Date().toISOString()}] ${msg}`);
-}
-
-function getPrivateKey() {
-  // SECURITY: Keychain must be pre-unlocked. We no longer auto-unlock via password file
-  // because passing passwords via command-line args exposes them in `ps aux` output.
-  // Before running: security unlock-keychain ~/Library/Keychains/everclaw.keychain-db
-  try {
-    return execFileSync(
-      "security",
-      [
-        "find-generic-password",
-        "-a", KEYCHAIN_ACCOUNT,
-        "-s", KEYCHAIN_SERVICE,
-        "-w", KEYCHAIN_DB,
-      ],
-      { encoding: "utf-8", stdio: "pipe" }
-    ).trim();
-  } catch (e) {
-    log(`ERROR: Could not retrieve wallet key from Keychain.`);
-    log(`  Account: ${KEYCHAIN_ACCOUNT}, Service: ${KEYCHAIN_SERVICE}`);
-    log(`  DB: ${KEYCHAIN_DB}`);
-    log(`  Unlock keychain first: security unlock-keychain "${KEYCHAIN_DB}"`);
-    process.exit(1);
-  }
-}
+const log = createLogger({ script: "deploy" });
 
 // --- Main ---
 async function main() {
@@ -186,15 +151,16 @@ async function main() {
       process.exit(1);
     }
     if (!dryRun) {
-      log("ERROR: --agent flag only works with --dry-run. For real deployment, use Keychain.");
+      log("ERROR: --agent flag only works with --dry-run. For real deployment, configure SAFE_SIGNER.");
       process.exit(1);
     }
   } else {
-    let privateKey = getPrivateKey();
-    if (!privateKey.startsWith("0x")) {
-      privateKey = `0x${privateKey}`;
+    try {
+      account = await loadAgentAccount();
+    } catch (e) {
+      log(`ERROR: ${e.message}`);
+      process.exit(1);
     }
-    account = privateKeyToAccount(privateKey);
     agentAddress = account.address;
   }
 
@@ -346,12 +312,12 @@ async function main() {
     log(`  3. Run agent-treasury-configure.mjs to enable AllowanceModule`);
 
   } catch (e) {
-    log(`ERROR: Deployment failed: ${e.shortMessage || e.message}`);
+    log(`ERROR: Deployment failed: ${signerErrorMessage(e)}`);
     process.exit(1);
   }
 }
 
 main().catch((e) => {
-  log(`FATAL: ${e.message}`);
+  log(`FATAL: ${signerErrorMessage(e)}`);
   process.exit(1);
 });
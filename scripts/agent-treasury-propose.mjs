@@ -9,41 +9,113 @@
  *   propose   -- Propose a raw transaction (target, value, data)
  *   transfer  -- Propose a token or ETH transfer
  *   threshold -- Propose changing the Safe threshold
+ *   owner     -- Propose adding, removing or swapping an owner
+ *   rotate-agent -- Propose replacing the agent key as owner and delegate
+ *   freeze    -- Emergency: remove all allowances/delegates, disable the module
+ *   batch     -- Propose many transfers/calls as one MultiSend transaction
+ *   reject    -- Propose a rejection (cancel) for a queued nonce
+ *   queue     -- Show the queue by nonce, with gaps and conflicts
  *   pending   -- List pending transactions awaiting signatures
  *   confirm   -- Add agent's signature to a pending transaction
+ *   execute   -- Execute a fully-confirmed transaction on-chain (agent relays)
  *
  * Usage:
  *   node scripts/agent-treasury-propose.mjs transfer --token MOR --to 0x... --amount 100
  *   node scripts/agent-treasury-propose.mjs transfer --token ETH --to 0x... --amount 0.5
  *   node scripts/agent-treasury-propose.mjs threshold --value 2
- *   node scripts/agent-treasury-propose.mjs pending
- *   node scripts/agent-treasury-propose.mjs confirm --hash 0x...
+ *   node scripts/agent-treasury-propose.mjs owner add --address 0x... [--threshold N]
+ *   node scripts/agent-treasury-propose.mjs owner remove --address 0x... [--threshold N]
+ *   node scripts/agent-treasury-propose.mjs owner swap --old 0x... --new 0x... [--threshold N]
+ *   node scripts/agent-treasury-propose.mjs rotate-agent --new 0x... [--nonce N]
+ *   node scripts/agent-treasury-propose.mjs freeze [--threshold N] [--reason "..."]
+ *   node scripts/agent-treasury-propose.mjs batch --file payouts.csv [--dry-run]
+ *   node scripts/agent-treasury-propose.mjs reject --nonce 7
+ *   node scripts/agent-treasury-propose.mjs queue
+ *   node scripts/agent-treasury-propose.mjs pending [--json]
+ *   node scripts/agent-treasury-propose.mjs confirm --hash 0x... [--yes]
+ *   node scripts/agent-treasury-propose.mjs execute --hash 0x...
  *   node scripts/agent-treasury-propose.mjs propose --to 0x... --data 0x... --value 0
  *
+ * Proposals take the next free nonce after the pending queue; pass
+ * --nonce N to replace or reorder queued transactions explicitly.
+ * --simulate runs the transaction as the Safe (eth_call with state
+ * overrides) and prints balance/owner/threshold/module changes instead.
+ *
  * Required in ~/morpheus/.env:
  *   SAFE_ADDRESS=0x...
+ *
+ * Optional:
+ *   SAFE_POLICY_FILE=...   Local policy checked before signing
+ *                          (default: ~/morpheus/treasury-policy.json)
+ *   ALERT_WEBHOOK_URL=...  Webhook(s) alerted by freeze
  */
 
 import { readFileSync } from "node:fs";
-import { execFileSync } from "node:child_process";
+import { createInterface } from "node:readline/promises";
 import {
   createPublicClient,
+  createWalletClient,
   http,
   formatEther,
   parseEther,
+  parseUnits,
+  formatUnits,
   parseAbi,
+  decodeFunctionData,
   encodeFunctionData,
   getAddress,
+  isAddressEqual,
   zeroAddress,
-  keccak256,
-  encodeAbiParameters,
-  parseAbiParameters,
-  toBytes,
-  concat,
-  toHex,
+  parseEventLogs,
 } from "viem";
 import { base } from "viem/chains";
-import { privateKeyToAccount } from "viem/accounts";
+import {
+  loadAgentAccount,
+  describeSigner,
+  safeSignatureScheme,
+  signerErrorMessage,
+} from "./lib/signer.mjs";
+import {
+  computeSafeTxHash,
+  signSafeTx,
+  recoverSafeSigner,
+  verifySafeSignatures,
+  txDataFromService,
+  approvedHashSignature,
+  packSignatures,
+} from "./lib/safe-tx.mjs";
+import {
+  encodeMultiSend,
+  decodeMultiSend,
+  multiSendCallOnlyAddress,
+  multiSendAddress,
+} from "./lib/multisend.mjs";
+import {
+  decodeCall,
+  flattenCalls,
+  isErc20Call,
+  formatDecodedCall,
+  delegatecallWarnings,
+  riskLabels,
+  HIGH_RISK_LABELS,
+  decodedCallToJson,
+} from "./lib/calldata.mjs";
+import { loadPolicy, policyWindowHours, checkPolicy, extractOutflows } from "./lib/policy.mjs";
+import { simulateSafeTx, formatSimulation } from "./lib/simulate.mjs";
+import { readBatchFile } from "./lib/batch-file.mjs";
+import {
+  submitToTxService,
+  submitConfirmation,
+  getQueuedTransactions,
+  nextFreeNonce,
+  getRecentTransactions,
+  windowTimestamp,
+  getTransaction,
+} from "./lib/tx-service.mjs";
+import { deliverAlert } from "./lib/alert.mjs";
+import { writeFreezeMarker, freezeFile } from "./lib/freeze.mjs";
+import { stopRefillService } from "./lib/service.mjs";
+import { createLogger } from "./lib/logger.mjs";
 
 // --- Load .env ---
 const SAFE_DIR = process.env.SAFE_DIR || process.env.MORPHEUS_DIR || `${process.env.HOME}/morpheus`;
@@ -86,21 +158,17 @@ if (!RPC_URL) {
   process.exit(1);
 }
 
-// Safe Transaction Service for Base
-const TX_SERVICE_URL =
-  process.env.SAFE_TX_SERVICE || "https://safe-transaction-base.safe.global";
-
-const KEYCHAIN_ACCOUNT =
-  process.env.SAFE_KEYCHAIN_ACCOUNT || process.env.EVERCLAW_KEYCHAIN_ACCOUNT || "everclaw-agent";
-const KEYCHAIN_SERVICE =
-  process.env.SAFE_KEYCHAIN_SERVICE || process.env.EVERCLAW_KEYCHAIN_SERVICE || "everclaw-wallet-key";
-const KEYCHAIN_DB =
-  process.env.SAFE_KEYCHAIN_DB || process.env.EVERCLAW_KEYCHAIN_DB ||
-  `${process.env.HOME}/Library/Keychains/everclaw.keychain-db`;
-// KEYCHAIN_PASS_FILE removed - auto-unlock via CLI args exposed password in `ps aux`
+// Head of the Safe's owner linked list
+const SENTINEL_OWNERS = "0x0000000000000000000000000000000000000001";
 
 // Contract addresses
 const MOR_TOKEN = "0x7431aDa8a591C955a994a21710752EF9b882b8e3";
+const ALLOWANCE_MODULE =
+  process.env.ALLOWANCE_MODULE ||
+  "0xCFbFaC74C26F8647cBDb8c5caf80BB5b32E43134";
+
+// Local policy checked before the agent signs anything (see lib/policy.mjs)
+const POLICY_FILE = process.env.SAFE_POLICY_FILE || `${SAFE_DIR}/treasury-policy.json`;
 
 // --- ABIs ---
 const SAFE_ABI = parseAbi([
@@ -109,173 +177,134 @@ const SAFE_ABI = parseAbi([
   "function getOwners() view returns (address[])",
   "function domainSeparator() view returns (bytes32)",
   "function changeThreshold(uint256 _threshold)",
+  "function addOwnerWithThreshold(address owner, uint256 _threshold)",
+  "function removeOwner(address prevOwner, address owner, uint256 _threshold)",
+  "function swapOwner(address prevOwner, address oldOwner, address newOwner)",
+  "function isModuleEnabled(address module) view returns (bool)",
+  "function getModulesPaginated(address start, uint256 pageSize) view returns (address[] array, address next)",
+  "function disableModule(address prevModule, address module)",
+  "function approvedHashes(address owner, bytes32 hash) view returns (uint256)",
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)",
+  "event ExecutionSuccess(bytes32 indexed txHash, uint256 payment)",
+  "event ExecutionFailure(bytes32 indexed txHash, uint256 payment)",
+]);
+
+const ALLOWANCE_MODULE_ABI = parseAbi([
+  "function addDelegate(address delegate)",
+  "function removeDelegate(address delegate, bool removeAllowances)",
+  "function deleteAllowance(address delegate, address token)",
+  "function setAllowance(address delegate, address token, uint96 allowanceAmount, uint16 resetTimeMin, uint32 resetBaseMin)",
+  "function getDelegates(address safe, uint48 start, uint8 pageSize) view returns (address[] results, uint48 next)",
+  "function getTokens(address safe, address delegate) view returns (address[])",
+  "function getTokenAllowance(address safe, address delegate, address token) view returns (uint256[5])",
 ]);
 
 const ERC20_ABI = parseAbi([
   "function transfer(address to, uint256 amount) returns (bool)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
 ]);
 
-// Safe TX type hash (EIP-712)
-const SAFE_TX_TYPEHASH = keccak256(
-  toBytes(
-    "SafeTx(address to,uint256 value,bytes data,uint8 operation,uint256 safeTxGas,uint256 baseGas,uint256 gasPrice,address gasToken,address refundReceiver,uint256 nonce)"
-  )
-);
-
 // --- Helpers ---
-function log(msg) {
-  console.log(`[${new Date().toISOString()}] ${msg}`);
-}
-
-function getPrivateKey() {
-  // SECURITY: Keychain must be pre-unlocked. We no longer auto-unlock via password file
-  // because passing passwords via command-line args exposes them in `ps aux` output.
-  // Before running: security unlock-keychain ~/Library/Keychains/everclaw.keychain-db
-  try {
-    return execFileSync(
-      "security",
-      [
-        "find-generic-password",
-        "-a", KEYCHAIN_ACCOUNT,
-        "-s", KEYCHAIN_SERVICE,
-        "-w", KEYCHAIN_DB,
-      ],
-      { encoding: "utf-8", stdio: "pipe" }
-    ).trim();
-  } catch (e) {
-    log(`ERROR: Could not retrieve wallet key from Keychain.`);
-    log(`  Account: ${KEYCHAIN_ACCOUNT}, Service: ${KEYCHAIN_SERVICE}`);
-    log(`  Unlock keychain first: security unlock-keychain "${KEYCHAIN_DB}"`);
-    process.exit(1);
-  }
-}
-
-/**
- * Compute the Safe transaction hash (EIP-712).
- */
-function computeSafeTxHash(domainSeparator, txData) {
-  return keccak256(
-    concat([
-      "0x1901",
-      domainSeparator,
-      keccak256(
-        encodeAbiParameters(
-          parseAbiParameters(
-            "bytes32, address, uint256, bytes32, uint8, uint256, uint256, uint256, address, address, uint256"
-          ),
-          [
-            SAFE_TX_TYPEHASH,
-            txData.to,
-            txData.value,
-            keccak256(txData.data),
-            txData.operation,
-            0n, // safeTxGas
-            0n, // baseGas
-            0n, // gasPrice
-            zeroAddress, // gasToken
-            zeroAddress, // refundReceiver
-            txData.nonce,
-          ]
-        )
-      ),
-    ])
-  );
-}
+// With --json (pending), stdout carries only the JSON; logs go to stderr
+const JSON_OUTPUT = process.argv.includes("--json");
+const log = createLogger({ script: "propose", fields: { safe: SAFE_ADDRESS }, stderr: JSON_OUTPUT });
 
 /**
- * Sign a Safe transaction hash with the agent key (eth_sign style).
+ * Sign a Safe transaction with the agent key using the signer's scheme
+ * (eth_sign or EIP-712), then check the signature recovers to a current
+ * owner before anything is sent to the Transaction Service.
  */
-async function signSafeTxHash(account, safeTxHash) {
-  const signature = await account.signMessage({
-    message: { raw: toBytes(safeTxHash) },
+async function signSafeTxHash(publicClient, account, safeAddress, safeTxHash, txData) {
+  const scheme = safeSignatureScheme();
+  const signature = await signSafeTx(account, {
+    scheme,
+    safeTxHash,
+    chainId: publicClient.chain.id,
+    safeAddress,
+    txData,
   });
 
-  // Adjust v for eth_sign (Safe expects v + 4)
-  // Normalize v to 27/28 first if it's in recovery id format (0/1)
-  const sigBytes = toBytes(signature);
-  let v = sigBytes[64];
-  if (v < 27) {
-    v += 27; // Normalize 0/1 -> 27/28
-  }
-  sigBytes[64] = v + 4; // Add 4 for eth_sign style -> 31/32
-
-  // Sanity check: v should now be 31 or 32
-  if (sigBytes[64] !== 31 && sigBytes[64] !== 32) {
-    throw new Error(`Unexpected signature v value after adjustment: ${sigBytes[64]} (original: ${v - (v >= 27 ? 0 : 27)})`);
-  }
+  const owners = await publicClient.readContract({
+    address: safeAddress,
+    abi: SAFE_ABI,
+    functionName: "getOwners",
+  });
+  await verifySafeSignatures(safeTxHash, [signature], owners);
+  log(`Signed (${scheme}) as owner ${account.address}`);
 
-  return toHex(sigBytes);
+  return signature;
 }
 
 /**
- * Submit a proposed transaction to the Safe Transaction Service.
+ * Parse a --nonce argument (non-negative integer).
  */
-async function submitToTxService(safeAddress, txData, safeTxHash, signature, senderAddress) {
-  const url = `${TX_SERVICE_URL}/api/v1/safes/${safeAddress}/multisig-transactions/`;
-
-  const body = {
-    to: txData.to,
-    value: txData.value.toString(),
-    data: txData.data,
-    operation: txData.operation,
-    safeTxGas: "0",
-    baseGas: "0",
-    gasPrice: "0",
-    gasToken: zeroAddress,
-    refundReceiver: zeroAddress,
-    nonce: txData.nonce.toString(),
-    contractTransactionHash: safeTxHash,
-    sender: senderAddress,
-    signature: signature,
-  };
-
-  const response = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Transaction Service error (${response.status}): ${errorText}`);
+function parseNonce(value) {
+  if (!/^\d+$/.test(String(value))) {
+    log(`ERROR: Invalid --nonce "${value}". Must be a non-negative integer.`);
+    process.exit(1);
   }
-
-  return response.status;
+  return BigInt(value);
 }
 
 /**
- * Submit a confirmation (signature) for an existing pending transaction.
+ * A rejection is the zero-value, empty-data call from the Safe to itself
+ * that the Safe Wallet app uses to cancel a queued transaction.
  */
-async function submitConfirmation(safeTxHash, signature) {
-  const url = `${TX_SERVICE_URL}/api/v1/multisig-transactions/${safeTxHash}/confirmations/`;
-
-  const response = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ signature }),
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Confirmation error (${response.status}): ${errorText}`);
-  }
-
-  return response.status;
+function isRejection(tx, safeAddress) {
+  return (
+    getAddress(tx.to) === safeAddress &&
+    BigInt(tx.value) === 0n &&
+    (!tx.data || tx.data === "0x") &&
+    Number(tx.operation) === 0
+  );
 }
 
 /**
- * Fetch pending transactions from the Transaction Service.
+ * Check a transaction against the local policy before signing it. Rolling
+ * windows count other transactions that executed successfully or are still
+ * queued; replaced and failed ones are ignored. Exits with the violations
+ * as JSON on stderr if anything is refused.
  */
-async function getPendingTransactions(safeAddress) {
-  const url = `${TX_SERVICE_URL}/api/v1/safes/${safeAddress}/multisig-transactions/?executed=false&limit=10`;
+async function enforcePolicy(publicClient, safeAddress, txData, safeTxHash) {
+  let policy;
+  try {
+    policy = loadPolicy(POLICY_FILE, {
+      knownTokens: { MOR: { address: MOR_TOKEN, decimals: 18 } },
+    });
+  } catch (e) {
+    log(`ERROR: Invalid policy file ${POLICY_FILE}: ${e.message}`);
+    process.exit(1);
+  }
 
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch pending txs: ${response.status}`);
+  const history = [];
+  const windowHours = policyWindowHours(policy);
+  if (windowHours > 0) {
+    const currentNonce = await publicClient.readContract({
+      address: safeAddress,
+      abi: SAFE_ABI,
+      functionName: "nonce",
+    });
+    const recent = await getRecentTransactions(safeAddress, new Date(Date.now() - windowHours * 3600_000));
+    for (const tx of recent) {
+      if (safeTxHash && tx.safeTxHash.toLowerCase() === safeTxHash.toLowerCase()) continue;
+      const counts = tx.isExecuted ? tx.isSuccessful !== false : BigInt(tx.nonce) >= currentNonce;
+      if (!counts) continue;
+      history.push({ decoded: decodeCall(txDataFromService(tx)), at: windowTimestamp(tx) });
+    }
   }
 
-  const data = await response.json();
-  return data.results || [];
+  const source = policy.source || "built-in defaults";
+  const violations = checkPolicy(policy, { decoded: decodeCall(txData), safeAddress, history });
+  if (violations.length > 0) {
+    log(`ERROR: Policy violation(s), refusing to sign (policy: ${source}):`);
+    for (const v of violations) {
+      log(`  - [${v.rule}] ${v.message}`);
+    }
+    console.error(JSON.stringify({ ok: false, policy: source, safeTxHash: safeTxHash || null, violations }, null, 2));
+    process.exit(1);
+  }
+  log(`Policy check passed (${source}).`);
 }
 
 // --- Commands ---
@@ -294,29 +323,52 @@ async function cmdPropose(publicClient, account, safeAddress, targetArgs) {
 
   const operation = targetArgs.operation || 0;
 
-  const [nonce, domainSeparator, pendingTxs] = await Promise.all([
+  const [currentNonce, domainSeparator] = await Promise.all([
     publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "nonce" }),
     publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "domainSeparator" }),
-    getPendingTransactions(safeAddress),
   ]);
+  const queued = await getQueuedTransactions(safeAddress, currentNonce);
+  const nextFree = nextFreeNonce(queued, currentNonce);
+
+  let nonce;
+  if (targetArgs.nonce !== undefined) {
+    nonce = parseNonce(targetArgs.nonce);
+    if (nonce < currentNonce) {
+      log(`ERROR: Nonce ${nonce} is already used on-chain (current Safe nonce: ${currentNonce})`);
+      process.exit(1);
+    }
 
-  // SECURITY: Check for nonce conflicts with pending transactions
-  const conflictingTx = pendingTxs.find(tx => BigInt(tx.nonce) === nonce);
-  if (conflictingTx) {
-    log(`ERROR: Pending transaction already exists at nonce ${nonce}:`);
-    log(`  Safe TX hash: ${conflictingTx.safeTxHash}`);
-    log(`  To: ${conflictingTx.to}`);
-    log(`  Value: ${formatEther(BigInt(conflictingTx.value))} ETH`);
-    log("");
-    log("Options:");
-    log("  1. Execute or reject the pending tx first");
-    log("  2. Use 'confirm --hash <safeTxHash>' to co-sign the existing tx");
-    process.exit(1);
+    // SECURITY: Make nonce conflicts explicit -- only one tx per nonce can execute
+    const conflicting = queued.filter((tx) => BigInt(tx.nonce) === nonce);
+    if (conflicting.length > 0) {
+      log(`WARNING: ${conflicting.length} pending transaction(s) already use nonce ${nonce}; only one can execute:`);
+      for (const tx of conflicting) {
+        log(`  ${tx.safeTxHash} -> ${tx.to}${isRejection(tx, safeAddress) ? " (rejection)" : ""}`);
+      }
+    }
+    if (nonce > nextFree) {
+      log(`WARNING: Nonce ${nonce} leaves a gap; it cannot execute until nonces ${nextFree}..${nonce - 1n} are used.`);
+    }
+  } else {
+    nonce = nextFree;
+    if (nonce > currentNonce) {
+      log(`Queued after ${queued.length} pending transaction(s): using nonce ${nonce} (Safe nonce: ${currentNonce})`);
+    }
   }
 
   const txData = { to, value, data, operation, nonce };
+  const policyCheck = () => targetArgs.skipPolicy
+    ? log("Policy check skipped: freeze only removes spending power.")
+    : enforcePolicy(publicClient, safeAddress, txData);
+  if (targetArgs.simulate) {
+    await printSimulation(publicClient, safeAddress, txData);
+    await policyCheck();
+    log("--- SIMULATION ONLY --- (not signed or proposed)");
+    return;
+  }
+  await policyCheck();
   const safeTxHash = computeSafeTxHash(domainSeparator, txData);
-  const signature = await signSafeTxHash(account, safeTxHash);
+  const signature = await signSafeTxHash(publicClient, account, safeAddress, safeTxHash, txData);
 
   log(`Safe TX hash: ${safeTxHash}`);
   log(`Submitting to Transaction Service...`);
@@ -331,6 +383,7 @@ async function cmdPropose(publicClient, account, safeAddress, targetArgs) {
 
   log(`Submitted (${status}). Waiting for co-signatures in Safe Wallet app.`);
   log(`  View: https://app.safe.global/transactions/queue?safe=base:${safeAddress}`);
+  return safeTxHash;
 }
 
 async function cmdTransfer(publicClient, account, safeAddress, transferArgs) {
@@ -369,6 +422,8 @@ async function cmdTransfer(publicClient, account, safeAddress, transferArgs) {
     to: txTo,
     value: txValue.toString(),
     data: txData,
+    nonce: transferArgs.nonce,
+    simulate: transferArgs.simulate,
   });
 }
 
@@ -397,12 +452,815 @@ async function cmdThreshold(publicClient, account, safeAddress, thresholdArgs) {
     to: safeAddress,
     value: "0",
     data,
+    nonce: thresholdArgs.nonce,
+    simulate: thresholdArgs.simulate,
+  });
+}
+
+/**
+ * The owner that points to `owner` in the Safe's linked list, which
+ * removeOwner/swapOwner need as prevOwner. getOwners() returns the list in
+ * link order, so it is the previous entry (or the sentinel for the first).
+ */
+function prevOwnerOf(owners, owner) {
+  const index = owners.findIndex((o) => o.toLowerCase() === owner.toLowerCase());
+  if (index === -1) {
+    throw new Error(`${owner} is not an owner of this Safe`);
+  }
+  return index === 0 ? SENTINEL_OWNERS : owners[index - 1];
+}
+
+/**
+ * The module that points to `module` in the Safe's linked list, which
+ * disableModule needs as prevModule. Pages through getModulesPaginated until
+ * the module is found; returns null if it is not in the list.
+ */
+async function prevModuleOf(publicClient, safeAddress, module) {
+  let start = SENTINEL_OWNERS;
+  let prev = SENTINEL_OWNERS;
+  for (;;) {
+    const [page, next] = await publicClient.readContract({
+      address: safeAddress,
+      abi: SAFE_ABI,
+      functionName: "getModulesPaginated",
+      args: [start, 100n],
+    });
+    for (const m of page) {
+      if (isAddressEqual(m, module)) return prev;
+      prev = m;
+    }
+    if (isAddressEqual(next, SENTINEL_OWNERS) || isAddressEqual(next, zeroAddress)) return null;
+    if (page.length === 0 || !isAddressEqual(page[page.length - 1], next)) {
+      // Safe < 1.4 returns the first module of the next page as `next` and
+      // starts listing after it, so it is never in any page
+      if (isAddressEqual(next, module)) return prev;
+      prev = next;
+    }
+    start = next;
+  }
+}
+
+async function cmdOwner(publicClient, account, safeAddress, action, ownerArgs) {
+  const [owners, currentThreshold] = await Promise.all([
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "getOwners" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "getThreshold" }),
+  ]);
+  const isOwner = (a) => owners.some((o) => o.toLowerCase() === a.toLowerCase());
+  const isAgent = (a) => a.toLowerCase() === account.address.toLowerCase();
+
+  let threshold = null;
+  if (ownerArgs.threshold !== undefined) {
+    threshold = parseInt(ownerArgs.threshold, 10);
+    if (Number.isNaN(threshold)) {
+      log("ERROR: --threshold must be a number");
+      process.exit(1);
+    }
+  }
+
+  let newOwners, calls, description;
+  try {
+    switch (action) {
+      case "add": {
+        const owner = getAddress(ownerArgs.address);
+        if (isOwner(owner)) throw new Error(`${owner} is already an owner`);
+        newOwners = [owner, ...owners];
+        threshold ??= Number(currentThreshold);
+        calls = [{
+          to: safeAddress,
+          data: encodeFunctionData({
+            abi: SAFE_ABI,
+            functionName: "addOwnerWithThreshold",
+            args: [owner, BigInt(threshold)],
+          }),
+        }];
+        description = `Add owner ${owner}`;
+        break;
+      }
+      case "remove": {
+        const owner = getAddress(ownerArgs.address);
+        const prevOwner = prevOwnerOf(owners, owner);
+        newOwners = owners.filter((o) => o.toLowerCase() !== owner.toLowerCase());
+        threshold ??= Math.min(Number(currentThreshold), newOwners.length);
+        calls = [{
+          to: safeAddress,
+          data: encodeFunctionData({
+            abi: SAFE_ABI,
+            functionName: "removeOwner",
+            args: [prevOwner, owner, BigInt(threshold)],
+          }),
+        }];
+        description = `Remove owner ${owner} (prevOwner ${prevOwner})`;
+        break;
+      }
+      case "swap": {
+        const oldOwner = getAddress(ownerArgs.old);
+        const newOwner = getAddress(ownerArgs.new);
+        const prevOwner = prevOwnerOf(owners, oldOwner);
+        if (isOwner(newOwner)) throw new Error(`${newOwner} is already an owner`);
+        newOwners = owners.map((o) => (o.toLowerCase() === oldOwner.toLowerCase() ? newOwner : o));
+        calls = [{
+          to: safeAddress,
+          data: encodeFunctionData({
+            abi: SAFE_ABI,
+            functionName: "swapOwner",
+            args: [prevOwner, oldOwner, newOwner],
+          }),
+        }];
+        // swapOwner keeps the threshold; a change needs a second call in the same batch
+        if (threshold !== null && threshold !== Number(currentThreshold)) {
+          calls.push({
+            to: safeAddress,
+            data: encodeFunctionData({
+              abi: SAFE_ABI,
+              functionName: "changeThreshold",
+              args: [BigInt(threshold)],
+            }),
+          });
+        }
+        threshold ??= Number(currentThreshold);
+        description = `Swap owner ${oldOwner} -> ${newOwner} (prevOwner ${prevOwner})`;
+        break;
+      }
+      default:
+        throw new Error(`Unknown owner action "${action}". Use add, remove or swap.`);
+    }
+  } catch (e) {
+    log(`ERROR: ${e.shortMessage || e.message}`);
+    process.exit(1);
+  }
+
+  // SECURITY: Refuse changes that would lock the Safe or hand it to the agent alone
+  if (threshold < 1 || threshold > newOwners.length) {
+    log(`ERROR: Threshold ${threshold} is impossible with ${newOwners.length} owner(s) -- the Safe would be locked.`);
+    process.exit(1);
+  }
+  if (!newOwners.some((o) => !isAgent(o))) {
+    log("ERROR: This would remove the last human owner, leaving only the agent key. Refusing.");
+    process.exit(1);
+  }
+
+  log(`Proposing: ${description}`);
+  log(`  Owners:    ${owners.length} -> ${newOwners.length}`);
+  log(`  Threshold: ${currentThreshold}-of-${owners.length} -> ${threshold}-of-${newOwners.length}`);
+  if (ownerArgs.threshold === undefined) {
+    log("  (pass --threshold N to change the threshold in the same transaction)");
+  }
+  if (threshold === 1 && newOwners.some(isAgent)) {
+    log("  WARNING: With threshold 1 the agent key alone can move all Safe funds.");
+  }
+
+  const target = calls.length === 1
+    ? { to: safeAddress, value: "0", data: calls[0].data }
+    : { to: multiSendCallOnlyAddress(), value: "0", data: encodeMultiSend(calls), operation: 1 };
+  await cmdPropose(publicClient, account, safeAddress, {
+    ...target,
+    nonce: ownerArgs.nonce,
+    simulate: ownerArgs.simulate,
+  });
+}
+
+/**
+ * Every AllowanceModule delegate of the Safe (getDelegates is paginated).
+ */
+async function getAllDelegates(publicClient, safeAddress) {
+  const delegates = [];
+  let start = 0;
+  do {
+    const [results, next] = await publicClient.readContract({
+      address: ALLOWANCE_MODULE,
+      abi: ALLOWANCE_MODULE_ABI,
+      functionName: "getDelegates",
+      args: [safeAddress, start, 50],
+    });
+    delegates.push(...results);
+    start = Number(next);
+  } while (start !== 0);
+  return delegates;
+}
+
+/**
+ * A delegate's configured allowances, one per token that still has a limit.
+ * getTokenAllowance returns [amount, spent, resetTimeMin, lastResetMin, nonce].
+ */
+async function getDelegateAllowances(publicClient, safeAddress, delegate) {
+  const tokens = await publicClient.readContract({
+    address: ALLOWANCE_MODULE,
+    abi: ALLOWANCE_MODULE_ABI,
+    functionName: "getTokens",
+    args: [safeAddress, delegate],
+  });
+  const allowances = [];
+  for (const token of tokens) {
+    const [amount, spent, resetTimeMin, lastResetMin] = await publicClient.readContract({
+      address: ALLOWANCE_MODULE,
+      abi: ALLOWANCE_MODULE_ABI,
+      functionName: "getTokenAllowance",
+      args: [safeAddress, delegate, token],
+    });
+    if (amount === 0n && resetTimeMin === 0n) continue; // deleted allowance
+    allowances.push({ token, amount, spent, resetTimeMin, lastResetMin });
+  }
+  return allowances;
+}
+
+/**
+ * Steps for moving the signer backend over to the rotated key.
+ */
+function rotationChecklist(oldAgent, newAgent, queuedByOld) {
+  const signer = describeSigner();
+  const steps = ["Get the rotation co-signed and executed (check with: pending, then status)."];
+  switch (signer.backend) {
+    case "keychain":
+      steps.push(
+        `Replace the Keychain item: security add-generic-password -U -a ${signer.account} -s ${signer.service} -w <new key> ${signer.db}`
+      );
+      break;
+    case "keystore":
+      steps.push(
+        `Create a keystore for ${newAgent}, point SAFE_KEYSTORE_FILE at it (currently ${signer.file || "unset"}) and update its passphrase file.`
+      );
+      break;
+    case "fd":
+      steps.push(`Replace the key your secret manager pipes into fd ${signer.fd || "SAFE_KEY_FD"}.`);
+      break;
+    case "remote":
+      steps.push(
+        `Import the new key into the remote signer (${signer.url || "SAFE_SIGNER_URL"}), set SAFE_SIGNER_ADDRESS=${newAgent} and update any approval rules that name ${oldAgent}.`
+      );
+      break;
+    default:
+      steps.push(`Provision ${newAgent} in the "${signer.backend}" signer backend.`);
+  }
+  steps.push(
+    `Move the hot wallet balance (ETH and MOR) from ${oldAgent} to ${newAgent}; the refill daemon only tops up the new address.`,
+    "Restart the refill service so it loads the new key (launchctl kickstart -k, systemctl --user restart safe-agent-treasury-refill, or rerun install.sh).",
+    "Run agent-treasury-status.mjs and check the new key is listed as owner and delegate with the expected limits."
+  );
+  if (queuedByOld > 0) {
+    steps.push(
+      `${queuedByOld} queued transaction(s) carry the old key's signature, which stops counting once it is no longer an owner; re-confirm them with the new key or reject them.`
+    );
+  }
+  steps.push(`Destroy every copy of the old key ${oldAgent} (backups included).`);
+  return steps;
+}
+
+async function cmdRotateAgent(publicClient, account, safeAddress, rotateArgs) {
+  let oldAgent, newAgent;
+  try {
+    oldAgent = getAddress(rotateArgs.old || account.address);
+    newAgent = getAddress(rotateArgs.new);
+  } catch (e) {
+    log(`ERROR: ${e.shortMessage || e.message}`);
+    process.exit(1);
+  }
+  if (oldAgent === newAgent) {
+    log("ERROR: --new is the current agent address");
+    process.exit(1);
+  }
+
+  const [owners, delegates] = await Promise.all([
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "getOwners" }),
+    getAllDelegates(publicClient, safeAddress),
+  ]);
+  if (owners.some((o) => o.toLowerCase() === newAgent.toLowerCase())) {
+    log(`ERROR: ${newAgent} is already an owner`);
+    process.exit(1);
+  }
+  if (!owners.some((o) => o.toLowerCase() === oldAgent.toLowerCase())) {
+    log(`ERROR: ${oldAgent} is not an owner of this Safe; nothing to rotate.`);
+    process.exit(1);
+  }
+
+  // SECURITY: One batch, so there is never a moment where the old key is
+  // still a delegate or owner after the new one has been added (or vice versa)
+  const calls = [{
+    to: safeAddress,
+    data: encodeFunctionData({
+      abi: SAFE_ABI,
+      functionName: "swapOwner",
+      args: [prevOwnerOf(owners, oldAgent), oldAgent, newAgent],
+    }),
+  }];
+
+  const isDelegate = delegates.some((d) => d.toLowerCase() === oldAgent.toLowerCase());
+  const allowances = isDelegate ? await getDelegateAllowances(publicClient, safeAddress, oldAgent) : [];
+  if (isDelegate) {
+    calls.push(
+      {
+        to: ALLOWANCE_MODULE,
+        data: encodeFunctionData({
+          abi: ALLOWANCE_MODULE_ABI,
+          functionName: "removeDelegate",
+          args: [oldAgent, true],
+        }),
+      },
+      {
+        to: ALLOWANCE_MODULE,
+        data: encodeFunctionData({
+          abi: ALLOWANCE_MODULE_ABI,
+          functionName: "addDelegate",
+          args: [newAgent],
+        }),
+      }
+    );
+    for (const a of allowances) {
+      calls.push({
+        to: ALLOWANCE_MODULE,
+        data: encodeFunctionData({
+          abi: ALLOWANCE_MODULE_ABI,
+          functionName: "setAllowance",
+          // Passing lastResetMin as resetBaseMin keeps the reset schedule (the
+          // module divides by resetTimeMin, so one-time allowances pass 0)
+          args: [
+            newAgent,
+            a.token,
+            a.amount,
+            Number(a.resetTimeMin),
+            a.resetTimeMin > 0n ? Number(a.lastResetMin) : 0,
+          ],
+        }),
+      });
+    }
+  }
+
+  log(`Rotating agent key ${oldAgent} -> ${newAgent}`);
+  log(`  Owner:     swapOwner (threshold unchanged)`);
+  if (isDelegate) {
+    log(`  Delegate:  removeDelegate(old) + addDelegate(new)`);
+    const tokens = new Map();
+    for (const a of allowances) {
+      const info = a.token === zeroAddress
+        ? { symbol: "ETH", decimals: 18 }
+        : await resolveToken(publicClient, a.token, tokens);
+      const reset = a.resetTimeMin > 0n ? `every ${a.resetTimeMin}min` : "one-time";
+      log(`  Allowance: ${formatUnits(a.amount, info.decimals)} ${info.symbol} ${reset} (${formatUnits(a.spent, info.decimals)} spent by old key; new key starts at 0)`);
+    }
+    if (allowances.length === 0) {
+      log("  Allowance: none configured for the old key");
+    }
+  } else {
+    log(`  Delegate:  ${oldAgent} is not an AllowanceModule delegate; only the owner is swapped`);
+  }
+  if (rotateArgs.nonce === undefined) {
+    log("  (if the old key may be compromised, pass --nonce <current Safe nonce> to execute ahead of the queue)");
+  }
+
+  const currentNonce = await publicClient.readContract({
+    address: safeAddress,
+    abi: SAFE_ABI,
+    functionName: "nonce",
+  });
+  const queued = await getQueuedTransactions(safeAddress, currentNonce);
+  const queuedByOld = queued.filter((tx) =>
+    (tx.confirmations || []).some((c) => c.owner.toLowerCase() === oldAgent.toLowerCase())
+  ).length;
+
+  await cmdPropose(publicClient, account, safeAddress, {
+    to: multiSendCallOnlyAddress(),
+    value: "0",
+    data: encodeMultiSend(calls),
+    operation: 1,
+    nonce: rotateArgs.nonce,
+    simulate: rotateArgs.simulate,
+  });
+
+  log("");
+  log("Signer migration checklist:");
+  rotationChecklist(oldAgent, newAgent, queuedByOld).forEach((step, i) => log(`  ${i + 1}. ${step}`));
+}
+
+/**
+ * Stop local refills: write the freeze marker the refill script checks and
+ * stop the launchd job or systemd units so it is not started again.
+ */
+function stopRefillDaemon(record) {
+  writeFreezeMarker(SAFE_DIR, record);
+  log(`Refill frozen: wrote ${freezeFile(SAFE_DIR)}`);
+  log(stopRefillService());
+}
+
+async function cmdFreeze(publicClient, account, safeAddress, freezeArgs) {
+  const [owners, threshold, currentNonce, domainSeparator, moduleEnabled, delegates] = await Promise.all([
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "getOwners" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "getThreshold" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "nonce" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "domainSeparator" }),
+    publicClient.readContract({
+      address: safeAddress,
+      abi: SAFE_ABI,
+      functionName: "isModuleEnabled",
+      args: [ALLOWANCE_MODULE],
+    }),
+    getAllDelegates(publicClient, safeAddress),
+  ]);
+
+  let newThreshold = null;
+  if (freezeArgs.threshold !== undefined) {
+    newThreshold = parseInt(freezeArgs.threshold, 10);
+    if (Number(threshold) >= owners.length) {
+      log(`ERROR: Threshold is already ${threshold}-of-${owners.length}; it cannot be raised without adding owners.`);
+      process.exit(1);
+    }
+    if (Number.isNaN(newThreshold) || newThreshold <= Number(threshold) || newThreshold > owners.length) {
+      log(`ERROR: --threshold must raise the threshold: between ${Number(threshold) + 1} and ${owners.length} (owners)`);
+      process.exit(1);
+    }
+  }
+
+  const reason = freezeArgs.reason && freezeArgs.reason !== "true" ? freezeArgs.reason : null;
+  if (!freezeArgs.simulate) {
+    // Local first: it takes effect immediately, whatever happens on-chain
+    stopRefillDaemon({ frozenAt: new Date().toISOString(), reason, safe: safeAddress });
+  }
+
+  // Remove every delegate's allowances and the delegates themselves
+  const calls = [];
+  for (const delegate of delegates) {
+    const tokens = await publicClient.readContract({
+      address: ALLOWANCE_MODULE,
+      abi: ALLOWANCE_MODULE_ABI,
+      functionName: "getTokens",
+      args: [safeAddress, delegate],
+    });
+    for (const token of tokens) {
+      calls.push({
+        to: ALLOWANCE_MODULE,
+        data: encodeFunctionData({
+          abi: ALLOWANCE_MODULE_ABI,
+          functionName: "deleteAllowance",
+          args: [delegate, token],
+        }),
+      });
+    }
+    calls.push({
+      to: ALLOWANCE_MODULE,
+      data: encodeFunctionData({
+        abi: ALLOWANCE_MODULE_ABI,
+        functionName: "removeDelegate",
+        args: [delegate, true],
+      }),
+    });
+    log(`  Delegate ${delegate}: delete ${tokens.length} allowance(s), remove delegate`);
+  }
+
+  let moduleDisabled = false;
+  if (moduleEnabled) {
+    const prevModule = await prevModuleOf(publicClient, safeAddress, ALLOWANCE_MODULE);
+    if (prevModule === null) {
+      // A disableModule with the wrong prevModule reverts the whole batch
+      log("  WARNING: AllowanceModule reported enabled but not found in the module list; not disabling it. Disable it manually.");
+    } else {
+      calls.push({
+        to: safeAddress,
+        data: encodeFunctionData({
+          abi: SAFE_ABI,
+          functionName: "disableModule",
+          args: [prevModule, getAddress(ALLOWANCE_MODULE)],
+        }),
+      });
+      moduleDisabled = true;
+      log("  AllowanceModule: disable");
+    }
+  }
+  if (newThreshold !== null) {
+    calls.push({
+      to: safeAddress,
+      data: encodeFunctionData({
+        abi: SAFE_ABI,
+        functionName: "changeThreshold",
+        args: [BigInt(newThreshold)],
+      }),
+    });
+    log(`  Threshold: ${threshold} -> ${newThreshold}`);
+  }
+
+  // Every freeze is announced, so this skips the dedup of sendAlert()
+  const alert = async (message) => {
+    if (freezeArgs.simulate) return;
+    const { delivered, routed } = await deliverAlert({ severity: "critical", message });
+    log(routed === 0 ? "No alert channels take critical alerts (ALERT_* settings)." : `Alert sent to ${delivered}/${routed} channel(s).`);
+  };
+  const why = reason ? ` Reason: ${reason}.` : "";
+
+  if (calls.length === 0) {
+    if (moduleEnabled) {
+      log("No delegates to remove, and the AllowanceModule could not be disabled.");
+      await alert(`FREEZE on Safe ${safeAddress}: refills stopped; no delegates to remove, AllowanceModule NOT disabled (not found in the module list). Disable it manually.${why}`);
+      return;
+    }
+    log("No delegates, AllowanceModule not enabled: the agent has no on-chain spending power to remove.");
+    await alert(`FREEZE on Safe ${safeAddress}: refills stopped; no delegates or module to remove.${why}`);
+    return;
+  }
+
+  // SECURITY: The freeze skips the local policy. It only takes spending power
+  // away, and a rule such as a banned selector or a recipients.allow list
+  // must never stop it
+  const target = calls.length === 1
+    ? { to: calls[0].to, value: 0n, data: calls[0].data, operation: 0 }
+    : { to: multiSendCallOnlyAddress(), value: 0n, data: encodeMultiSend(calls), operation: 1 };
+
+  const agentIsOwner = owners.some((o) => o.toLowerCase() === account.address.toLowerCase());
+  if (agentIsOwner && threshold === 1n && !freezeArgs.simulate) {
+    // The agent can act alone: execute now instead of waiting on co-signers
+    const txData = {
+      ...target,
+      safeTxGas: 0n,
+      baseGas: 0n,
+      gasPrice: 0n,
+      gasToken: zeroAddress,
+      refundReceiver: zeroAddress,
+      nonce: currentNonce,
+    };
+    const safeTxHash = computeSafeTxHash(domainSeparator, txData);
+    log(`Threshold is 1: executing freeze now (nonce ${currentNonce})...`);
+    let txHash;
+    try {
+      txHash = await sendExecTransaction(
+        publicClient, account, safeAddress, txData, approvedHashSignature(account.address), safeTxHash
+      );
+    } catch (e) {
+      await alert(`FREEZE on Safe ${safeAddress} FAILED to execute: ${signerErrorMessage(e)}. Refills are stopped; act manually.${why}`);
+      throw e;
+    }
+    await alert(`FREEZE executed on Safe ${safeAddress}: allowances and delegates removed, ${moduleDisabled ? "AllowanceModule disabled" : "AllowanceModule NOT disabled (not found in the module list)"}. Tx ${txHash}.${why}`);
+    return;
+  }
+
+  // SECURITY: Maximum urgency -- take the current nonce so the freeze can
+  // execute next instead of waiting behind the queue
+  const nonce = freezeArgs.nonce ?? currentNonce.toString();
+  log(`Proposing freeze at nonce ${nonce} (needs ${threshold} signature(s)); co-signers should execute it before anything else.`);
+  let safeTxHash;
+  try {
+    safeTxHash = await cmdPropose(publicClient, account, safeAddress, {
+      ...target,
+      value: "0",
+      nonce,
+      simulate: freezeArgs.simulate,
+      skipPolicy: true,
+    });
+  } catch (e) {
+    await alert(`FREEZE on Safe ${safeAddress}: proposal FAILED: ${signerErrorMessage(e)}. Refills are stopped; act manually.${why}`);
+    throw e;
+  }
+  if (safeTxHash) {
+    await alert(
+      `FREEZE proposed on Safe ${safeAddress}: refills stopped. Sign and execute NOW: safeTxHash ${safeTxHash} (nonce ${nonce}). ` +
+      `https://app.safe.global/transactions/tx?safe=base:${safeAddress}&id=multisig_${safeAddress}_${safeTxHash}${why}`
+    );
+  }
+}
+
+/**
+ * Look up symbol/decimals for a batch token (known symbol or contract address).
+ */
+async function resolveToken(publicClient, token, cache) {
+  const key = token.toLowerCase();
+  if (cache.has(key)) return cache.get(key);
+
+  let info;
+  if (token.toUpperCase() === "MOR" || key === MOR_TOKEN.toLowerCase()) {
+    info = { address: getAddress(MOR_TOKEN), symbol: "MOR", decimals: 18 };
+  } else {
+    const address = getAddress(token);
+    const [symbol, decimals] = await Promise.all([
+      publicClient.readContract({ address, abi: ERC20_ABI, functionName: "symbol" }),
+      publicClient.readContract({ address, abi: ERC20_ABI, functionName: "decimals" }),
+    ]);
+    info = { address, symbol, decimals };
+  }
+  cache.set(key, info);
+  cache.set(info.address.toLowerCase(), info);
+  return info;
+}
+
+async function cmdBatch(publicClient, account, safeAddress, batchArgs) {
+  let entries;
+  try {
+    entries = readBatchFile(batchArgs.file);
+  } catch (e) {
+    log(`ERROR: Could not read batch file ${batchArgs.file}: ${e.message}`);
+    process.exit(1);
+  }
+  if (entries.length === 0) {
+    log("ERROR: Batch file contains no calls.");
+    process.exit(1);
+  }
+
+  const tokens = new Map();
+  const calls = [];
+  for (const entry of entries) {
+    try {
+      const to = getAddress(entry.to);
+      if (entry.type === "eth") {
+        const amount = parseEther(entry.amount);
+        if (amount <= 0n) throw new Error("amount must be greater than 0");
+        calls.push({ to, value: amount, data: "0x" });
+      } else if (entry.type === "erc20") {
+        const token = await resolveToken(publicClient, entry.token, tokens);
+        const amount = parseUnits(entry.amount, token.decimals);
+        if (amount <= 0n) throw new Error("amount must be greater than 0");
+        calls.push({
+          to: token.address,
+          value: 0n,
+          data: encodeFunctionData({ abi: ERC20_ABI, functionName: "transfer", args: [to, amount] }),
+        });
+      } else {
+        // SECURITY: Validate hex data format
+        if (!/^0x([0-9a-fA-F]{2})*$/.test(entry.data)) {
+          throw new Error("data must be '0x' followed by an even number of hex characters");
+        }
+        calls.push({ to, value: parseEther(entry.amount || "0"), data: entry.data });
+      }
+    } catch (e) {
+      log(`ERROR: Batch entry ${entry.line}: ${e.shortMessage || e.message}`);
+      process.exit(1);
+    }
+  }
+
+  const multiSend = multiSendCallOnlyAddress();
+  const data = encodeMultiSend(calls);
+
+  // Summarize from the encoded bytes, so what is shown is what gets signed
+  log(`Batch: ${calls.length} call(s) via MultiSendCallOnly ${multiSend} (delegatecall)`);
+  const totals = new Map();
+  const addTotal = (symbol, decimals, amount) => {
+    const t = totals.get(symbol) || { decimals, amount: 0n };
+    t.amount += amount;
+    totals.set(symbol, t);
+  };
+  decodeMultiSend(data).forEach((call, i) => {
+    const n = `#${i + 1}`.padEnd(4);
+    const token = tokens.get(call.to.toLowerCase());
+    if (call.data === "0x") {
+      log(`  ${n} ETH transfer   ${formatEther(call.value)} ETH -> ${call.to}`);
+      addTotal("ETH", 18, call.value);
+      return;
+    }
+    if (token && call.value === 0n) {
+      const { functionName, args } = decodeFunctionData({ abi: ERC20_ABI, data: call.data });
+      if (functionName === "transfer") {
+        log(`  ${n} ERC-20 transfer ${formatUnits(args[1], token.decimals)} ${token.symbol} -> ${args[0]}`);
+        addTotal(token.symbol, token.decimals, args[1]);
+        return;
+      }
+    }
+    log(`  ${n} Raw call       ${call.to} selector ${call.data.slice(0, 10)} (${(call.data.length - 2) / 2} bytes), value ${formatEther(call.value)} ETH`);
+    if (call.value > 0n) addTotal("ETH", 18, call.value);
+  });
+  for (const [symbol, { decimals, amount }] of totals) {
+    log(`  Total: ${formatUnits(amount, decimals)} ${symbol}`);
+  }
+
+  if (batchArgs["dry-run"]) {
+    log("--- DRY RUN --- (not proposed)");
+    log(`  MultiSend calldata: ${data}`);
+    return;
+  }
+
+  await cmdPropose(publicClient, account, safeAddress, {
+    to: multiSend,
+    value: "0",
+    data,
+    operation: 1, // DelegateCall into MultiSendCallOnly
+    nonce: batchArgs.nonce,
+    simulate: batchArgs.simulate,
   });
 }
 
-async function cmdPending(safeAddress) {
-  log(`Fetching pending transactions for ${safeAddress}...`);
-  const pending = await getPendingTransactions(safeAddress);
+async function cmdReject(publicClient, account, safeAddress, rejectArgs) {
+  const nonce = parseNonce(rejectArgs.nonce);
+  const currentNonce = await publicClient.readContract({
+    address: safeAddress,
+    abi: SAFE_ABI,
+    functionName: "nonce",
+  });
+  if (nonce < currentNonce) {
+    log(`ERROR: Nonce ${nonce} is already used on-chain (current Safe nonce: ${currentNonce})`);
+    process.exit(1);
+  }
+
+  const atNonce = (await getQueuedTransactions(safeAddress, currentNonce)).filter(
+    (tx) => BigInt(tx.nonce) === nonce
+  );
+  if (atNonce.length === 0) {
+    log(`ERROR: No pending transaction at nonce ${nonce} to reject.`);
+    process.exit(1);
+  }
+  const existing = atNonce.find((tx) => isRejection(tx, safeAddress));
+  if (existing) {
+    log(`ERROR: A rejection for nonce ${nonce} is already queued: ${existing.safeTxHash}`);
+    log(`  Use 'confirm --hash ${existing.safeTxHash}' to co-sign it.`);
+    process.exit(1);
+  }
+
+  log(`Proposing: Reject nonce ${nonce} (zero-value call from the Safe to itself)`);
+  log(`  Once executed, this cancels: ${atNonce.map((tx) => tx.safeTxHash).join(", ")}`);
+
+  await cmdPropose(publicClient, account, safeAddress, {
+    to: safeAddress,
+    value: "0",
+    data: "0x",
+    nonce: nonce.toString(),
+  });
+}
+
+async function cmdQueue(publicClient, safeAddress) {
+  const currentNonce = await publicClient.readContract({
+    address: safeAddress,
+    abi: SAFE_ABI,
+    functionName: "nonce",
+  });
+  const queued = await getQueuedTransactions(safeAddress, currentNonce);
+
+  log(`Safe nonce: ${currentNonce} (next to execute)`);
+  if (queued.length === 0) {
+    log("Queue is empty.");
+    return;
+  }
+
+  const byNonce = new Map();
+  for (const tx of queued) {
+    const n = BigInt(tx.nonce);
+    if (!byNonce.has(n)) byNonce.set(n, []);
+    byNonce.get(n).push(tx);
+  }
+  const lastNonce = BigInt(queued[queued.length - 1].nonce);
+
+  let gaps = 0;
+  let conflicts = 0;
+  for (let n = currentNonce; n <= lastNonce; n++) {
+    const txs = byNonce.get(n);
+    if (!txs) {
+      gaps++;
+      log(`  Nonce ${n}: GAP -- nothing queued; later nonces cannot execute until this one is used`);
+      continue;
+    }
+    if (txs.length > 1) {
+      conflicts++;
+      log(`  Nonce ${n}: CONFLICT -- ${txs.length} proposals, only one can execute`);
+    } else {
+      log(`  Nonce ${n}:`);
+    }
+    for (const tx of txs) {
+      const confirmCount = tx.confirmations ? tx.confirmations.length : 0;
+      const what = isRejection(tx, safeAddress)
+        ? "rejection"
+        : `to ${tx.to}, ${formatEther(BigInt(tx.value))} ETH, data ${tx.data ? tx.data.slice(0, 10) : "(none)"}`;
+      log(`    ${tx.safeTxHash} ${what} [${confirmCount}/${tx.confirmationsRequired} confirmations]`);
+    }
+  }
+
+  log("");
+  log(`${queued.length} queued transaction(s), ${gaps} gap(s), ${conflicts} conflicting nonce(s)`);
+  log(`Next free nonce: ${lastNonce + 1n}`);
+}
+
+async function cmdPending(publicClient, safeAddress, pendingArgs) {
+  const json = Boolean(pendingArgs.json);
+  if (!json) log(`Fetching pending transactions for ${safeAddress}...`);
+  // Only the live queue: unexecuted transactions below the Safe's nonce can
+  // never execute
+  const currentNonce = await publicClient.readContract({
+    address: safeAddress,
+    abi: SAFE_ABI,
+    functionName: "nonce",
+  });
+  const pending = await getQueuedTransactions(safeAddress, currentNonce);
+
+  const tokens = new Map();
+  const results = [];
+  for (const tx of pending) {
+    const decoded = decodeCall(txDataFromService(tx));
+    const labels = riskLabels(decoded);
+    const confirmations = [];
+    for (const c of tx.confirmations || []) {
+      confirmations.push({ owner: c.owner, ...(await verifyConfirmation(tx.safeTxHash, c)) });
+    }
+    results.push({ tx, decoded, labels, confirmations });
+  }
+
+  if (json) {
+    console.log(JSON.stringify({
+      safe: safeAddress,
+      pending: results.map(({ tx, decoded, labels, confirmations }) => ({
+        safeTxHash: tx.safeTxHash,
+        nonce: Number(tx.nonce),
+        to: tx.to,
+        value: formatEther(BigInt(tx.value)),
+        data: tx.data || null,
+        call: decodedCallToJson(decoded),
+        riskLabels: labels,
+        highRisk: labels.some((l) => HIGH_RISK_LABELS.has(l)),
+        confirmations: confirmations.length,
+        confirmationsRequired: tx.confirmationsRequired,
+        signers: confirmations.map(({ owner, scheme, signer, valid, error }) => ({ owner, scheme, signer, valid, error })),
+      })),
+    }, null, 2));
+    return;
+  }
 
   if (pending.length === 0) {
     log("No pending transactions.");
@@ -410,23 +1268,146 @@ async function cmdPending(safeAddress) {
   }
 
   log(`Found ${pending.length} pending transaction(s):\n`);
-  for (const tx of pending) {
-    const confirmCount = tx.confirmations ? tx.confirmations.length : 0;
+  for (const { tx, decoded, labels, confirmations } of results) {
+    const context = await renderContext(publicClient, safeAddress, decoded, tokens);
     log(`  Safe TX hash: ${tx.safeTxHash}`);
-    log(`    To: ${tx.to}`);
-    log(`    Value: ${formatEther(BigInt(tx.value))} ETH`);
-    log(`    Data: ${tx.data ? tx.data.slice(0, 20) + "..." : "(none)"}`);
     log(`    Nonce: ${tx.nonce}`);
-    log(`    Confirmations: ${confirmCount}/${tx.confirmationsRequired}`);
-    if (tx.confirmations) {
-      for (const c of tx.confirmations) {
-        log(`      - ${c.owner}`);
-      }
+    for (const line of formatDecodedCall(decoded, { ...context, indent: "    " })) {
+      log(line);
+    }
+    log(`    Risk:      ${formatRiskLabels(labels)}`);
+    log(`    Confirmations: ${confirmations.length}/${tx.confirmationsRequired}`);
+    for (const c of confirmations) {
+      log(`      - ${c.owner} ${describeConfirmation(c)}`);
     }
     log("");
   }
 }
 
+/**
+ * Decode a confirmation's signature scheme and check it recovers to the
+ * owner the Transaction Service attributes it to. Returns { scheme, signer,
+ * valid, error }; scheme and signer are null if it cannot be decoded.
+ */
+async function verifyConfirmation(safeTxHash, confirmation) {
+  try {
+    const { scheme, signer } = await recoverSafeSigner(safeTxHash, confirmation.signature);
+    return { scheme, signer, valid: signer.toLowerCase() === confirmation.owner.toLowerCase(), error: null };
+  } catch (e) {
+    return { scheme: null, signer: null, valid: false, error: e.message };
+  }
+}
+
+/**
+ * A verifyConfirmation() result as shown by pending, e.g. "(eip712)".
+ */
+function describeConfirmation({ scheme, signer, valid, error }) {
+  if (error) return `(undecodable signature: ${error})`;
+  if (!valid) return `(${scheme}, MISMATCH: recovers to ${signer})`;
+  return `(${scheme})`;
+}
+
+/**
+ * Ask for a y/N answer on the terminal. Without a TTY the answer is no.
+ */
+async function askApproval(question) {
+  if (!process.stdin.isTTY) return false;
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await rl.question(question);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Token metadata and address names used to render a decoded call tree.
+ * `tokens` is shared across calls so each token is looked up once.
+ */
+async function renderContext(publicClient, safeAddress, decoded, tokens = new Map()) {
+  for (const call of flattenCalls(decoded)) {
+    if (!isErc20Call(call)) continue;
+    try {
+      await resolveToken(publicClient, call.to, tokens);
+    } catch {
+      // Not a readable ERC-20; amounts are shown raw
+    }
+  }
+  const labels = new Map([
+    [safeAddress.toLowerCase(), "this Safe"],
+    [MOR_TOKEN.toLowerCase(), "MOR"],
+    [ALLOWANCE_MODULE.toLowerCase(), "AllowanceModule"],
+    [multiSendCallOnlyAddress().toLowerCase(), "MultiSendCallOnly"],
+    [multiSendAddress().toLowerCase(), "MultiSend"],
+  ]);
+  return { tokens, labels };
+}
+
+/**
+ * Risk labels as text, high-risk ones marked with "!".
+ */
+function formatRiskLabels(labels) {
+  if (labels.length === 0) return "none";
+  return labels.map((l) => (HIGH_RISK_LABELS.has(l) ? `!${l}` : l)).join(", ");
+}
+
+/**
+ * Simulate a transaction as the Safe and print the outcome: success or the
+ * revert reason, balance changes for the Safe and every recipient, and any
+ * owner/threshold/module change. Exits if it would revert.
+ */
+async function printSimulation(publicClient, safeAddress, txData) {
+  const decoded = decodeCall(txData);
+  const { tokens, labels } = await renderContext(publicClient, safeAddress, decoded);
+  await resolveToken(publicClient, "MOR", tokens);
+
+  const tracked = [...new Map([...tokens.values()].map((t) => [t.address, t])).values()];
+  const accounts = extractOutflows(decoded).map((o) => o.recipient);
+
+  log(`Simulating as ${safeAddress}...`);
+  let result;
+  try {
+    result = await simulateSafeTx(publicClient, safeAddress, txData, { tokens: tracked, accounts, decoded });
+  } catch (e) {
+    log(`ERROR: Simulation failed: ${e.shortMessage || e.message}`);
+    process.exit(1);
+  }
+  for (const line of formatSimulation(result, { labels, indent: "  " })) {
+    log(line);
+  }
+  if (!result.success) {
+    log("ERROR: Transaction would revert. Not proposing.");
+    process.exit(1);
+  }
+}
+
+/**
+ * Print what a Safe transaction does, decoded, with warnings for anything
+ * that can take control of the Safe.
+ */
+async function printReview(publicClient, safeAddress, tx, txData) {
+  const decoded = decodeCall(txData);
+  const { tokens, labels } = await renderContext(publicClient, safeAddress, decoded);
+
+  const confirmCount = tx.confirmations ? tx.confirmations.length : 0;
+  log(`Review: nonce ${txData.nonce}, ${confirmCount}/${tx.confirmationsRequired} confirmations`);
+  for (const line of formatDecodedCall(decoded, { tokens, labels, indent: "  " })) {
+    log(line);
+  }
+  log(`  Risk:      ${formatRiskLabels(riskLabels(decoded))}`);
+
+  const warnings = delegatecallWarnings(decoded);
+  if (txData.gasPrice > 0n) {
+    warnings.push(
+      `Gas refund: pays up to ${txData.gasPrice} per gas in ${txData.gasToken === zeroAddress ? "ETH" : txData.gasToken} to ${txData.refundReceiver === zeroAddress ? "the executor" : txData.refundReceiver}`
+    );
+  }
+  for (const warning of warnings) {
+    log(`  WARNING: ${warning}`);
+  }
+}
+
 async function cmdConfirm(publicClient, account, safeAddress, confirmArgs) {
   const safeTxHash = confirmArgs.hash;
   if (!safeTxHash) {
@@ -434,14 +1415,224 @@ async function cmdConfirm(publicClient, account, safeAddress, confirmArgs) {
     process.exit(1);
   }
 
+  log(`Fetching transaction ${safeTxHash}...`);
+  const tx = await getTransaction(safeTxHash);
+  if (tx.isExecuted) {
+    log(`ERROR: Transaction already executed${tx.transactionHash ? ` in ${tx.transactionHash}` : ""}.`);
+    process.exit(1);
+  }
+
+  const [nonce, domainSeparator] = await Promise.all([
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "nonce" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "domainSeparator" }),
+  ]);
+
+  // SECURITY: Only sign what we have looked at -- the reviewed fields must hash to --hash
+  const txData = txDataFromService(tx);
+  if (computeSafeTxHash(domainSeparator, txData) !== safeTxHash.toLowerCase()) {
+    log("ERROR: Transaction Service data does not hash to the requested safeTxHash. Refusing to sign.");
+    process.exit(1);
+  }
+  if (txData.nonce < nonce) {
+    log(`ERROR: Nonce ${txData.nonce} is already used on-chain (current Safe nonce: ${nonce}). Nothing to sign.`);
+    process.exit(1);
+  }
+  if ((tx.confirmations || []).some((c) => c.owner.toLowerCase() === account.address.toLowerCase())) {
+    log(`ERROR: Agent ${account.address} has already confirmed this transaction.`);
+    process.exit(1);
+  }
+
+  await printReview(publicClient, safeAddress, tx, txData);
+  await enforcePolicy(publicClient, safeAddress, txData, safeTxHash);
+
+  if (!confirmArgs.yes && !(await askApproval("Sign this transaction? [y/N] "))) {
+    log("Not signed. Pass --yes to approve non-interactively.");
+    process.exit(1);
+  }
+
   log(`Signing transaction ${safeTxHash}...`);
-  const signature = await signSafeTxHash(account, safeTxHash);
+  const signature = await signSafeTxHash(publicClient, account, safeAddress, safeTxHash, txData);
   const status = await submitConfirmation(safeTxHash, signature);
 
   log(`Confirmation submitted (${status}).`);
   log(`  View: https://app.safe.global/transactions/queue?safe=base:${safeAddress}`);
 }
 
+/**
+ * Simulate, send and check execTransaction with packed signatures, relayed
+ * by the agent. Exits unless the Safe emits ExecutionSuccess for safeTxHash.
+ * Returns the Ethereum transaction hash.
+ */
+async function sendExecTransaction(publicClient, account, safeAddress, txData, signatures, safeTxHash) {
+  const execArgs = [
+    txData.to,
+    txData.value,
+    txData.data,
+    txData.operation,
+    txData.safeTxGas,
+    txData.baseGas,
+    txData.gasPrice,
+    txData.gasToken,
+    txData.refundReceiver,
+    signatures,
+  ];
+
+  // Simulate first to avoid wasting gas on reverts
+  log("Simulating execTransaction...");
+  try {
+    await publicClient.simulateContract({
+      address: safeAddress,
+      abi: SAFE_ABI,
+      functionName: "execTransaction",
+      args: execArgs,
+      account,
+    });
+  } catch (e) {
+    log(`ERROR: Simulation failed: ${e.shortMessage || e.message}`);
+    process.exit(1);
+  }
+  log("Simulation OK. Sending transaction...");
+
+  const walletClient = createWalletClient({
+    account,
+    chain: base,
+    transport: http(RPC_URL),
+  });
+  const txHash = await walletClient.writeContract({
+    address: safeAddress,
+    abi: SAFE_ABI,
+    functionName: "execTransaction",
+    args: execArgs,
+  });
+  log(`Execution tx: ${txHash}`);
+
+  const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
+  const events = parseEventLogs({
+    abi: SAFE_ABI,
+    logs: receipt.logs.filter((l) => l.address.toLowerCase() === safeAddress.toLowerCase()),
+    eventName: ["ExecutionSuccess", "ExecutionFailure"],
+  });
+  const event = events.find((e) => e.args.txHash.toLowerCase() === safeTxHash.toLowerCase());
+
+  if (receipt.status !== "success") {
+    log("ERROR: Execution transaction reverted.");
+    process.exit(1);
+  }
+  if (!event) {
+    log("WARNING: No ExecutionSuccess/ExecutionFailure event found for this safeTxHash.");
+    process.exit(1);
+  }
+  log(`${event.eventName} (safeTxHash ${event.args.txHash}, gas used ${receipt.gasUsed})`);
+  if (event.eventName === "ExecutionFailure") {
+    process.exit(1);
+  }
+  log(`  View: https://basescan.org/tx/${txHash}`);
+  return txHash;
+}
+
+async function cmdExecute(publicClient, account, safeAddress, executeArgs) {
+  const safeTxHash = executeArgs.hash;
+  if (!safeTxHash) {
+    log("ERROR: --hash required. Get it from 'pending' command.");
+    process.exit(1);
+  }
+
+  log(`Fetching transaction ${safeTxHash}...`);
+  const tx = await getTransaction(safeTxHash);
+  if (tx.isExecuted) {
+    log(`ERROR: Transaction already executed${tx.transactionHash ? ` in ${tx.transactionHash}` : ""}.`);
+    process.exit(1);
+  }
+
+  const [nonce, domainSeparator, threshold, owners] = await Promise.all([
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "nonce" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "domainSeparator" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "getThreshold" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "getOwners" }),
+  ]);
+
+  // SECURITY: Never trust the service's hash -- rebuild it from the fields we will execute
+  const txData = txDataFromService(tx);
+  if (computeSafeTxHash(domainSeparator, txData) !== safeTxHash.toLowerCase()) {
+    log("ERROR: Transaction Service data does not hash to the requested safeTxHash. Refusing to execute.");
+    process.exit(1);
+  }
+  if (txData.nonce !== nonce) {
+    log(`ERROR: Transaction nonce ${txData.nonce} is not the Safe's current nonce ${nonce}.`);
+    log(txData.nonce < nonce ? "  It has been replaced or already executed." : "  Execute the earlier queued transactions first.");
+    process.exit(1);
+  }
+
+  // Collect one valid signature per owner. A bad confirmation is skipped
+  // and reported: it must not block the ones that are valid
+  const signed = new Map();
+  let skipped = 0;
+  for (const c of tx.confirmations || []) {
+    let signature = c.signature;
+    if (!signature && c.signatureType === "APPROVED_HASH") {
+      signature = approvedHashSignature(c.owner);
+    }
+    if (!signature) continue;
+
+    let signer, scheme;
+    try {
+      ({ signer, scheme } = await recoverSafeSigner(safeTxHash, signature));
+    } catch (e) {
+      log(`  Skipping confirmation from ${c.owner}: undecodable signature (${e.message})`);
+      skipped++;
+      continue;
+    }
+    if (scheme === "contract") {
+      log(`  Skipping contract signature from ${signer} (not supported)`);
+      skipped++;
+      continue;
+    }
+    if (!owners.some((o) => o.toLowerCase() === signer.toLowerCase())) {
+      log(`  Skipping confirmation from ${c.owner}: signature (${scheme}) recovers to ${signer}, which is not a Safe owner`);
+      skipped++;
+      continue;
+    }
+    if (scheme === "approved_hash") {
+      // Only valid if the owner approved on-chain (or is the relayer, handled below)
+      const approved = await publicClient.readContract({
+        address: safeAddress,
+        abi: SAFE_ABI,
+        functionName: "approvedHashes",
+        args: [signer, safeTxHash],
+      });
+      if (approved === 0n && signer.toLowerCase() !== account.address.toLowerCase()) {
+        log(`  Skipping ${signer}: hash not approved on-chain`);
+        skipped++;
+        continue;
+      }
+    }
+    signed.set(signer.toLowerCase(), { signer, signature, scheme });
+  }
+
+  // The agent relays the transaction, so as an owner it can always add its
+  // own approval without a separate signature (v = 1, owner == msg.sender)
+  const agentIsOwner = owners.some((o) => o.toLowerCase() === account.address.toLowerCase());
+  if (agentIsOwner && !signed.has(account.address.toLowerCase()) && signed.size < Number(threshold)) {
+    signed.set(account.address.toLowerCase(), {
+      signer: account.address,
+      signature: approvedHashSignature(account.address),
+      scheme: "approved_hash",
+    });
+  }
+
+  log(`Signatures: ${signed.size}/${threshold}`);
+  for (const { signer, scheme } of signed.values()) {
+    log(`  - ${signer} (${scheme})`);
+  }
+  if (signed.size < Number(threshold)) {
+    log(`ERROR: Not enough valid confirmations to execute (${signed.size}/${threshold}${skipped ? `, ${skipped} skipped` : ""}).`);
+    process.exit(1);
+  }
+
+  const signatures = packSignatures([...signed.values()]);
+  await sendExecTransaction(publicClient, account, safeAddress, txData, signatures, safeTxHash);
+}
+
 // --- Main ---
 async function main() {
   if (!SAFE_ADDRESS) {
@@ -460,8 +1651,22 @@ Commands:
   propose    --to 0x... [--data 0x...] [--value 0]   Propose raw transaction
   transfer   --token MOR|ETH --to 0x... --amount N    Propose token transfer
   threshold  --value N                                 Propose threshold change
-  pending                                              List pending transactions
-  confirm    --hash 0x...                              Confirm a pending transaction
+  owner add    --address 0x... [--threshold N]         Propose adding an owner
+  owner remove --address 0x... [--threshold N]         Propose removing an owner
+  owner swap   --old 0x... --new 0x... [--threshold N] Propose replacing an owner
+  rotate-agent --new 0x... [--old 0x...]               Propose moving owner + allowances to a new agent key
+  freeze     [--threshold N] [--reason "..."]          Emergency: revoke all allowances, disable module,
+                                                       stop refills and alert (executes if threshold 1)
+  batch      --file plan.json|payouts.csv [--dry-run]  Propose a MultiSend batch
+  reject     --nonce N                                 Propose rejecting the tx(s) at nonce N
+  queue                                                Show queue by nonce (gaps, conflicts)
+  pending    [--json]                                  List pending transactions, decoded
+  confirm    --hash 0x... [--yes]                      Review, then confirm a pending transaction
+  execute    --hash 0x...                              Execute a fully-confirmed transaction
+
+Proposals (propose, transfer, threshold, owner, rotate-agent, batch) use the next free nonce after
+the pending queue, or --nonce N to pick one explicitly. Add --simulate to run
+the transaction as the Safe and show its effects without signing or proposing.
 `);
     return;
   }
@@ -478,25 +1683,31 @@ Commands:
     }
   }
 
-  // For 'pending', no key needed
+  const publicClient = createPublicClient({
+    chain: base,
+    transport: http(RPC_URL),
+  });
+
+  // For 'pending' and 'queue', no key needed
   if (command === "pending") {
-    await cmdPending(safeAddress);
+    await cmdPending(publicClient, safeAddress, cmdArgs);
+    return;
+  }
+  if (command === "queue") {
+    await cmdQueue(publicClient, safeAddress);
     return;
   }
 
   // All other commands need the agent key
-  let privateKey = getPrivateKey();
-  if (!privateKey.startsWith("0x")) {
-    privateKey = `0x${privateKey}`;
+  let account;
+  try {
+    account = await loadAgentAccount();
+  } catch (e) {
+    log(`ERROR: ${e.message}`);
+    process.exit(1);
   }
-  const account = privateKeyToAccount(privateKey);
   log(`Agent: ${account.address}`);
 
-  const publicClient = createPublicClient({
-    chain: base,
-    transport: http(RPC_URL),
-  });
-
   switch (command) {
     case "propose":
       if (!cmdArgs.to) {
@@ -522,10 +1733,57 @@ Commands:
       await cmdThreshold(publicClient, account, safeAddress, cmdArgs);
       break;
 
+    case "owner": {
+      const action = process.argv[3];
+      const required = { add: ["address"], remove: ["address"], swap: ["old", "new"] }[action];
+      if (!required) {
+        log("ERROR: Usage: owner add|remove --address 0x... | owner swap --old 0x... --new 0x...");
+        process.exit(1);
+      }
+      if (required.some((k) => !cmdArgs[k] || cmdArgs[k] === "true")) {
+        log(`ERROR: owner ${action} requires ${required.map((k) => `--${k}`).join(" and ")}`);
+        process.exit(1);
+      }
+      await cmdOwner(publicClient, account, safeAddress, action, cmdArgs);
+      break;
+    }
+
+    case "rotate-agent":
+      if (!cmdArgs.new || cmdArgs.new === "true") {
+        log("ERROR: --new required (address of the replacement agent key)");
+        process.exit(1);
+      }
+      await cmdRotateAgent(publicClient, account, safeAddress, cmdArgs);
+      break;
+
+    case "freeze":
+      await cmdFreeze(publicClient, account, safeAddress, cmdArgs);
+      break;
+
+    case "batch":
+      if (!cmdArgs.file) {
+        log("ERROR: --file required (JSON or CSV batch plan)");
+        process.exit(1);
+      }
+      await cmdBatch(publicClient, account, safeAddress, cmdArgs);
+      break;
+
+    case "reject":
+      if (!cmdArgs.nonce) {
+        log("ERROR: --nonce required (queued nonce to reject)");
+        process.exit(1);
+      }
+      await cmdReject(publicClient, account, safeAddress, cmdArgs);
+      break;
+
     case "confirm":
       await cmdConfirm(publicClient, account, safeAddress, cmdArgs);
       break;
 
+    case "execute":
+      await cmdExecute(publicClient, account, safeAddress, cmdArgs);
+      break;
+
     default:
       log(`ERROR: Unknown command "${command}". Run with --help.`);
       process.exit(1);
@@ -533,6 +1791,6 @@ Commands:
 }
 
 main().catch((e) => {
-  log(`FATAL: ${e.message}`);
+  log(`FATAL: ${signerErrorMessage(e)}`);
   process.exit(1);
 });
@@ -3,10 +3,33 @@
  * agent-treasury-refill.mjs — Auto-refill hot wallet from Safe via AllowanceModule
  *
  * Checks hot wallet MOR and ETH balances on Base.
- * If below thresholds, pulls funds from Safe using executeAllowanceTransfer.
+ * If below thresholds, pulls funds from Safe using executeAllowanceTransfer:
+ * enough to bring the balance back to the target, capped by what is left of
+ * the allowance this period. Top-ups below the minimum are skipped, with the
+ * reason logged (e.g. "allowance resets in 3h12m, 4.2 MOR available").
  * The hot wallet (delegate) calls the module directly — no signature needed.
+ * With RELAYER_URL set it pays no gas: it signs a transfer authorization and
+ * the relayer (agent-treasury-relayer.mjs) submits it, refunded from the Safe.
  *
- * Runs as a launchd periodic job (com.safe-agent-treasury.refill, every 6 hours).
+ * With a fleet file (REFILL_FLEET_FILE, default ~/morpheus/refill-fleet.json)
+ * one run checks every listed delegate's wallet with its own per-token rules
+ * (see lib/fleet.mjs). Other delegates are refilled through transfer
+ * authorizations from their remote signer, or only reported. Each run ends
+ * with one summary, also written to ~/morpheus/data/refill-report.json.
+ * Every refill attempt (sent, skipped or failed) is appended to the ledger,
+ * ~/morpheus/data/ledger.jsonl, which status reports from.
+ *
+ * Runs as a launchd periodic job (com.safe-agent-treasury.refill, every 6 hours),
+ * or with --daemon as a long-running watcher: it polls for new blocks, follows
+ * ERC-20 Transfer events and ETH balances of the watched wallets, and refills
+ * in the block a balance drops below its threshold. RPC errors back off
+ * exponentially; SIGTERM/SIGINT finish the check in progress, then exit.
+ *
+ * Usage:
+ *   node scripts/agent-treasury-refill.mjs            # one check, then exit
+ *   node scripts/agent-treasury-refill.mjs --daemon   # keep watching
+ *   add --log-file PATH to write a rotated log file instead of stdout
+ *   (as the installed service does, see lib/logger.mjs)
  *
  * Required in ~/morpheus/.env:
  *   SAFE_ADDRESS=0x...            Safe wallet address on Base
@@ -15,30 +38,94 @@
  * Optional in ~/morpheus/.env:
  *   ALLOWANCE_MODULE=0x...        AllowanceModule address (default: Base deployment)
  *   MOR_LOW_THRESHOLD=20          MOR balance that triggers refill
- *   MOR_REFILL_AMOUNT=30          MOR to pull per refill
+ *   MOR_TARGET_BALANCE=50         MOR balance a refill tops up to
+ *                                 (default: MOR_LOW_THRESHOLD + MOR_REFILL_AMOUNT)
+ *   MOR_MIN_REFILL=1              Smallest MOR transfer worth sending
  *   ETH_LOW_THRESHOLD=0.01        ETH balance that triggers refill
- *   ETH_REFILL_AMOUNT=0.03        ETH to pull per refill
- *   ALERT_WEBHOOK_URL=https://... Webhook URL for failure alerts (Slack, Discord, etc.)
+ *   ETH_TARGET_BALANCE=0.04       ETH balance a refill tops up to
+ *                                 (default: ETH_LOW_THRESHOLD + ETH_REFILL_AMOUNT)
+ *   ETH_MIN_REFILL=0.002          Smallest ETH transfer worth sending
+ *   ALERT_WEBHOOK_URL=https://... Webhook URL(s) for failure alerts (Slack, Discord, etc.)
+ *   ESCALATE_AFTER_RUNS=3         Allowance-exhausted runs in a row before proposing a
+ *                                 one-off top-up to the co-signers (0: never)
+ *   MOR_CRITICAL_BALANCE=5        Propose a top-up at once below this MOR balance
+ *   ETH_CRITICAL_BALANCE=0.002    Propose a top-up at once below this ETH balance
+ *   SAFE_POLICY_FILE=...          Policy the top-up proposal is checked against
+ *   REFILL_FLEET_FILE=...         Fleet of delegate wallets to keep funded
+ *   REFILL_POLL_SECONDS=2         Daemon: how often to look for a new block (>= 1)
+ *   REFILL_RECHECK_MINUTES=60     Daemon: full check even without transfers (>= 1)
+ *                                 (picks up allowance resets)
+ *   RELAYER_URL=http://...        Gasless mode (see lib/allowance-transfer.mjs)
+ *   GASLESS_PAYMENT_TOKEN=ETH     Relayer refund token: ETH or MOR
+ *   GASLESS_MAX_PAYMENT=0.0005    Highest relayer fee accepted per transfer
+ *
+ * Top-up proposals go through the Transaction Service (lib/escalation.mjs),
+ * need the agent to be a Safe owner, and are not repeated while one is pending.
+ *
+ * Does nothing while the Safe is frozen (see `agent-treasury-propose.mjs freeze`).
  */
 
-import { readFileSync, openSync, closeSync, unlinkSync, constants } from "node:fs";
-import { execFileSync } from "node:child_process";
+import {
+  readFileSync,
+  writeFileSync,
+  mkdirSync,
+  existsSync,
+  openSync,
+  closeSync,
+  unlinkSync,
+  constants,
+} from "node:fs";
+import { dirname } from "node:path";
 import {
   createPublicClient,
   createWalletClient,
   http,
   formatEther,
+  formatUnits,
   parseEther,
   parseAbi,
+  parseAbiItem,
+  getAddress,
   zeroAddress,
 } from "viem";
 import { base } from "viem/chains";
-import { privateKeyToAccount } from "viem/accounts";
+import {
+  loadAgentAccount,
+  safeSignatureScheme,
+  signerErrorMessage,
+  findRemoteSignerError,
+} from "./lib/signer.mjs";
+import {
+  gaslessConfig,
+  relayAllowanceTransfer,
+  currentTransferNonce,
+  signAllowanceTransfer,
+  executeArgs,
+} from "./lib/allowance-transfer.mjs";
+import { createRemoteAccount } from "./lib/remote-signer.mjs";
+import { loadFleet, buildFleet } from "./lib/fleet.mjs";
+import { sendAlert, resolveAlert } from "./lib/alert.mjs";
+import { readFreezeMarker, freezeFile } from "./lib/freeze.mjs";
+import { readAllowance } from "./lib/spend.mjs";
+import { appendLedger, errorClass } from "./lib/ledger.mjs";
+import { createLogger } from "./lib/logger.mjs";
+import { loadPolicy } from "./lib/policy.mjs";
+import {
+  readEscalationState,
+  writeEscalationState,
+  isProposalPending,
+  findQueuedTopUp,
+  proposeTopUp,
+} from "./lib/escalation.mjs";
 
 // --- Load .env ---
 const SAFE_DIR = process.env.SAFE_DIR || process.env.MORPHEUS_DIR || `${process.env.HOME}/morpheus`;
 
+const DAEMON = process.argv.includes("--daemon");
+
 // --- File locking to prevent concurrent execution ---
+// A daemon holds the lock for as long as it runs, so scheduled one-shot runs
+// exit quietly while it is up.
 const LOCK_FILE = `${SAFE_DIR}/.refill.lock`;
 
 function acquireLock() {
@@ -69,8 +156,24 @@ acquireLock();
 
 // Release lock on exit (normal or error)
 process.on("exit", releaseLock);
-process.on("SIGINT", () => { releaseLock(); process.exit(130); });
-process.on("SIGTERM", () => { releaseLock(); process.exit(143); });
+
+// A one-shot run stops at once. The daemon finishes the check in progress
+// (a transfer may be in flight) and exits; a second signal forces it.
+let stopRequested = false;
+let wakeUp = null;
+
+function onSignal(code) {
+  if (!DAEMON || stopRequested) {
+    releaseLock();
+    process.exit(code);
+  }
+  stopRequested = true;
+  log("Shutdown requested. Finishing the current check...");
+  if (wakeUp) wakeUp();
+}
+
+process.on("SIGINT", () => onSignal(130));
+process.on("SIGTERM", () => onSignal(143));
 
 function loadEnv(filepath) {
   try {
@@ -110,20 +213,44 @@ if (!RPC_URL) {
   process.exit(1);
 }
 
-const KEYCHAIN_ACCOUNT =
-  process.env.SAFE_KEYCHAIN_ACCOUNT || process.env.EVERCLAW_KEYCHAIN_ACCOUNT || "everclaw-agent";
-const KEYCHAIN_SERVICE =
-  process.env.SAFE_KEYCHAIN_SERVICE || process.env.EVERCLAW_KEYCHAIN_SERVICE || "everclaw-wallet-key";
-const KEYCHAIN_DB =
-  process.env.SAFE_KEYCHAIN_DB || process.env.EVERCLAW_KEYCHAIN_DB ||
-  `${process.env.HOME}/Library/Keychains/everclaw.keychain-db`;
-// KEYCHAIN_PASS_FILE removed - auto-unlock via CLI args exposed password in `ps aux`
-
-// Thresholds (configurable via .env)
+// Thresholds (configurable via .env). The target defaults to threshold plus
+// the older fixed *_REFILL_AMOUNT, so existing configs keep their top-up level.
 const MOR_LOW_THRESHOLD = parseEther(process.env.MOR_LOW_THRESHOLD || "20");
-const MOR_REFILL_AMOUNT = parseEther(process.env.MOR_REFILL_AMOUNT || "30");
+const MOR_TARGET_BALANCE = process.env.MOR_TARGET_BALANCE
+  ? parseEther(process.env.MOR_TARGET_BALANCE)
+  : MOR_LOW_THRESHOLD + parseEther(process.env.MOR_REFILL_AMOUNT || "30");
+const MOR_MIN_REFILL = parseEther(process.env.MOR_MIN_REFILL || "1");
 const ETH_LOW_THRESHOLD = parseEther(process.env.ETH_LOW_THRESHOLD || "0.01");
-const ETH_REFILL_AMOUNT = parseEther(process.env.ETH_REFILL_AMOUNT || "0.03");
+const ETH_TARGET_BALANCE = process.env.ETH_TARGET_BALANCE
+  ? parseEther(process.env.ETH_TARGET_BALANCE)
+  : ETH_LOW_THRESHOLD + parseEther(process.env.ETH_REFILL_AMOUNT || "0.03");
+const ETH_MIN_REFILL = parseEther(process.env.ETH_MIN_REFILL || "0.002");
+
+// Escalation to the co-signers when the allowance cannot cover a refill
+const ESCALATE_AFTER_RUNS = parseInt(process.env.ESCALATE_AFTER_RUNS || "3", 10);
+const MOR_CRITICAL_BALANCE = parseEther(process.env.MOR_CRITICAL_BALANCE || "5");
+const ETH_CRITICAL_BALANCE = parseEther(process.env.ETH_CRITICAL_BALANCE || "0.002");
+const POLICY_FILE = process.env.SAFE_POLICY_FILE || `${SAFE_DIR}/treasury-policy.json`;
+
+// The .env values are the rules for the refiller's own wallet and the
+// defaults for MOR/ETH entries in a fleet file
+const TOKEN_DEFAULTS = {
+  MOR: { threshold: MOR_LOW_THRESHOLD, target: MOR_TARGET_BALANCE, minRefill: MOR_MIN_REFILL, critical: MOR_CRITICAL_BALANCE },
+  ETH: { threshold: ETH_LOW_THRESHOLD, target: ETH_TARGET_BALANCE, minRefill: ETH_MIN_REFILL, critical: ETH_CRITICAL_BALANCE },
+};
+
+// Several delegates' wallets, each with its own rules (see lib/fleet.mjs)
+const FLEET_FILE = process.env.REFILL_FLEET_FILE || `${SAFE_DIR}/refill-fleet.json`;
+const REPORT_FILE = `${SAFE_DIR}/data/refill-report.json`;
+
+// Daemon mode
+const POLL_SECONDS = Number(process.env.REFILL_POLL_SECONDS || "2");
+const RECHECK_MINUTES = Number(process.env.REFILL_RECHECK_MINUTES || "60");
+const MAX_BACKOFF_SECONDS = 300;
+// Floors for the above: anything shorter keeps the RPC busy for nothing
+const MIN_POLL_SECONDS = 1;
+const MIN_RECHECK_MINUTES = 1;
+const MAX_LOG_RANGE = 500n; // blocks; a longer gap gets a full check instead
 
 // Contract addresses (Base mainnet)
 const MOR_TOKEN = "0x7431aDa8a591C955a994a21710752EF9b882b8e3";
@@ -136,45 +263,21 @@ const ERC20_ABI = parseAbi([
   "function balanceOf(address) view returns (uint256)",
 ]);
 
+const TRANSFER_EVENT = parseAbiItem("event Transfer(address indexed from, address indexed to, uint256 value)");
+
 const ALLOWANCE_MODULE_ABI = parseAbi([
   "function executeAllowanceTransfer(address safe, address token, address payable to, uint96 amount, address paymentToken, uint96 payment, address delegate, bytes signature)",
-  "function getTokenAllowance(address safe, address delegate, address token) view returns (uint256[5])",
 ]);
 
-// Alerting (optional - set ALERT_WEBHOOK_URL for Slack/Discord notifications)
-const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL;
-
 // --- Helpers ---
-function log(msg) {
-  console.log(`[${new Date().toISOString()}] ${msg}`);
-}
-
-/**
- * Send alert to webhook (Slack, Discord, etc.) for critical failures.
- * Non-blocking - failure to send alert doesn't stop script.
- */
-async function sendAlert(message, severity = "error") {
-  if (!ALERT_WEBHOOK_URL) return;
-
-  const payload = {
-    text: `[safe-agent-treasury] [${severity.toUpperCase()}] ${message}`,
-    timestamp: new Date().toISOString(),
-    severity,
-  };
-
-  try {
-    const response = await fetch(ALERT_WEBHOOK_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
-    if (!response.ok) {
-      log(`Alert webhook returned ${response.status}`);
-    }
-  } catch (e) {
-    log(`Failed to send alert: ${e.message}`);
-  }
-}
+// launchd/systemd pass --log-file data/logs/refill.log, which the logger
+// rotates; without it lines go to stdout
+const logFileIdx = process.argv.indexOf("--log-file");
+const log = createLogger({
+  script: "refill",
+  fields: { safe: SAFE_ADDRESS },
+  file: logFileIdx !== -1 ? process.argv[logFileIdx + 1] : null,
+});
 
 /**
  * Retry wrapper for RPC operations.
@@ -200,222 +303,790 @@ async function withRetry(fn, { maxRetries = 3, baseDelayMs = 1000, description =
       }
 
       const delayMs = baseDelayMs * Math.pow(2, attempt - 1);
-      log(`  ${description} failed (attempt ${attempt}/${maxRetries}): ${error.message}. Retrying in ${delayMs}ms...`);
+      log.warn(`  ${description} failed (attempt ${attempt}/${maxRetries}): ${error.message}. Retrying in ${delayMs}ms...`);
       await new Promise(r => setTimeout(r, delayMs));
     }
   }
   throw lastError;
 }
 
-function getPrivateKey() {
-  // SECURITY: Keychain must be pre-unlocked. We no longer auto-unlock via password file
-  // because passing passwords via command-line args exposes them in `ps aux` output.
-  // Before running: security unlock-keychain ~/Library/Keychains/everclaw.keychain-db
-  try {
-    return execFileSync(
-      "security",
-      [
-        "find-generic-password",
-        "-a", KEYCHAIN_ACCOUNT,
-        "-s", KEYCHAIN_SERVICE,
-        "-w", KEYCHAIN_DB,
-      ],
-      { encoding: "utf-8", stdio: "pipe" }
-    ).trim();
-  } catch (e) {
-    log(`ERROR: Could not retrieve wallet key from Keychain.`);
-    log(`  Account: ${KEYCHAIN_ACCOUNT}, Service: ${KEYCHAIN_SERVICE}`);
-    log(`  Unlock keychain first: security unlock-keychain "${KEYCHAIN_DB}"`);
-    process.exit(1);
+/**
+ * Sleep that a shutdown signal cuts short.
+ */
+function sleep(ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      wakeUp = null;
+      resolve();
+    }, ms);
+    wakeUp = () => {
+      clearTimeout(timer);
+      wakeUp = null;
+      resolve();
+    };
+  });
+}
+
+/**
+ * Balance of `token` (zeroAddress for ETH) held by `address`.
+ */
+function readBalance(publicClient, address, token) {
+  return withRetry(
+    () => token.address === zeroAddress
+      ? publicClient.getBalance({ address })
+      : publicClient.readContract({
+          address: token.address,
+          abi: ERC20_ABI,
+          functionName: "balanceOf",
+          args: [address],
+        }),
+    { description: `${token.symbol} balance check` }
+  );
+}
+
+/**
+ * "3h12m" / "45m" until the given unix minute.
+ */
+function formatDuration(untilMin) {
+  const mins = Math.max(0, Math.ceil(untilMin - Date.now() / 60000));
+  const h = Math.floor(mins / 60);
+  return h > 0 ? `${h}h${mins % 60}m` : `${mins}m`;
+}
+
+/**
+ * Decide how much of `token` to pull: target - balance, capped by the
+ * remaining allowance (less the relayer fee when it is paid in the same
+ * token). Returns { amount } or { skip } with the reason; exhausted is set
+ * when the allowance, not the shortfall, is what stops the refill.
+ */
+function planRefill({ token, balance, allowance, fee }) {
+  const fmt = (value) => `${formatUnits(value, token.decimals)} ${token.symbol}`;
+  if (allowance.amount === 0n) {
+    return { skip: `no ${token.symbol} allowance for this delegate`, exhausted: true };
+  }
+  const shortfall = token.target > balance ? token.target - balance : 0n;
+  const available = allowance.remaining > fee ? allowance.remaining - fee : 0n;
+  const amount = shortfall < available ? shortfall : available;
+  if (amount >= token.minRefill && amount > 0n) {
+    return { amount };
   }
+
+  const left = `${fmt(available)} available`;
+  if (shortfall < token.minRefill) {
+    return { skip: `top-up of ${fmt(shortfall)} is below the ${formatUnits(token.minRefill, token.decimals)} minimum` };
+  }
+  if (allowance.nextResetMin === null) {
+    return { skip: `one-time allowance, ${left}`, exhausted: true };
+  }
+  return { skip: `allowance resets in ${formatDuration(allowance.nextResetMin)}, ${left}`, exhausted: true };
 }
 
-// --- Main ---
-async function main() {
-  if (!SAFE_ADDRESS) {
-    log("ERROR: SAFE_ADDRESS not set. Add it to ~/morpheus/.env");
-    process.exit(1);
+/**
+ * Pull `amount` of `token` from the Safe to `delegate`'s wallet. The
+ * refiller's own key calls the module itself; any other delegate signs a
+ * transfer authorization that the refiller submits. With a relayer
+ * configured (gasless), the authorization goes to the relayer instead.
+ * fields (wallet, token, amount) go on the structured result line.
+ * Returns { txHash, status, gasUsed }.
+ */
+async function pullFromSafe(publicClient, walletClient, delegate, gasless, { token, amount, label, scheme, fields = {} }) {
+  const startedAt = Date.now();
+  const resultFields = (txHash, status) => ({
+    event: status === "success" ? "refill.success" : "refill.reverted",
+    ...fields,
+    txHash,
+    durationMs: Date.now() - startedAt,
+  });
+
+  if (gasless) {
+    log(`  Requesting gasless ${label} refill via ${gasless.relayerUrl}...`);
+    const relayed = await relayAllowanceTransfer(publicClient, delegate, {
+      gasless,
+      moduleAddress: ALLOWANCE_MODULE,
+      safeAddress: SAFE_ADDRESS,
+      token,
+      to: delegate.address,
+      amount,
+      scheme,
+      log,
+    });
+    log(`${label} refill tx: ${relayed.txHash} (relayer fee ${formatEther(relayed.payment)} ${gasless.paymentSymbol})`);
+    log(`${label} refill: ${relayed.status === "success" ? "SUCCESS" : "REVERTED"}`, resultFields(relayed.txHash, relayed.status));
+    return relayed;
   }
 
-  log("--- Safe refill check ---");
-  log(`Safe: ${SAFE_ADDRESS}`);
-  log(`AllowanceModule: ${ALLOWANCE_MODULE}`);
+  let args;
+  if (delegate.address === walletClient.account.address) {
+    args = [
+      SAFE_ADDRESS,     // safe
+      token,            // token (address(0) = native ETH)
+      delegate.address, // to
+      amount,           // amount (uint96)
+      zeroAddress,      // paymentToken (no gas payment)
+      0n,               // payment
+      delegate.address, // delegate (msg.sender == delegate, no sig needed)
+      "0x",             // signature (empty — direct call by delegate)
+    ];
+  } else {
+    log(`  Requesting a ${label} transfer authorization from ${delegate.address}...`);
+    const nonce = await currentTransferNonce(publicClient, {
+      moduleAddress: ALLOWANCE_MODULE,
+      safeAddress: SAFE_ADDRESS,
+      delegate: delegate.address,
+      token,
+    });
+    const authorization = await signAllowanceTransfer(publicClient, delegate, {
+      moduleAddress: ALLOWANCE_MODULE,
+      scheme,
+      transfer: {
+        safe: SAFE_ADDRESS,
+        token,
+        to: delegate.address,
+        amount: amount.toString(),
+        paymentToken: zeroAddress,
+        payment: "0",
+        nonce,
+      },
+    });
+    args = executeArgs(authorization);
+  }
+
+  // Simulate first to avoid wasting gas on reverts
+  log(`  Simulating ${label} refill...`);
+  await publicClient.simulateContract({
+    address: ALLOWANCE_MODULE,
+    abi: ALLOWANCE_MODULE_ABI,
+    functionName: "executeAllowanceTransfer",
+    args,
+    account: walletClient.account.address,
+  });
+  log("  Simulation OK. Sending transaction...");
+
+  const tx = await walletClient.writeContract({
+    address: ALLOWANCE_MODULE,
+    abi: ALLOWANCE_MODULE_ABI,
+    functionName: "executeAllowanceTransfer",
+    args,
+  });
+  log(`${label} refill tx: ${tx}`);
+  const receipt = await publicClient.waitForTransactionReceipt({ hash: tx });
+  const status = receipt.status === "success" ? "success" : "reverted";
+  log(`${label} refill: ${status === "success" ? "SUCCESS" : "REVERTED"}`, resultFields(tx, status));
+  return { txHash: tx, status, gasUsed: receipt.gasUsed };
+}
+
+/**
+ * Hand a token the allowance cannot cover over to the co-signers. Counts
+ * allowance-exhausted runs in `state` and, after ESCALATE_AFTER_RUNS of them
+ * or below the critical floor, proposes a one-off transfer of target -
+ * balance from the Safe and alerts with its safeTxHash. Nothing is proposed
+ * while an earlier top-up for the token is still pending.
+ */
+async function escalate(publicClient, account, state, { wallet, token, balance, outcome }) {
+  // The refiller's own wallet keeps the plain token key used before fleets
+  const key = wallet.isAgent ? token.symbol : `${wallet.address}:${token.symbol}`;
+  const label = wallet.isAgent ? token.symbol : `${wallet.name} ${token.symbol}`;
+  const fmt = (value) => formatUnits(value, token.decimals);
 
-  let privateKey = getPrivateKey();
-  if (!privateKey.startsWith("0x")) {
-    privateKey = `0x${privateKey}`;
+  if (!state[key]) state[key] = { exhaustedRuns: 0, proposal: null };
+  const entry = state[key];
+  entry.exhaustedRuns = outcome.exhausted ? entry.exhaustedRuns + 1 : 0;
+
+  const belowFloor = outcome.low && !outcome.refilled && token.critical !== null && balance < token.critical;
+  const runsReached = ESCALATE_AFTER_RUNS > 0 && entry.exhaustedRuns >= ESCALATE_AFTER_RUNS;
+  if (!belowFloor && !runsReached) {
+    if (entry.exhaustedRuns > 0) {
+      log(`${label} allowance exhausted ${entry.exhaustedRuns} run(s) in a row (escalates at ${ESCALATE_AFTER_RUNS}).`, {
+        event: "refill.exhausted",
+        wallet: wallet.name,
+        token: token.symbol,
+      });
+    }
+    return null;
   }
-  const account = privateKeyToAccount(privateKey);
-  const hotWallet = account.address;
-  log(`Hot wallet: ${hotWallet}`);
 
-  const publicClient = createPublicClient({
-    chain: base,
-    transport: http(RPC_URL),
+  if (entry.proposal) {
+    if (await isProposalPending(publicClient, SAFE_ADDRESS, entry.proposal)) {
+      log(`${label} top-up ${entry.proposal.safeTxHash} is still pending. Not proposing again.`);
+      return entry.proposal;
+    }
+    entry.proposal = null;
+  }
+
+  // The state file may have been lost or reset: the queue has the last word
+  const queued = await findQueuedTopUp(publicClient, SAFE_ADDRESS, { token: token.address, to: wallet.address });
+  if (queued) {
+    entry.proposal = {
+      safeTxHash: queued.safeTxHash,
+      nonce: queued.nonce.toString(),
+      amount: fmt(queued.amount),
+      proposedAt: queued.submittedAt,
+    };
+    log(`${label} top-up ${queued.safeTxHash} (${fmt(queued.amount)} ${token.symbol}) is already in the Safe's queue. Not proposing again.`);
+    return entry.proposal;
+  }
+
+  const amount = token.target - balance;
+  if (amount <= 0n) return null;
+  const reason = belowFloor
+    ? `${label} balance ${fmt(balance)} is below the critical floor of ${fmt(token.critical)}`
+    : `${label} allowance exhausted for ${entry.exhaustedRuns} refill runs in a row`;
+  log(`Escalating: ${reason}. Proposing a one-off top-up of ${fmt(amount)} ${token.symbol}...`);
+
+  const policy = loadPolicy(POLICY_FILE, {
+    knownTokens: { MOR: { address: MOR_TOKEN, decimals: 18 } },
   });
-  const walletClient = createWalletClient({
-    account,
-    chain: base,
-    transport: http(RPC_URL),
+  const { safeTxHash, nonce } = await proposeTopUp(publicClient, account, {
+    safeAddress: SAFE_ADDRESS,
+    policy,
+    scheme: safeSignatureScheme(),
+    token: token.address,
+    to: wallet.address,
+    amount,
+  });
+  entry.proposal = {
+    safeTxHash,
+    nonce: nonce.toString(),
+    amount: fmt(amount),
+    proposedAt: new Date().toISOString(),
+  };
+  log(`${label} top-up proposed: ${safeTxHash} (nonce ${nonce})`, {
+    event: "escalation.proposed",
+    wallet: wallet.name,
+    token: token.symbol,
+    amount: fmt(amount),
+    safeTxHash,
   });
 
-  // Check balances (with retry for transient RPC failures)
-  const morBalance = await withRetry(
-    () => publicClient.readContract({
-      address: MOR_TOKEN,
-      abi: ERC20_ABI,
-      functionName: "balanceOf",
-      args: [hotWallet],
-    }),
-    { description: "MOR balance check" }
-  );
-  const ethBalance = await withRetry(
-    () => publicClient.getBalance({ address: hotWallet }),
-    { description: "ETH balance check" }
+  await sendAlert(
+    `${reason}. Proposed a one-off top-up of ${fmt(amount)} ${token.symbol} from the Safe to ${wallet.address}. ` +
+      `Please review and sign safeTxHash ${safeTxHash} (nonce ${nonce}): ` +
+      `https://app.safe.global/transactions/queue?safe=base:${SAFE_ADDRESS}`,
+    belowFloor ? "critical" : "error"
   );
+  return entry.proposal;
+}
 
-  log(`MOR balance: ${formatEther(morBalance)}`);
-  log(`ETH balance: ${formatEther(ethBalance)}`);
-
-  // --- MOR refill ---
-  if (morBalance < MOR_LOW_THRESHOLD) {
-    log(
-      `MOR below ${formatEther(MOR_LOW_THRESHOLD)} threshold. Pulling ${formatEther(MOR_REFILL_AMOUNT)} from Safe...`
-    );
-
-    const morRefillArgs = [
-      SAFE_ADDRESS,      // safe
-      MOR_TOKEN,         // token
-      hotWallet,         // to
-      MOR_REFILL_AMOUNT, // amount (uint96)
-      zeroAddress,       // paymentToken (no gas payment)
-      0n,                // payment
-      hotWallet,         // delegate (msg.sender == delegate, no sig needed)
-      "0x",              // signature (empty — direct call by delegate)
-    ];
+/**
+ * Append one refill attempt of `wallet` for `token` to the ledger
+ * (lib/ledger.mjs), so status can report history beyond the last log line.
+ */
+function recordRefill(wallet, token, fields) {
+  appendLedger(SAFE_DIR, {
+    kind: "refill",
+    status: null,
+    safe: SAFE_ADDRESS,
+    delegate: wallet.address,
+    wallet: wallet.name,
+    token: token.address,
+    symbol: token.symbol,
+    decimals: token.decimals,
+    amount: null,
+    txHash: null,
+    gasUsed: null,
+    allowanceBefore: null,
+    allowanceAfter: null,
+    error: null,
+    errorClass: null,
+    ...fields,
+  });
+}
 
+/**
+ * Check and refill every watched token of one wallet. Returns one report
+ * row per token: { wallet, address, mode, token, balance, status, amount,
+ * txHash, detail, proposal }. status is "ok", "refilled", "skipped",
+ * "needs-funds" (report-only wallet), "reverted" or "failed".
+ */
+async function refillWallet(ctx, wallet) {
+  const { publicClient, walletClient, account, gasless, escalation } = ctx;
+  const mode = wallet.isAgent ? "direct" : wallet.signer ? "authorization" : "report";
+  const prefix = wallet.isAgent ? "" : `${wallet.name}: `;
+  log(`--- Wallet ${wallet.name} (${wallet.address}, ${mode}) ---`);
+
+  // The account whose allowance pays for this wallet's refills
+  let delegate = null;
+  let scheme = null;
+  let setupError = null;
+  let setupErrorClass = null;
+  if (mode === "direct") {
+    delegate = account;
+    scheme = safeSignatureScheme();
+  } else if (mode === "authorization") {
     try {
-      // Simulate first to avoid wasting gas on reverts
-      log("  Simulating MOR refill...");
-      await publicClient.simulateContract({
-        address: ALLOWANCE_MODULE,
-        abi: ALLOWANCE_MODULE_ABI,
-        functionName: "executeAllowanceTransfer",
-        args: morRefillArgs,
-        account: hotWallet,
+      delegate = await createRemoteAccount({ url: wallet.signer.url, address: wallet.address, api: wallet.signer.api });
+      scheme = wallet.signer.scheme;
+    } catch (e) {
+      setupError = signerErrorMessage(e);
+      setupErrorClass = errorClass(e);
+      log(`ERROR: Signer for ${wallet.name} unavailable: ${setupError}`);
+      await sendAlert(`${prefix}Refill signer unavailable - ${setupError}`, "critical", {
+        key: `refill-signer:${wallet.address}`,
       });
-      log("  Simulation OK. Sending transaction...");
+    }
+  }
 
-      const tx = await walletClient.writeContract({
-        address: ALLOWANCE_MODULE,
-        abi: ALLOWANCE_MODULE_ABI,
-        functionName: "executeAllowanceTransfer",
-        args: morRefillArgs,
-      });
-      log(`MOR refill tx: ${tx}`);
-      const receipt = await publicClient.waitForTransactionReceipt({ hash: tx });
-      log(`MOR refill: ${receipt.status === "success" ? "SUCCESS" : "REVERTED"}`);
-      if (receipt.status !== "success") {
-        await sendAlert(`MOR refill transaction reverted. Hot wallet may run out of MOR.`);
+  const rows = [];
+  let broken = Boolean(setupError);
+  for (const token of wallet.tokens) {
+    const label = token.symbol;
+    const fmt = (value) => formatUnits(value, token.decimals);
+    const row = {
+      wallet: wallet.name,
+      address: wallet.address,
+      mode,
+      token: token.symbol,
+      balance: null,
+      status: "ok",
+      amount: null,
+      txHash: null,
+      detail: null,
+      proposal: null,
+    };
+    rows.push(row);
+
+    if (broken) {
+      row.status = "failed";
+      row.detail = setupError || "skipped after a configuration failure";
+      if (setupError) {
+        recordRefill(wallet, token, { status: "failed", error: setupError, errorClass: setupErrorClass });
       }
+      continue;
+    }
+
+    // Check balance (with retry for transient RPC failures)
+    let balance;
+    try {
+      balance = await readBalance(publicClient, wallet.address, token);
     } catch (e) {
-      const errMsg = e.shortMessage || e.message;
-      log(`MOR refill failed: ${errMsg}`);
-
-      // Check if this is a fundamental configuration issue
-      const isFundamentalFailure =
-        errMsg.includes("not a delegate") ||
-        errMsg.includes("module") ||
-        errMsg.includes("not enabled") ||
-        errMsg.includes("invalid delegate") ||
-        errMsg.includes("unauthorized");
-
-      if (isFundamentalFailure) {
-        log("FATAL: Fundamental configuration issue detected. Skipping ETH refill.");
-        await sendAlert(`CRITICAL: Refill configuration broken - ${errMsg}`, "critical");
-        log("Refill check complete (with errors).");
-        return; // Exit early, don't try ETH
-      }
+      row.status = "failed";
+      row.detail = signerErrorMessage(e);
+      log.error(`${label} balance check failed: ${row.detail}`, {
+        event: "refill.failed",
+        wallet: wallet.name,
+        token: label,
+        errorClass: errorClass(e),
+      });
+      recordRefill(wallet, token, { status: "failed", error: row.detail, errorClass: errorClass(e) });
+      continue;
+    }
+    row.balance = fmt(balance);
+    log(`${label} balance: ${fmt(balance)}`);
 
-      // Only alert if it's not an expected "allowance exhausted" type error
-      if (!errMsg.includes("allowance") && !errMsg.includes("Allowance")) {
-        await sendAlert(`MOR refill failed: ${errMsg}. Hot wallet may run out of MOR.`);
+    const outcome = { low: balance < token.threshold, refilled: false, exhausted: false };
+    if (!outcome.low) {
+      log(`${label} balance OK.`);
+    } else {
+      let allowanceBefore = null;
+      let amount = null;
+      try {
+        // Size a refill from the target and what is left of the allowance
+        const allowance = await withRetry(
+          () => readAllowance(publicClient, {
+            moduleAddress: ALLOWANCE_MODULE,
+            safeAddress: SAFE_ADDRESS,
+            delegate: wallet.address,
+            token: token.address,
+          }),
+          { description: `${label} allowance check` }
+        );
+        const fee = gasless && mode !== "report" && gasless.paymentToken === token.address ? gasless.maxPayment : 0n;
+        const refill = planRefill({ token, balance, allowance, fee });
+        allowanceBefore = fmt(allowance.remaining);
+
+        if (refill.skip) {
+          log(`${label} below ${fmt(token.threshold)} threshold. Skipping refill: ${refill.skip}.`, {
+            event: "refill.skipped",
+            wallet: wallet.name,
+            token: label,
+            reason: refill.skip,
+          });
+          row.status = "skipped";
+          row.detail = refill.skip;
+          outcome.exhausted = Boolean(refill.exhausted);
+          recordRefill(wallet, token, { status: "skipped", reason: refill.skip, allowanceBefore });
+        } else if (mode === "report") {
+          log(`${label} below ${fmt(token.threshold)} threshold. Needs ${fmt(refill.amount)} ${label} (no key or signer for this delegate).`, {
+            event: "refill.needs-funds",
+            wallet: wallet.name,
+            token: label,
+            amount: fmt(refill.amount),
+          });
+          row.status = "needs-funds";
+          row.amount = fmt(refill.amount);
+          row.detail = `needs ${fmt(refill.amount)} ${label}; refill it with its own key`;
+          recordRefill(wallet, token, { status: "skipped", reason: row.detail, amount: row.amount, allowanceBefore });
+        } else {
+          log(
+            `${label} below ${fmt(token.threshold)} threshold. Pulling ${fmt(refill.amount)} from Safe (target ${fmt(token.target)})...`
+          );
+          amount = fmt(refill.amount);
+          const result = await pullFromSafe(publicClient, walletClient, delegate, gasless, {
+            token: token.address,
+            amount: refill.amount,
+            label,
+            scheme,
+            fields: { wallet: wallet.name, token: label, amount },
+          });
+          row.amount = fmt(refill.amount);
+          row.txHash = result.txHash;
+          row.status = result.status === "success" ? "refilled" : "reverted";
+          outcome.refilled = result.status === "success";
+
+          // The relayer fee also comes out of the allowance when paid in this token
+          const after = await readAllowance(publicClient, {
+            moduleAddress: ALLOWANCE_MODULE,
+            safeAddress: SAFE_ADDRESS,
+            delegate: wallet.address,
+            token: token.address,
+          }).catch(() => null);
+          recordRefill(wallet, token, {
+            status: result.status,
+            amount,
+            txHash: result.txHash,
+            gasUsed: result.gasUsed === null ? null : result.gasUsed.toString(),
+            allowanceBefore,
+            allowanceAfter: after ? fmt(after.remaining) : null,
+            error: result.status === "success" ? null : `Refill transaction ${result.txHash} reverted`,
+            ...(result.relayer
+              ? { relay: { relayer: result.relayer, paymentToken: gasless.paymentToken, payment: formatEther(result.payment) } }
+              : {}),
+          });
+          if (result.status !== "success") {
+            await sendAlert(`${prefix}${label} refill transaction reverted. Hot wallet may run out of ${label === "ETH" ? "gas" : label}.`, "error", {
+              key: `refill:${wallet.address}:${label}`,
+            });
+          }
+        }
+      } catch (e) {
+        const errMsg = signerErrorMessage(e);
+        log.error(`${label} refill failed: ${errMsg}`, {
+          event: "refill.failed",
+          wallet: wallet.name,
+          token: label,
+          amount,
+          errorClass: errorClass(e),
+        });
+        row.status = "failed";
+        row.detail = errMsg;
+        // A relayer that failed after submitting may still have sent it
+        row.txHash = e.txHash || null;
+        recordRefill(wallet, token, {
+          status: "failed",
+          amount,
+          txHash: e.txHash || null,
+          allowanceBefore,
+          error: errMsg,
+          errorClass: errorClass(e),
+        });
+
+        // Check if this is a fundamental configuration issue
+        const isFundamentalFailure =
+          findRemoteSignerError(e) !== null ||
+          errMsg.includes("not a delegate") ||
+          errMsg.includes("module") ||
+          errMsg.includes("not enabled") ||
+          errMsg.includes("invalid delegate") ||
+          errMsg.includes("unauthorized");
+
+        if (isFundamentalFailure) {
+          log("FATAL: Fundamental configuration issue detected. Skipping the rest of this wallet.");
+          await sendAlert(`CRITICAL: ${prefix}Refill configuration broken - ${errMsg}`, "critical", {
+            key: `refill-config:${wallet.address}`,
+          });
+          broken = true;
+          continue;
+        }
+
+        // Only alert if it's not an expected "allowance exhausted" type error
+        if (!errMsg.includes("allowance") && !errMsg.includes("Allowance")) {
+          await sendAlert(`${prefix}${label} refill failed: ${errMsg}. Hot wallet may run out of ${label === "ETH" ? "gas" : label}.`, "error", {
+            key: `refill:${wallet.address}:${label}`,
+          });
+        } else {
+          outcome.exhausted = true;
+        }
       }
     }
-  } else {
-    log("MOR balance OK.");
+
+    let proposalFailed = false;
+    try {
+      const proposal = await escalate(publicClient, account, escalation, { wallet, token, balance, outcome });
+      row.proposal = proposal ? proposal.safeTxHash : null;
+    } catch (e) {
+      const errMsg = signerErrorMessage(e);
+      log.error(`${prefix}${label} top-up proposal failed: ${errMsg}`, {
+        event: "escalation.failed",
+        wallet: wallet.name,
+        token: label,
+        errorClass: errorClass(e),
+      });
+      await sendAlert(`${prefix}${label} allowance cannot cover the hot wallet and proposing a top-up failed: ${errMsg}`, "error", {
+        key: `escalation:${wallet.address}:${label}`,
+      });
+      proposalFailed = true;
+    }
+    if (!proposalFailed) {
+      await resolveAlert(`escalation:${wallet.address}:${label}`, `${prefix}${label} top-up proposals work again.`);
+    }
+    if (row.status !== "failed" && row.status !== "reverted") {
+      await resolveAlert(`refill:${wallet.address}:${label}`, `${prefix}${label} refill check passes again.`);
+    }
   }
 
-  // --- ETH refill ---
-  if (ethBalance < ETH_LOW_THRESHOLD) {
-    log(
-      `ETH below ${formatEther(ETH_LOW_THRESHOLD)} threshold. Pulling ${formatEther(ETH_REFILL_AMOUNT)} from Safe...`
-    );
-
-    const ethRefillArgs = [
-      SAFE_ADDRESS,      // safe
-      zeroAddress,       // token (address(0) = native ETH)
-      hotWallet,         // to
-      ETH_REFILL_AMOUNT, // amount (uint96)
-      zeroAddress,       // paymentToken
-      0n,                // payment
-      hotWallet,         // delegate
-      "0x",              // signature
-    ];
+  // Failing alerts for the wallet as a whole close once a run gets through it
+  if (!broken) {
+    await resolveAlert(`refill-signer:${wallet.address}`, `${prefix}Refill signer is reachable again.`);
+    await resolveAlert(`refill-config:${wallet.address}`, `${prefix}Refill configuration works again.`);
+  }
+  return rows;
+}
+
+/**
+ * Log the run as one table and keep it as JSON for status and scripts.
+ */
+function writeReport(rows, fleet) {
+  log("--- Refill summary ---");
+  const width = Math.max(...rows.map((r) => r.wallet.length));
+  for (const r of rows) {
+    const what =
+      r.status === "refilled" ? `+${r.amount} (${r.txHash})`
+      : r.status === "ok" ? ""
+      : r.detail || (r.amount ? `${r.amount}` : "");
+    const pending = r.proposal ? ` [top-up pending: ${r.proposal}]` : "";
+    log(`  ${r.wallet.padEnd(width)}  ${r.token.padEnd(5)} ${String(r.balance ?? "?").padEnd(22)} ${r.status.toUpperCase().padEnd(11)} ${what}${pending}`);
+  }
+
+  const report = { ts: new Date().toISOString(), safe: SAFE_ADDRESS, fleet: fleet.source, wallets: rows };
+  mkdirSync(dirname(REPORT_FILE), { recursive: true, mode: 0o700 });
+  writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2) + "\n", { mode: 0o600 });
+}
+
+/**
+ * One pass over the fleet: refill what is low, escalate what the allowance
+ * cannot cover, then log and save the summary.
+ */
+async function runCheck(ctx, fleet) {
+  const startedAt = Date.now();
+  ctx.escalation = readEscalationState(SAFE_DIR);
+  const rows = [];
+  for (const wallet of fleet.wallets) {
+    rows.push(...(await refillWallet(ctx, wallet)));
+  }
+  writeEscalationState(SAFE_DIR, ctx.escalation);
+  writeReport(rows, fleet);
+  await resolveAlert("refill-crash", "Refill completes a check again after the crash.");
 
+  const failed = rows.some((r) => r.status === "failed" || r.status === "reverted");
+  log(failed ? "Refill check complete (with errors)." : "Refill check complete.", {
+    event: "refill.check",
+    wallets: fleet.wallets.length,
+    failed,
+    durationMs: Date.now() - startedAt,
+  });
+}
+
+/**
+ * Keep watching until a shutdown signal. Each new block, re-read the
+ * balances that may have moved (ERC-20 Transfer logs from or to a watched
+ * wallet; ETH every block) and run a check as soon as one is below its
+ * threshold and has changed. A full check also runs at start, every
+ * RECHECK_MINUTES and after a gap too long to scan.
+ */
+async function runDaemon(ctx, fleet) {
+  const { publicClient } = ctx;
+  const watched = fleet.wallets.flatMap((wallet) =>
+    wallet.tokens.map((token) => ({ wallet, token, key: `${wallet.address}:${token.address}`.toLowerCase() }))
+  );
+  const tokenAddresses = [...new Set(watched.map((w) => w.token.address).filter((a) => a !== zeroAddress))];
+  const walletAddresses = new Set(fleet.wallets.map((w) => w.address.toLowerCase()));
+  const balances = new Map();
+
+  const refreshAll = async () => {
+    for (const w of watched) {
+      balances.set(w.key, await readBalance(publicClient, w.wallet.address, w.token));
+    }
+  };
+
+  log(`Daemon mode: watching ${watched.length} balance(s), polling every ${POLL_SECONDS}s, full check every ${RECHECK_MINUTES}m.`);
+
+  let lastBlock = null;
+  let nextFullCheck = 0;
+  let failures = 0;
+  let frozenSince = null;
+  while (!stopRequested) {
     try {
-      // Simulate first to avoid wasting gas on reverts
-      log("  Simulating ETH refill...");
-      await publicClient.simulateContract({
-        address: ALLOWANCE_MODULE,
-        abi: ALLOWANCE_MODULE_ABI,
-        functionName: "executeAllowanceTransfer",
-        args: ethRefillArgs,
-        account: hotWallet,
-      });
-      log("  Simulation OK. Sending transaction...");
+      const head = await publicClient.getBlockNumber();
+      if (lastBlock === null || head > lastBlock) {
+        let due = Date.now() >= nextFullCheck || lastBlock === null || head - lastBlock > MAX_LOG_RANGE;
 
-      const tx = await walletClient.writeContract({
-        address: ALLOWANCE_MODULE,
-        abi: ALLOWANCE_MODULE_ABI,
-        functionName: "executeAllowanceTransfer",
-        args: ethRefillArgs,
-      });
-      log(`ETH refill tx: ${tx}`);
-      const receipt = await publicClient.waitForTransactionReceipt({ hash: tx });
-      log(`ETH refill: ${receipt.status === "success" ? "SUCCESS" : "REVERTED"}`);
-      if (receipt.status !== "success") {
-        await sendAlert(`ETH refill transaction reverted. Hot wallet may run out of gas.`);
+        if (!due) {
+          // Which balances may have moved since the last block we saw
+          const stale = new Set(watched.filter((w) => w.token.address === zeroAddress).map((w) => w.key));
+          if (tokenAddresses.length > 0) {
+            const logs = await publicClient.getLogs({
+              address: tokenAddresses,
+              event: TRANSFER_EVENT,
+              fromBlock: lastBlock + 1n,
+              toBlock: head,
+            });
+            for (const entry of logs) {
+              for (const party of [entry.args.from, entry.args.to]) {
+                if (party && walletAddresses.has(party.toLowerCase())) {
+                  stale.add(`${party}:${getAddress(entry.address)}`.toLowerCase());
+                }
+              }
+            }
+          }
+
+          for (const w of watched) {
+            if (!stale.has(w.key)) continue;
+            const balance = await readBalance(publicClient, w.wallet.address, w.token);
+            const previous = balances.get(w.key);
+            balances.set(w.key, balance);
+            if (balance < w.token.threshold && balance !== previous) {
+              log(`${w.wallet.name} ${w.token.symbol} balance ${formatUnits(balance, w.token.decimals)} is below ${formatUnits(w.token.threshold, w.token.decimals)} (block ${head}).`);
+              due = true;
+            }
+          }
+        }
+
+        if (due) {
+          // Checked before every pass: a freeze while running idles the daemon
+          const frozen = readFreezeMarker(SAFE_DIR);
+          if (frozen) {
+            if (frozenSince === null) {
+              log(`Refill is frozen since ${frozen.frozenAt || "unknown time"}. Watching only; delete ${freezeFile(SAFE_DIR)} to resume.`);
+            }
+            frozenSince = frozen.frozenAt || "unknown";
+          } else {
+            if (frozenSince !== null) log("Freeze marker removed. Resuming refills.");
+            frozenSince = null;
+            await runCheck(ctx, fleet);
+          }
+          await refreshAll();
+          nextFullCheck = Date.now() + RECHECK_MINUTES * 60_000;
+        }
+        lastBlock = head;
+      }
+      if (failures > 0) {
+        await resolveAlert("refill-watch", "Refill daemon is watching balances again.");
       }
+      failures = 0;
+      await sleep(POLL_SECONDS * 1000);
     } catch (e) {
-      const errMsg = e.shortMessage || e.message;
-      log(`ETH refill failed: ${errMsg}`);
-
-      // Check if this is a fundamental configuration issue
-      const isFundamentalFailure =
-        errMsg.includes("not a delegate") ||
-        errMsg.includes("module") ||
-        errMsg.includes("not enabled") ||
-        errMsg.includes("invalid delegate") ||
-        errMsg.includes("unauthorized");
-
-      if (isFundamentalFailure) {
-        await sendAlert(`CRITICAL: Refill configuration broken - ${errMsg}`, "critical");
-      } else if (!errMsg.includes("allowance") && !errMsg.includes("Allowance")) {
-        // Only alert if it's not an expected "allowance exhausted" type error
-        await sendAlert(`ETH refill failed: ${errMsg}. Hot wallet may run out of gas.`);
+      failures++;
+      const delay = Math.min(POLL_SECONDS * 2 ** failures, MAX_BACKOFF_SECONDS);
+      const errMsg = signerErrorMessage(e);
+      log.warn(`Watch failed (${failures} in a row), retrying in ${delay}s: ${errMsg}`, {
+        event: "daemon.watch-failed",
+        failures,
+        errorClass: errorClass(e),
+      });
+      if (failures === 5) {
+        await sendAlert(`Refill daemon cannot watch balances (${failures} errors in a row) - ${errMsg}`, "error", {
+          key: "refill-watch",
+        });
+      }
+      await sleep(delay * 1000);
+    }
+  }
+  log("Refill daemon stopped.");
+}
+
+// --- Main ---
+async function main() {
+  if (!SAFE_ADDRESS) {
+    log("ERROR: SAFE_ADDRESS not set. Add it to ~/morpheus/.env");
+    process.exit(1);
+  }
+
+  // A typo (NaN) or 0 would turn the daemon loop into a tight RPC loop
+  if (DAEMON) {
+    for (const [name, value, min] of [
+      ["REFILL_POLL_SECONDS", POLL_SECONDS, MIN_POLL_SECONDS],
+      ["REFILL_RECHECK_MINUTES", RECHECK_MINUTES, MIN_RECHECK_MINUTES],
+    ]) {
+      if (!Number.isFinite(value) || value < min) {
+        log(`ERROR: ${name} must be a number of at least ${min}, got "${process.env[name]}"`);
+        process.exit(1);
       }
     }
-  } else {
-    log("ETH balance OK.");
   }
 
-  log("Refill check complete.");
+  // A one-shot run stops here; the daemon checks before every pass instead
+  const frozen = readFreezeMarker(SAFE_DIR);
+  if (frozen && !DAEMON) {
+    log(`Refill is frozen since ${frozen.frozenAt || "unknown time"}${frozen.reason ? ` (${frozen.reason})` : ""}.`);
+    log(`  Delete ${freezeFile(SAFE_DIR)} to resume. Skipping.`);
+    return;
+  }
+
+  log("--- Safe refill check ---");
+  log(`Safe: ${SAFE_ADDRESS}`);
+  log(`AllowanceModule: ${ALLOWANCE_MODULE}`);
+
+  let account;
+  try {
+    account = await loadAgentAccount();
+  } catch (e) {
+    log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+  const hotWallet = account.address;
+  log(`Hot wallet: ${hotWallet}`);
+
+  let gasless;
+  try {
+    gasless = gaslessConfig({ morToken: MOR_TOKEN });
+  } catch (e) {
+    log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+  if (gasless) {
+    log(`Gasless via relayer ${gasless.relayerUrl} (refund in ${gasless.paymentSymbol}, at most ${formatEther(gasless.maxPayment)})`);
+  }
+
+  // Wallets to check: the fleet file, or just this key's wallet
+  const fleetOptions = {
+    agentAddress: hotWallet,
+    knownTokens: { MOR: { address: MOR_TOKEN, decimals: 18 } },
+    defaults: TOKEN_DEFAULTS,
+  };
+  let fleet;
+  try {
+    fleet = existsSync(FLEET_FILE)
+      ? loadFleet(FLEET_FILE, fleetOptions)
+      : buildFleet({ wallets: [{ address: "agent", tokens: { MOR: {}, ETH: {} } }] }, fleetOptions);
+  } catch (e) {
+    log(`ERROR: Invalid fleet file ${FLEET_FILE}: ${e.message}`);
+    process.exit(1);
+  }
+  if (fleet.source) {
+    log(`Fleet: ${fleet.wallets.length} wallet(s) from ${fleet.source}`);
+  }
+
+  const publicClient = createPublicClient({
+    chain: base,
+    transport: http(RPC_URL),
+  });
+  const walletClient = createWalletClient({
+    account,
+    chain: base,
+    transport: http(RPC_URL),
+  });
+
+  const ctx = { publicClient, walletClient, account, gasless, escalation: null };
+  if (DAEMON) {
+    await runDaemon(ctx, fleet);
+  } else {
+    await runCheck(ctx, fleet);
+  }
 }
 
 main().catch(async (e) => {
-  const errMsg = e.message;
+  const errMsg = signerErrorMessage(e);
   log(`FATAL: ${errMsg}`);
-  await sendAlert(`CRITICAL: Refill daemon crashed - ${errMsg}`, "critical");
+  await sendAlert(`CRITICAL: Refill daemon crashed - ${errMsg}`, "critical", { key: "refill-crash" });
   process.exit(1);
 });
@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+/**
+ * agent-treasury-relayer.mjs — Local relayer for signed AllowanceModule transfers
+ *
+ * Lets the agent hot wallet run without ETH: the agent signs a transfer
+ * authorization (see lib/allowance-transfer.mjs), this process submits
+ * executeAllowanceTransfer with its own key and the module refunds it from
+ * the Safe in ETH or MOR.
+ *
+ * HTTP API (JSON, bound to 127.0.0.1 by default):
+ *   GET  /health  -- relayer address, chain, module, served Safes
+ *   POST /quote   -- { safe, token, paymentToken } -> { payment, relayer, gasPrice, gasUnits }
+ *   POST /relay   -- authorization -> { txHash, status, gasUsed }
+ *                    (on a 500 after sending, the error carries txHash too)
+ *
+ * Before submitting, the relayer checks the chain, module and Safe, that the
+ * signature recovers to the delegate with the current allowance nonce, and
+ * that the payment covers the estimated gas. Submissions are sent one at a
+ * time so the relayer's own nonces never collide.
+ *
+ * The relayer must use its own key, not the agent's. Its signer settings are
+ * read from ~/morpheus/relayer.env first, so they take precedence over the
+ * agent's SAFE_SIGNER settings in .env:
+ *   SAFE_SIGNER=keystore
+ *   SAFE_KEYSTORE_FILE=~/morpheus/relayer-keystore.json
+ * It refuses to start without SAFE_SIGNER in that file, or when its address
+ * is an AllowanceModule delegate of a Safe it serves.
+ *
+ * Usage:
+ *   node scripts/agent-treasury-relayer.mjs
+ *
+ * Required in ~/morpheus/.env:
+ *   SAFE_RPC=https://...          Base RPC URL
+ *
+ * Optional:
+ *   RELAYER_ENV_FILE=...          Relayer settings (default: ~/morpheus/relayer.env)
+ *   RELAYER_HOST=127.0.0.1        Listen address
+ *   RELAYER_PORT=8565             Listen port
+ *   RELAYER_SAFES=0x...,0x...     Safes served (default: SAFE_ADDRESS)
+ *   RELAYER_GAS_UNITS=150000      Gas assumed when quoting
+ *   RELAYER_FEE_MARGIN=1.2        Quote = gas cost x margin
+ *   RELAYER_MOR_PER_ETH=...       MOR price of 1 ETH; without it MOR refunds are refused
+ *   ALLOWANCE_MODULE=0x...        AllowanceModule address (default: Base deployment)
+ */
+
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+import {
+  createPublicClient,
+  createWalletClient,
+  http,
+  formatEther,
+  formatUnits,
+  parseUnits,
+  getAddress,
+  isAddressEqual,
+  parseAbi,
+  zeroAddress,
+} from "viem";
+import { base } from "viem/chains";
+import { loadAgentAccount, signerErrorMessage } from "./lib/signer.mjs";
+import {
+  ALLOWANCE_TRANSFER_ABI,
+  authorizationToJson,
+  recoverAuthorizationSigner,
+  currentTransferNonce,
+  executeArgs,
+} from "./lib/allowance-transfer.mjs";
+import { createLogger } from "./lib/logger.mjs";
+
+// --- Load .env ---
+const SAFE_DIR = process.env.SAFE_DIR || process.env.MORPHEUS_DIR || `${process.env.HOME}/morpheus`;
+
+/**
+ * Returns the entries found in the file, or null if it cannot be read.
+ */
+function loadEnv(filepath) {
+  const entries = {};
+  try {
+    const content = readFileSync(filepath, "utf-8");
+    for (const line of content.split("\n")) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) continue;
+      const eqIdx = trimmed.indexOf("=");
+      if (eqIdx === -1) continue;
+      const key = trimmed.slice(0, eqIdx);
+      let value = trimmed.slice(eqIdx + 1);
+      if (
+        (value.startsWith('"') && value.endsWith('"')) ||
+        (value.startsWith("'") && value.endsWith("'"))
+      ) {
+        value = value.slice(1, -1);
+      }
+      entries[key] = value;
+      if (!process.env[key]) {
+        process.env[key] = value;
+      }
+    }
+  } catch {
+    return null;
+  }
+  return entries;
+}
+
+// Relayer settings first: loadEnv never overrides a value already set
+const RELAYER_ENV_FILE = process.env.RELAYER_ENV_FILE || `${SAFE_DIR}/relayer.env`;
+const relayerEnv = loadEnv(RELAYER_ENV_FILE);
+loadEnv(`${SAFE_DIR}/.env`);
+
+// --- Configuration ---
+// SECURITY: Require explicit RPC config. Public RPCs can return manipulated data.
+const RPC_URL = process.env.SAFE_RPC || process.env.EVERCLAW_RPC;
+if (!RPC_URL) {
+  console.error("[ERROR] SAFE_RPC not configured in ~/morpheus/.env");
+  console.error("  Public RPCs are NOT secure for financial operations.");
+  console.error("  Use Alchemy, Infura, QuickNode, or your own node.");
+  process.exit(1);
+}
+
+const HOST = process.env.RELAYER_HOST || "127.0.0.1";
+const PORT = parseInt(process.env.RELAYER_PORT || "8565", 10);
+const GAS_UNITS = BigInt(process.env.RELAYER_GAS_UNITS || "150000");
+// Fee margin in basis points (1.2 -> 12000)
+const FEE_MARGIN_BPS = BigInt(Math.round(Number(process.env.RELAYER_FEE_MARGIN || "1.2") * 10000));
+const MOR_PER_ETH = process.env.RELAYER_MOR_PER_ETH ? parseUnits(process.env.RELAYER_MOR_PER_ETH, 18) : null;
+
+// Contract addresses (Base mainnet)
+const MOR_TOKEN = "0x7431aDa8a591C955a994a21710752EF9b882b8e3";
+const ALLOWANCE_MODULE = getAddress(
+  process.env.ALLOWANCE_MODULE ||
+  "0xCFbFaC74C26F8647cBDb8c5caf80BB5b32E43134"
+);
+
+const SAFES = (process.env.RELAYER_SAFES || process.env.SAFE_ADDRESS || "")
+  .split(",")
+  .map((a) => a.trim())
+  .filter(Boolean)
+  .map((a) => getAddress(a));
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+const DELEGATES_ABI = parseAbi([
+  "function getDelegates(address safe, uint48 start, uint8 pageSize) view returns (address[] results, uint48 next)",
+]);
+
+// --- Helpers ---
+const log = createLogger({ script: "relayer" });
+
+/**
+ * A request the relayer refuses; reported to the client as 400.
+ */
+class RelayError extends Error {}
+
+/**
+ * Gas cost in wei expressed in the payment token, or null if the token
+ * is not accepted.
+ */
+function costIn(paymentToken, wei) {
+  if (isAddressEqual(paymentToken, zeroAddress)) return wei;
+  if (isAddressEqual(paymentToken, MOR_TOKEN) && MOR_PER_ETH !== null) {
+    return (wei * MOR_PER_ETH) / 10n ** 18n;
+  }
+  return null;
+}
+
+function paymentSymbol(paymentToken) {
+  return isAddressEqual(paymentToken, zeroAddress) ? "ETH" : "MOR";
+}
+
+function checkSafe(safe) {
+  if (!SAFES.some((a) => isAddressEqual(a, safe))) {
+    throw new RelayError(`Safe ${safe} is not served by this relayer`);
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new RelayError("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(new RelayError("Request body is not JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Submissions run one at a time (relayer nonce ordering)
+let queue = Promise.resolve();
+function serialized(fn) {
+  const run = queue.then(fn, fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * The Safes (of those served) that have `address` as an AllowanceModule
+ * delegate. getDelegates is paginated.
+ */
+async function safesDelegatingTo(publicClient, address) {
+  const found = [];
+  for (const safe of SAFES) {
+    let start = 0;
+    do {
+      const [results, next] = await publicClient.readContract({
+        address: ALLOWANCE_MODULE,
+        abi: DELEGATES_ABI,
+        functionName: "getDelegates",
+        args: [safe, start, 50],
+      });
+      if (results.some((d) => isAddressEqual(d, address))) {
+        found.push(safe);
+        break;
+      }
+      start = Number(next);
+    } while (start !== 0);
+  }
+  return found;
+}
+
+// --- Handlers ---
+
+async function handleQuote(publicClient, account, body) {
+  let safe, paymentToken;
+  try {
+    safe = getAddress(body.safe);
+    paymentToken = getAddress(body.paymentToken || zeroAddress);
+  } catch {
+    throw new RelayError("quote needs safe and paymentToken addresses");
+  }
+  checkSafe(safe);
+
+  const gasPrice = await publicClient.getGasPrice();
+  const payment = costIn(paymentToken, (GAS_UNITS * gasPrice * FEE_MARGIN_BPS) / 10000n);
+  if (payment === null) {
+    throw new RelayError(`Payment token ${paymentToken} is not accepted (set RELAYER_MOR_PER_ETH for MOR)`);
+  }
+  return {
+    ok: true,
+    relayer: account.address,
+    paymentToken,
+    payment: payment.toString(),
+    gasPrice: gasPrice.toString(),
+    gasUnits: GAS_UNITS.toString(),
+  };
+}
+
+async function handleRelay(publicClient, walletClient, account, body) {
+  let authorization;
+  try {
+    authorization = authorizationToJson(body);
+  } catch (e) {
+    throw new RelayError(e.message);
+  }
+  if (authorization.chainId !== publicClient.chain.id) {
+    throw new RelayError(`Authorization is for chain ${authorization.chainId}, relayer is on ${publicClient.chain.id}`);
+  }
+  if (!isAddressEqual(authorization.module, ALLOWANCE_MODULE)) {
+    throw new RelayError(`Authorization is for module ${authorization.module}, relayer uses ${ALLOWANCE_MODULE}`);
+  }
+  checkSafe(authorization.safe);
+
+  const signer = await recoverAuthorizationSigner(publicClient, authorization);
+  if (!isAddressEqual(signer, authorization.delegate)) {
+    throw new RelayError(`Signature recovers to ${signer}, not the delegate ${authorization.delegate}`);
+  }
+  const nonce = await currentTransferNonce(publicClient, {
+    moduleAddress: ALLOWANCE_MODULE,
+    safeAddress: authorization.safe,
+    delegate: authorization.delegate,
+    token: authorization.token,
+  });
+  if (authorization.nonce !== nonce) {
+    throw new RelayError(`Authorization nonce ${authorization.nonce} is not the current allowance nonce ${nonce}`);
+  }
+
+  const args = executeArgs(authorization);
+  let gas;
+  try {
+    gas = await publicClient.estimateContractGas({
+      address: ALLOWANCE_MODULE,
+      abi: ALLOWANCE_TRANSFER_ABI,
+      functionName: "executeAllowanceTransfer",
+      args,
+      account: account.address,
+    });
+  } catch (e) {
+    throw new RelayError(`Transfer would revert: ${e.shortMessage || e.message}`);
+  }
+  const gasPrice = await publicClient.getGasPrice();
+  const required = costIn(authorization.paymentToken, gas * gasPrice);
+  if (required === null) {
+    throw new RelayError(`Payment token ${authorization.paymentToken} is not accepted`);
+  }
+  if (BigInt(authorization.payment) < required) {
+    const symbol = paymentSymbol(authorization.paymentToken);
+    throw new RelayError(
+      `Payment ${formatUnits(BigInt(authorization.payment), 18)} ${symbol} does not cover gas (${formatUnits(required, 18)} ${symbol})`
+    );
+  }
+
+  const txHash = await walletClient.writeContract({
+    address: ALLOWANCE_MODULE,
+    abi: ALLOWANCE_TRANSFER_ABI,
+    functionName: "executeAllowanceTransfer",
+    args,
+    gas: (gas * 12n) / 10n,
+  });
+  const sentAt = Date.now();
+  log(`Relayed ${authorization.amount} of ${authorization.token} from ${authorization.safe} to ${authorization.to}: ${txHash}`);
+  let receipt;
+  try {
+    receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
+  } catch (e) {
+    // Sent already: the client must know the hash to follow it up
+    e.txHash = txHash;
+    throw e;
+  }
+  log(`  ${receipt.status === "success" ? "SUCCESS" : "REVERTED"} (gas used ${receipt.gasUsed})`, {
+    event: receipt.status === "success" ? "relay.success" : "relay.reverted",
+    safe: authorization.safe,
+    token: authorization.token,
+    amount: authorization.amount,
+    txHash,
+    durationMs: Date.now() - sentAt,
+  });
+  return {
+    ok: true,
+    txHash,
+    status: receipt.status === "success" ? "success" : "reverted",
+    gasUsed: receipt.gasUsed.toString(),
+  };
+}
+
+// --- Main ---
+async function main() {
+  if (SAFES.length === 0) {
+    log("ERROR: No Safe to serve. Set SAFE_ADDRESS or RELAYER_SAFES.");
+    process.exit(1);
+  }
+
+  // SECURITY: Never fall back to the agent's signer settings from .env:
+  // the relayer would then pay gas with the hot wallet's own key
+  if (relayerEnv === null) {
+    log(`ERROR: ${RELAYER_ENV_FILE} not found. The relayer needs its own key: set SAFE_SIGNER (and its settings) there.`);
+    process.exit(1);
+  }
+  if (!relayerEnv.SAFE_SIGNER) {
+    log(`ERROR: ${RELAYER_ENV_FILE} sets no SAFE_SIGNER. The relayer must not use the agent's signer from .env.`);
+    process.exit(1);
+  }
+  if (process.env.SAFE_SIGNER !== relayerEnv.SAFE_SIGNER) {
+    log(`ERROR: SAFE_SIGNER=${process.env.SAFE_SIGNER} from the environment overrides ${RELAYER_ENV_FILE}. Unset it for the relayer.`);
+    process.exit(1);
+  }
+
+  let account;
+  try {
+    account = await loadAgentAccount();
+  } catch (e) {
+    log(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  const publicClient = createPublicClient({
+    chain: base,
+    transport: http(RPC_URL),
+  });
+
+  // A delegate's key can move the Safe's allowance itself; it must not
+  // also hold the relayer's gas money
+  const delegating = await safesDelegatingTo(publicClient, account.address);
+  if (delegating.length > 0) {
+    log(`ERROR: Relayer key ${account.address} is an AllowanceModule delegate of ${delegating.join(", ")}. Give the relayer its own key.`);
+    process.exit(1);
+  }
+  const walletClient = createWalletClient({
+    account,
+    chain: base,
+    transport: http(RPC_URL),
+  });
+
+  const balance = await publicClient.getBalance({ address: account.address });
+  log("--- Allowance transfer relayer ---");
+  log(`Relayer: ${account.address} (${formatEther(balance)} ETH)`);
+  log(`AllowanceModule: ${ALLOWANCE_MODULE}`);
+  log(`Safes: ${SAFES.join(", ")}`);
+  log(`Refunds: ETH${MOR_PER_ETH !== null ? `, MOR at ${formatUnits(MOR_PER_ETH, 18)} MOR/ETH` : ""}`);
+
+  const server = createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    try {
+      if (req.method === "GET" && req.url === "/health") {
+        return send(200, {
+          ok: true,
+          relayer: account.address,
+          chainId: publicClient.chain.id,
+          module: ALLOWANCE_MODULE,
+          safes: SAFES,
+          paymentTokens: MOR_PER_ETH !== null ? [zeroAddress, MOR_TOKEN] : [zeroAddress],
+        });
+      }
+      if (req.method === "POST" && req.url === "/quote") {
+        return send(200, await handleQuote(publicClient, account, await readBody(req)));
+      }
+      if (req.method === "POST" && req.url === "/relay") {
+        const body = await readBody(req);
+        return send(200, await serialized(() => handleRelay(publicClient, walletClient, account, body)));
+      }
+      send(404, { ok: false, error: `No route ${req.method} ${req.url}` });
+    } catch (e) {
+      if (e instanceof RelayError) {
+        log(`Refused ${req.url}: ${e.message}`);
+        return send(400, { ok: false, error: e.message });
+      }
+      const message = signerErrorMessage(e);
+      log(`ERROR ${req.url}: ${message}`);
+      send(500, { ok: false, error: message, ...(e.txHash ? { txHash: e.txHash } : {}) });
+    }
+  });
+
+  server.listen(PORT, HOST, () => log(`Listening on http://${HOST}:${PORT}`));
+
+  const shutdown = (code) => {
+    log("Shutting down...");
+    server.close(() => process.exit(code));
+    setTimeout(() => process.exit(code), 5000).unref();
+  };
+  process.on("SIGINT", () => shutdown(130));
+  process.on("SIGTERM", () => shutdown(143));
+}
+
+main().catch((e) => {
+  log(`FATAL: ${signerErrorMessage(e)}`);
+  process.exit(1);
+});
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * agent-treasury-self-check.mjs — Offline checks of the signer, calldata and policy code
+ *
+ * Runs the parts of scripts/lib that need no chain, no Safe and no key
+ * against known answers, so a host (or a dependency upgrade) can be checked
+ * before the treasury depends on it:
+ *
+ *   keystore  -- decryptKeystore() on the Web3 Secret Storage test vectors
+ *                (scrypt n=2^18 r=1 p=8, pbkdf2 c=2^18) and a light scrypt
+ *                vector, and a wrong passphrase is refused
+ *   remote    -- createRemoteAccount() against the stub signer of
+ *                lib/stub-signer.mjs (clef and eth methods): message, typed
+ *                data and transaction signatures recover to its account, and
+ *                a rejecting, wrong-key or tampering signer is refused
+ *   calldata  -- decodeCall() only unpacks multiSend(bytes) delegatecalled
+ *                into MultiSend; sent anywhere else it is an unknown call
+ *   policy    -- checkPolicy() holds the target of such a call to
+ *                recipients.allow, and still passes a real batch
+ *
+ * Usage:
+ *   node scripts/agent-treasury-self-check.mjs
+ *
+ * Exits non-zero if any check fails. The scrypt vector takes a few seconds.
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  recoverMessageAddress,
+  recoverTypedDataAddress,
+  recoverTransactionAddress,
+  parseGwei,
+  encodeFunctionData,
+  parseEther,
+} from "viem";
+import { decryptKeystore } from "./lib/signer.mjs";
+import { createRemoteAccount, findRemoteSignerError } from "./lib/remote-signer.mjs";
+import { startStubSigner } from "./lib/stub-signer.mjs";
+import {
+  decodeCall,
+  riskLabels,
+  ERC20_CALL_ABI,
+  OPERATION_CALL,
+  OPERATION_DELEGATECALL,
+} from "./lib/calldata.mjs";
+import { encodeMultiSend, multiSendCallOnlyAddress } from "./lib/multisend.mjs";
+import { loadPolicy, checkPolicy } from "./lib/policy.mjs";
+import { createLogger } from "./lib/logger.mjs";
+
+// --- Vectors ---
+
+// Test key and passphrase of the Web3 Secret Storage definition
+const VECTOR_KEY = "0x7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d";
+const VECTOR_PASSPHRASE = "testpassword";
+
+const KEYSTORE_VECTORS = [
+  {
+    name: "scrypt n=262144 r=1 p=8 (standard)",
+    keystore: {
+      version: 3,
+      crypto: {
+        cipher: "aes-128-ctr",
+        cipherparams: { iv: "83dbcc02d8ccb40e466191a123791e0e" },
+        ciphertext: "d172bf743a674da9cdad04534d56926ef8358534d458fffccd4e6ad2fbde479c",
+        kdf: "scrypt",
+        kdfparams: { dklen: 32, n: 262144, r: 1, p: 8, salt: "ab0c7876052600dd703518d6fc3fe8984592145b591fc8fb5c6d43190334ba19" },
+        mac: "2103ac29920d71da29f15d75b4a16dbe95cfd7ff8faea1056c33131d846e3097",
+      },
+    },
+  },
+  {
+    name: "scrypt n=8192 r=8 p=1",
+    keystore: {
+      version: 3,
+      crypto: {
+        cipher: "aes-128-ctr",
+        cipherparams: { iv: "0102030405060708090a0b0c0d0e0f10" },
+        ciphertext: "f1a08a8a969756cea7763dff9b19e5c4ae9b7f3e16a6944b06e37f1ba595bfba",
+        kdf: "scrypt",
+        kdfparams: { dklen: 32, n: 8192, r: 8, p: 1, salt: "5a1e5a1e5a1e5a1e5a1e5a1e5a1e5a1e5a1e5a1e5a1e5a1e5a1e5a1e5a1e5a1e" },
+        mac: "822594a76485aa9c8c66613e61335a8564330090379d30a8cfa751dd654b85ae",
+      },
+    },
+  },
+  {
+    name: "pbkdf2 c=262144 (standard)",
+    keystore: {
+      version: 3,
+      crypto: {
+        cipher: "aes-128-ctr",
+        cipherparams: { iv: "6087dab2f9fdbbfaddc31a909735c1e6" },
+        ciphertext: "5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46",
+        kdf: "pbkdf2",
+        kdfparams: { c: 262144, dklen: 32, prf: "hmac-sha256", salt: "ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd" },
+        mac: "517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2",
+      },
+    },
+  },
+];
+
+const MESSAGE = { raw: "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef" };
+
+const TYPED_DATA = {
+  domain: { chainId: 8453, verifyingContract: "0x0000000000000000000000000000000000000001" },
+  types: { SafeTx: [{ name: "to", type: "address" }, { name: "value", type: "uint256" }] },
+  primaryType: "SafeTx",
+  message: { to: "0x0000000000000000000000000000000000000002", value: 5n },
+};
+
+const TRANSACTION = {
+  type: "eip1559",
+  chainId: 8453,
+  to: "0x0000000000000000000000000000000000000002",
+  value: 1n,
+  data: "0xabcd",
+  nonce: 0,
+  gas: 50_000n,
+  maxFeePerGas: parseGwei("1"),
+  maxPriorityFeePerGas: parseGwei("0.1"),
+};
+
+const TOKEN = "0x7431aDa8a591C955a994a21710752EF9b882b8e3";
+const PAYEE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const STRANGER = "0x000000000000000000000000000000000000dEaD";
+const SAFE = "0x6D05983796653b9BB0dDadAD0b67a7dcA1148AF2";
+
+// Two harmless-looking transfers packed as multiSend(bytes) calldata
+const BATCH_DATA = encodeMultiSend([
+  { to: PAYEE, value: parseEther("0.001"), data: "0x" },
+  {
+    to: TOKEN,
+    value: 0n,
+    data: encodeFunctionData({ abi: ERC20_CALL_ABI, functionName: "transfer", args: [PAYEE, parseEther("1")] }),
+  },
+]);
+
+// --- Helpers ---
+const log = createLogger({ script: "self-check" });
+
+let failed = 0;
+
+async function check(name, fn) {
+  const startedAt = Date.now();
+  try {
+    await fn();
+    log(`  [OK]   ${name} (${Date.now() - startedAt} ms)`);
+  } catch (e) {
+    failed++;
+    log.error(`  [FAIL] ${name}: ${e.message}`);
+  }
+}
+
+function expectEqual(actual, expected, what) {
+  if (actual !== expected) {
+    throw new Error(`${what} is ${actual}, expected ${expected}`);
+  }
+}
+
+/**
+ * Run fn and check it fails with a RemoteSignerError matching pattern.
+ */
+async function expectRemoteSignerError(fn, pattern) {
+  try {
+    await fn();
+  } catch (e) {
+    const remote = findRemoteSignerError(e);
+    if (remote && pattern.test(remote.message)) return;
+    throw e;
+  }
+  throw new Error("was accepted");
+}
+
+/**
+ * Start a stub signer, connect to it and pass the account to fn.
+ */
+async function withStubSigner({ mode, api }, fn) {
+  const stub = await startStubSigner({ mode });
+  try {
+    const account = await createRemoteAccount({ url: stub.url, api, timeoutMs: 10_000 });
+    expectEqual(account.address, stub.address, "Remote account");
+    await fn(account);
+  } finally {
+    await stub.close();
+  }
+}
+
+// --- Checks ---
+
+async function checkKeystores() {
+  log("--- Keystore ---");
+  for (const { name, keystore } of KEYSTORE_VECTORS) {
+    await check(name, () => {
+      expectEqual(decryptKeystore(keystore, VECTOR_PASSPHRASE), VECTOR_KEY, "Decrypted key");
+    });
+  }
+  await check("wrong passphrase is refused", () => {
+    try {
+      decryptKeystore(KEYSTORE_VECTORS[1].keystore, "wrongpassword");
+    } catch (e) {
+      if (/MAC mismatch/.test(e.message)) return;
+      throw e;
+    }
+    throw new Error("decrypted with the wrong passphrase");
+  });
+}
+
+async function checkRemoteSigner() {
+  log("--- Remote signer ---");
+  for (const api of ["clef", "eth"]) {
+    await check(`${api}: message, typed data and transaction are signed by the account`, () =>
+      withStubSigner({ api }, async (account) => {
+        const message = await account.signMessage({ message: MESSAGE });
+        expectEqual(await recoverMessageAddress({ message: MESSAGE, signature: message }), account.address, "Message signer");
+        const typed = await account.signTypedData(TYPED_DATA);
+        expectEqual(await recoverTypedDataAddress({ ...TYPED_DATA, signature: typed }), account.address, "Typed-data signer");
+        const raw = await account.signTransaction(TRANSACTION);
+        expectEqual(await recoverTransactionAddress({ serializedTransaction: raw }), account.address, "Transaction signer");
+      })
+    );
+  }
+  await check("rejected request is reported", () =>
+    withStubSigner({ api: "clef", mode: "reject" }, (account) =>
+      expectRemoteSignerError(() => account.signMessage({ message: MESSAGE }), /rejected account_signData/)
+    )
+  );
+  await check("signature by another key is refused", () =>
+    withStubSigner({ api: "eth", mode: "wrong-key" }, (account) =>
+      expectRemoteSignerError(() => account.signTypedData(TYPED_DATA), /typed-data signed by/)
+    )
+  );
+  await check("altered transaction is refused", () =>
+    withStubSigner({ api: "clef", mode: "tamper" }, (account) =>
+      expectRemoteSignerError(() => account.signTransaction(TRANSACTION), /differs from the request/)
+    )
+  );
+  await check("unreachable signer is reported", () =>
+    expectRemoteSignerError(
+      () => createRemoteAccount({ url: "http://127.0.0.1:9", timeoutMs: 5_000 }),
+      /unreachable/
+    )
+  );
+}
+
+async function checkCalldata() {
+  log("--- Calldata ---");
+  await check("MultiSend batch is unpacked", () => {
+    const decoded = decodeCall({ to: multiSendCallOnlyAddress(), data: BATCH_DATA, operation: OPERATION_DELEGATECALL });
+    expectEqual(decoded.calls?.length, 2, "Batched calls");
+    expectEqual(riskLabels(decoded).includes("batch"), true, "\"batch\" label");
+  });
+  await check("multiSend sent to another contract is an unknown call", () => {
+    const decoded = decodeCall({ to: STRANGER, data: BATCH_DATA, operation: OPERATION_CALL });
+    expectEqual(decoded.functionName, null, "Function");
+    expectEqual(decoded.calls, undefined, "Batched calls");
+    expectEqual(riskLabels(decoded).includes("unknown call"), true, "\"unknown call\" label");
+  });
+  await check("multiSend called (not delegatecalled) on MultiSend is not unpacked", () => {
+    const decoded = decodeCall({ to: multiSendCallOnlyAddress(), data: BATCH_DATA, operation: OPERATION_CALL });
+    expectEqual(decoded.calls, undefined, "Batched calls");
+  });
+}
+
+async function checkPolicies() {
+  log("--- Policy ---");
+  const dir = mkdtempSync(join(tmpdir(), "treasury-self-check-"));
+  try {
+    const file = join(dir, "policy.json");
+    writeFileSync(file, JSON.stringify({ recipients: { allow: [PAYEE] } }));
+    const policy = loadPolicy(file);
+    const violationsFor = (txData) =>
+      checkPolicy(policy, { decoded: decodeCall(txData), safeAddress: SAFE, history: [] });
+
+    await check("multiSend sent to another contract is held to recipients.allow", () => {
+      const violations = violationsFor({ to: STRANGER, data: BATCH_DATA, operation: OPERATION_CALL });
+      const refused = violations.find((v) => v.rule === "recipientNotAllowed");
+      expectEqual(refused?.recipient, STRANGER, "Refused recipient");
+    });
+    await check("MultiSend batch to allowed recipients passes", () => {
+      const violations = violationsFor({ to: multiSendCallOnlyAddress(), data: BATCH_DATA, operation: OPERATION_DELEGATECALL });
+      expectEqual(violations.length, 0, "Violations");
+    });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// --- Main ---
+async function main() {
+  await checkKeystores();
+  await checkRemoteSigner();
+  await checkCalldata();
+  await checkPolicies();
+
+  if (failed > 0) {
+    log(`ERROR: ${failed} check(s) failed.`);
+    process.exit(1);
+  }
+  log("All checks passed.");
+}
+
+main().catch((e) => {
+  log(`FATAL: ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+/**
+ * agent-treasury-spend.mjs — Pay a third party from the Safe within the daily allowance
+ *
+ * Sends ETH or a token straight from the Safe to a service provider via
+ * AllowanceModule.executeAllowanceTransfer, with the hot wallet as delegate.
+ * No co-signer is involved, so every payment must pass the local spend
+ * policy first (see lib/spend.mjs):
+ *   recipients.spend                 -- addresses the agent may pay
+ *   tokens.<TOKEN>.maxPerPayment     -- cap on one payment (required)
+ * then fit in the remaining allowance and simulate cleanly. Every payment,
+ * including refused and failed ones, is appended to
+ * ~/morpheus/data/ledger.jsonl.
+ *
+ * With RELAYER_URL set, the hot wallet pays no gas: it signs a transfer
+ * authorization and the relayer submits it (see lib/allowance-transfer.mjs).
+ *
+ * Usage:
+ *   node scripts/agent-treasury-spend.mjs --token MOR --to 0x... --amount 5
+ *   node scripts/agent-treasury-spend.mjs --token ETH --to 0x... --amount 0.002 --memo "invoice 42"
+ *   node scripts/agent-treasury-spend.mjs --token 0xToken --to 0x... --amount 10 --dry-run
+ *   add --json for machine-readable output
+ *
+ * Required in ~/morpheus/.env:
+ *   SAFE_ADDRESS=0x...            Safe wallet address on Base
+ *   SAFE_RPC=https://...          Base RPC URL (required - no public RPC fallback)
+ *
+ * Optional in ~/morpheus/.env:
+ *   ALLOWANCE_MODULE=0x...        AllowanceModule address (default: Base deployment)
+ *   SAFE_POLICY_FILE=...          Policy with the spend rules
+ *                                 (default: ~/morpheus/treasury-policy.json)
+ *   RELAYER_URL=http://...        Gasless mode; GASLESS_PAYMENT_TOKEN and
+ *                                 GASLESS_MAX_PAYMENT bound the relayer fee
+ */
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import {
+  createPublicClient,
+  createWalletClient,
+  http,
+  parseUnits,
+  parseAbi,
+  getAddress,
+  zeroAddress,
+} from "viem";
+import { base } from "viem/chains";
+import { loadAgentAccount, safeSignatureScheme, signerErrorMessage } from "./lib/signer.mjs";
+import { loadPolicy } from "./lib/policy.mjs";
+import { spendFromAllowance, SpendRefusedError } from "./lib/spend.mjs";
+import { gaslessConfig, RelaySubmitError } from "./lib/allowance-transfer.mjs";
+import { createLogger } from "./lib/logger.mjs";
+
+// --- Load .env ---
+const SAFE_DIR = process.env.SAFE_DIR || process.env.MORPHEUS_DIR || `${process.env.HOME}/morpheus`;
+
+function loadEnv(filepath) {
+  try {
+    const content = readFileSync(filepath, "utf-8");
+    for (const line of content.split("\n")) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) continue;
+      const eqIdx = trimmed.indexOf("=");
+      if (eqIdx === -1) continue;
+      const key = trimmed.slice(0, eqIdx);
+      let value = trimmed.slice(eqIdx + 1);
+      if (
+        (value.startsWith('"') && value.endsWith('"')) ||
+        (value.startsWith("'") && value.endsWith("'"))
+      ) {
+        value = value.slice(1, -1);
+      }
+      if (!process.env[key]) {
+        process.env[key] = value;
+      }
+    }
+  } catch {
+    // .env is optional
+  }
+}
+
+loadEnv(`${SAFE_DIR}/.env`);
+
+// --- CLI args ---
+const { values: args } = parseArgs({
+  options: {
+    token: { type: "string" },
+    to: { type: "string" },
+    amount: { type: "string" },
+    memo: { type: "string" },
+    "dry-run": { type: "boolean", default: false },
+    json: { type: "boolean", default: false },
+  },
+});
+
+const JSON_OUTPUT = args.json;
+
+// --- Configuration ---
+const SAFE_ADDRESS = process.env.SAFE_ADDRESS;
+// SECURITY: Require explicit RPC config. Public RPCs can return manipulated data.
+const RPC_URL = process.env.SAFE_RPC || process.env.EVERCLAW_RPC;
+if (!RPC_URL) {
+  console.error("[ERROR] SAFE_RPC not configured in ~/morpheus/.env");
+  console.error("  Public RPCs are NOT secure for financial operations.");
+  console.error("  Use Alchemy, Infura, QuickNode, or your own node.");
+  process.exit(1);
+}
+
+// Contract addresses (Base mainnet)
+const MOR_TOKEN = "0x7431aDa8a591C955a994a21710752EF9b882b8e3";
+const ALLOWANCE_MODULE =
+  process.env.ALLOWANCE_MODULE ||
+  "0xCFbFaC74C26F8647cBDb8c5caf80BB5b32E43134";
+
+// Local policy with the spend allowlist and per-payment caps
+const POLICY_FILE = process.env.SAFE_POLICY_FILE || `${SAFE_DIR}/treasury-policy.json`;
+
+// --- ABIs ---
+const ERC20_ABI = parseAbi([
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+]);
+
+// --- Helpers ---
+// With --json, stdout carries only the result; progress goes to stderr
+const log = createLogger({ script: "spend", fields: { safe: SAFE_ADDRESS }, stderr: JSON_OUTPUT });
+
+/**
+ * Print the outcome (JSON mode) or the error, then exit non-zero on failure.
+ */
+function finish(result) {
+  if (JSON_OUTPUT) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (!result.ok) {
+    log(`ERROR: ${result.error}`, { event: "spend.failed", token: result.token, amount: result.amount });
+    for (const v of result.violations || []) {
+      log.error(`  - [${v.rule}] ${v.message}`);
+    }
+  }
+  if (!result.ok) process.exit(1);
+}
+
+/**
+ * Resolve --token to { address, symbol, decimals }.
+ */
+async function resolveToken(publicClient, tokenArg) {
+  if (tokenArg.toUpperCase() === "ETH") {
+    return { address: zeroAddress, symbol: "ETH", decimals: 18 };
+  }
+  if (tokenArg.toUpperCase() === "MOR") {
+    return { address: MOR_TOKEN, symbol: "MOR", decimals: 18 };
+  }
+  let address;
+  try {
+    address = getAddress(tokenArg);
+  } catch {
+    finish({ ok: false, error: `Invalid --token "${tokenArg}". Use ETH, MOR or a token address.` });
+  }
+  const [decimals, symbol] = await Promise.all([
+    publicClient.readContract({ address, abi: ERC20_ABI, functionName: "decimals" }),
+    publicClient.readContract({ address, abi: ERC20_ABI, functionName: "symbol" }).catch(() => address),
+  ]);
+  return { address, symbol, decimals: Number(decimals) };
+}
+
+// --- Main ---
+async function main() {
+  if (!SAFE_ADDRESS) {
+    finish({ ok: false, error: "SAFE_ADDRESS not set. Add it to ~/morpheus/.env" });
+  }
+  if (!args.token || !args.to || !args.amount) {
+    finish({ ok: false, error: "Usage: agent-treasury-spend.mjs --token ETH|MOR|0x... --to 0x... --amount N [--memo ..] [--dry-run] [--json]" });
+  }
+
+  let to;
+  try {
+    to = getAddress(args.to);
+  } catch {
+    finish({ ok: false, error: `Invalid --to address "${args.to}"` });
+  }
+
+  let policy;
+  try {
+    policy = loadPolicy(POLICY_FILE, {
+      knownTokens: { MOR: { address: MOR_TOKEN, decimals: 18 } },
+    });
+  } catch (e) {
+    finish({ ok: false, error: `Invalid policy file ${POLICY_FILE}: ${e.message}` });
+  }
+
+  let account;
+  try {
+    account = await loadAgentAccount();
+  } catch (e) {
+    finish({ ok: false, error: e.message });
+  }
+
+  let gasless;
+  try {
+    gasless = gaslessConfig({ morToken: MOR_TOKEN });
+  } catch (e) {
+    finish({ ok: false, error: e.message });
+  }
+
+  const publicClient = createPublicClient({
+    chain: base,
+    transport: http(RPC_URL),
+  });
+  const walletClient = createWalletClient({
+    account,
+    chain: base,
+    transport: http(RPC_URL),
+  });
+
+  const token = await resolveToken(publicClient, args.token);
+  let amount;
+  try {
+    amount = parseUnits(args.amount, token.decimals);
+  } catch {
+    finish({ ok: false, error: `Invalid --amount "${args.amount}"` });
+  }
+
+  log(`--- Allowance payment${args["dry-run"] ? " (dry run)" : ""} ---`);
+  log(`Safe: ${SAFE_ADDRESS}`);
+  log(`Delegate: ${account.address}`);
+  log(`Policy: ${policy.source || "none (no spend recipients allowed)"}`);
+  if (gasless && !args["dry-run"]) {
+    log(`Gasless via relayer ${gasless.relayerUrl} (refund in ${gasless.paymentSymbol})`);
+  }
+
+  const request = { token: token.symbol, tokenAddress: token.address, to, amount: args.amount, memo: args.memo || null };
+  const startedAt = Date.now();
+  try {
+    const result = await spendFromAllowance({
+      publicClient,
+      walletClient,
+      safeDir: SAFE_DIR,
+      policy,
+      safeAddress: getAddress(SAFE_ADDRESS),
+      moduleAddress: getAddress(ALLOWANCE_MODULE),
+      token,
+      to,
+      amount,
+      memo: args.memo || null,
+      dryRun: args["dry-run"],
+      gasless,
+      scheme: safeSignatureScheme(),
+      log,
+    });
+    log(`Payment: ${result.status.toUpperCase()}`, {
+      event: `spend.${result.status}`,
+      token: token.symbol,
+      amount: args.amount,
+      txHash: result.txHash,
+      durationMs: Date.now() - startedAt,
+    });
+    if (result.allowanceAfter !== null) {
+      log(`Allowance left: ${result.allowanceAfter} ${token.symbol}`);
+    }
+    finish({
+      ok: result.status !== "reverted",
+      ...request,
+      status: result.status,
+      txHash: result.txHash,
+      gasUsed: result.gasUsed === null ? null : result.gasUsed.toString(),
+      allowanceBefore: result.allowanceBefore,
+      allowanceAfter: result.allowanceAfter,
+      relay: result.entry?.relay || null,
+      ...(result.status === "reverted" ? { error: `Payment transaction ${result.txHash} reverted` } : {}),
+    });
+  } catch (e) {
+    if (e instanceof SpendRefusedError) {
+      finish({ ok: false, ...request, status: "refused", error: e.message, violations: e.violations });
+    }
+    if (e instanceof RelaySubmitError) {
+      // The relayer may have sent it: check the tx before paying again
+      const sent = e.txHash ? ` (tx ${e.txHash}, check it before retrying)` : " (it may have been sent; check before retrying)";
+      finish({ ok: false, ...request, status: "failed", txHash: e.txHash, error: `Gasless payment failed after submission: ${e.message}${sent}` });
+    }
+    throw e;
+  }
+}
+
+main().catch((e) => {
+  finish({ ok: false, error: signerErrorMessage(e) });
+});
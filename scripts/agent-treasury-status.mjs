@@ -3,11 +3,13 @@
  * agent-treasury-status.mjs — Read-only dashboard for Safe treasury status
  *
  * Shows Safe overview, balances, daily allowance usage, pending
- * transactions, and refill daemon health. No private key required.
+ * transactions, refill daemon health, and recent refills and payments
+ * from the ledger. No private key required.
  *
  * Usage:
  *   node scripts/agent-treasury-status.mjs
  *   node scripts/agent-treasury-status.mjs --json
+ *   node scripts/agent-treasury-status.mjs --events 25   # ledger events shown (default 10)
  *
  * Required in ~/morpheus/.env:
  *   SAFE_ADDRESS=0x...            Safe wallet address on Base
@@ -18,7 +20,6 @@
  */
 
 import { readFileSync } from "node:fs";
-import { execFileSync } from "node:child_process";
 import {
   createPublicClient,
   http,
@@ -28,6 +29,19 @@ import {
   zeroAddress,
 } from "viem";
 import { base } from "viem/chains";
+import { describeSigner } from "./lib/signer.mjs";
+import { readFreezeMarker } from "./lib/freeze.mjs";
+import { refillServiceStatus } from "./lib/service.mjs";
+import { readLedger, summarizeLedger, ledgerFile } from "./lib/ledger.mjs";
+import { createLogger } from "./lib/logger.mjs";
+import { multiSendAddress, multiSendCallOnlyAddress } from "./lib/multisend.mjs";
+import {
+  decodeCall,
+  formatDecodedCall,
+  riskLabels,
+  HIGH_RISK_LABELS,
+  decodedCallToJson,
+} from "./lib/calldata.mjs";
 
 // --- Load .env ---
 const SAFE_DIR = process.env.SAFE_DIR || process.env.MORPHEUS_DIR || `${process.env.HOME}/morpheus`;
@@ -82,6 +96,12 @@ const ALLOWANCE_MODULE =
 
 // CLI flags
 const JSON_OUTPUT = process.argv.includes("--json");
+const eventsIdx = process.argv.indexOf("--events");
+const RECENT_EVENTS = eventsIdx !== -1 ? Number(process.argv[eventsIdx + 1]) : 10;
+if (!Number.isInteger(RECENT_EVENTS) || RECENT_EVENTS < 0) {
+  console.error("[ERROR] --events needs a whole number");
+  process.exit(1);
+}
 
 // --- ABIs ---
 const ERC20_ABI = parseAbi([
@@ -101,11 +121,14 @@ const ALLOWANCE_MODULE_ABI = parseAbi([
 ]);
 
 // --- Helpers ---
-function log(msg) {
-  if (!JSON_OUTPUT) {
-    console.log(`[${new Date().toISOString()}] ${msg}`);
-  }
-}
+// With --json, the dashboard lines are left out and only warnings and
+// errors are logged, to stderr
+const log = createLogger({
+  script: "status",
+  fields: { safe: SAFE_ADDRESS },
+  stderr: JSON_OUTPUT,
+  level: JSON_OUTPUT ? "warn" : undefined,
+});
 
 // --- Main ---
 async function main() {
@@ -141,6 +164,10 @@ async function main() {
   log(`  AllowanceModule:  ${moduleEnabled ? "enabled" : "NOT enabled"}`);
   log(`  Nonce:            ${nonce}`);
 
+  // Signer backend is reported from config only -- no key is loaded
+  const signer = describeSigner();
+  log(`  Agent signer:     ${signer.backend} (${signer.signatureScheme} signatures)`);
+
   result.safe = {
     address: safeAddress,
     chain: "base",
@@ -151,6 +178,7 @@ async function main() {
     allowanceModuleEnabled: moduleEnabled,
     nonce: Number(nonce),
   };
+  result.signer = signer;
 
   // --- 2. Balances ---
   log("");
@@ -308,17 +336,30 @@ async function main() {
     const data = await response.json();
     const pending = data.results || [];
 
+    // Names and token decimals for the decoded view
+    const tokens = new Map([[MOR_TOKEN.toLowerCase(), { symbol: "MOR", decimals: 18 }]]);
+    const labels = new Map([
+      [safeAddress.toLowerCase(), "this Safe"],
+      [MOR_TOKEN.toLowerCase(), "MOR"],
+      [ALLOWANCE_MODULE.toLowerCase(), "AllowanceModule"],
+      [multiSendCallOnlyAddress().toLowerCase(), "MultiSendCallOnly"],
+      [multiSendAddress().toLowerCase(), "MultiSend"],
+    ]);
+
     if (pending.length === 0) {
       log("  No pending transactions.");
     } else {
       log(`  ${pending.length} pending transaction(s):`);
       for (const tx of pending) {
         const confirmCount = tx.confirmations ? tx.confirmations.length : 0;
+        const decoded = decodeCall({ to: tx.to, value: tx.value, data: tx.data, operation: tx.operation });
+        const risks = riskLabels(decoded);
         log("");
         log(`  Safe TX hash: ${tx.safeTxHash}`);
-        log(`    To:            ${tx.to}`);
-        log(`    Value:         ${formatEther(BigInt(tx.value))} ETH`);
-        log(`    Data:          ${tx.data ? tx.data.slice(0, 20) + "..." : "(none)"}`);
+        for (const line of formatDecodedCall(decoded, { tokens, labels, indent: "    " })) {
+          log(line);
+        }
+        log(`    Risk:      ${risks.length > 0 ? risks.map((l) => (HIGH_RISK_LABELS.has(l) ? `!${l}` : l)).join(", ") : "none"}`);
         log(`    Nonce:         ${tx.nonce}`);
         log(`    Confirmations: ${confirmCount}/${tx.confirmationsRequired}`);
         if (tx.confirmations) {
@@ -332,6 +373,9 @@ async function main() {
           to: tx.to,
           value: formatEther(BigInt(tx.value)),
           data: tx.data || null,
+          call: decodedCallToJson(decoded),
+          riskLabels: risks,
+          highRisk: risks.some((l) => HIGH_RISK_LABELS.has(l)),
           nonce: tx.nonce,
           confirmations: confirmCount,
           confirmationsRequired: tx.confirmationsRequired,
@@ -340,7 +384,7 @@ async function main() {
       }
     }
   } catch (e) {
-    log(`  Could not fetch pending transactions: ${e.message}`);
+    log.warn(`  Could not fetch pending transactions: ${e.message}`);
     result.pendingTransactions = null;
   }
 
@@ -348,33 +392,33 @@ async function main() {
   log("");
   log("--- Refill Daemon ---");
 
-  result.refillDaemon = {};
+  const service = refillServiceStatus();
+  result.refillDaemon = { ...service };
 
-  try {
-    const launchdStatus = execFileSync(
-      "launchctl",
-      ["list", "com.safe-agent-treasury.refill"],
-      { encoding: "utf-8", stdio: "pipe" }
-    );
-    // launchctl list <label> outputs key-value pairs if the job exists
-    const pidMatch = launchdStatus.match(/"PID"\s*=\s*(\d+)/);
-    const statusMatch = launchdStatus.match(/"LastExitStatus"\s*=\s*(\d+)/);
-    const pid = pidMatch ? pidMatch[1] : null;
-    const lastExit = statusMatch ? statusMatch[1] : null;
-
-    log(`  Service:          com.safe-agent-treasury.refill`);
-    log(`  Status:           loaded${pid ? ` (PID ${pid})` : ""}`);
-    log(`  Last exit status: ${lastExit !== null ? lastExit : "unknown"}`);
-
-    result.refillDaemon.loaded = true;
-    result.refillDaemon.pid = pid ? Number(pid) : null;
-    result.refillDaemon.lastExitStatus = lastExit !== null ? Number(lastExit) : null;
-  } catch {
-    log("  Service:          com.safe-agent-treasury.refill");
+  if (service.manager === null) {
+    log("  Service:          no launchd or systemd user service found");
+  } else if (!service.loaded) {
+    log(`  Service:          ${service.unit}`);
     log("  Status:           not loaded");
+  } else if (service.manager === "launchd") {
+    log(`  Service:          ${service.unit}`);
+    log(`  Status:           loaded${service.pid ? ` (PID ${service.pid})` : ""}`);
+    log(`  Last exit status: ${service.lastExitStatus !== null ? service.lastExitStatus : "unknown"}`);
+  } else {
+    log(`  Service:          ${service.unit} (${service.mode === "timer" ? "systemd timer" : "systemd daemon"})`);
+    log(`  Status:           ${service.state}${service.pid ? ` (PID ${service.pid})` : ""}`);
+    log(`  Last run:         ${service.lastRun || "never"}`);
+    log(`  Last exit status: ${service.lastExitStatus !== null ? service.lastExitStatus : "unknown"}${service.result && service.result !== "success" ? ` (${service.result})` : ""}`);
+    if (service.timer) {
+      log(`  Next run:         ${service.timer.nextRun || "not scheduled"} (timer ${service.timer.state})`);
+    }
+  }
 
-    result.refillDaemon.loaded = false;
+  const frozen = readFreezeMarker(SAFE_DIR);
+  if (frozen) {
+    log(`  FROZEN:           since ${frozen.frozenAt || "unknown"}${frozen.reason ? ` (${frozen.reason})` : ""} -- refills skipped`);
   }
+  result.refillDaemon.frozen = frozen;
 
   // Check last log line
   const logPath = `${SAFE_DIR}/data/logs/refill.log`;
@@ -389,6 +433,39 @@ async function main() {
     result.refillDaemon.lastLog = null;
   }
 
+  // --- 6. Activity ---
+  log("");
+  log("--- Activity ---");
+
+  const entries = readLedger(SAFE_DIR);
+  const activity = summarizeLedger(entries, { recent: RECENT_EVENTS });
+  result.activity = { ledger: ledgerFile(SAFE_DIR), entries: entries.length, ...activity };
+
+  if (entries.length === 0) {
+    log(`  No refills or payments recorded yet (${ledgerFile(SAFE_DIR)})`);
+  } else {
+    const streak = activity.failureStreak;
+    log(
+      `  Failure streak:   ${streak.count === 0 ? "none" : `${streak.count} since ${streak.since} (last: ${streak.lastError})`}`
+    );
+    for (const [window, label] of [["24h", "Last 24h"], ["7d", "Last 7d"]]) {
+      const totals = Object.entries(activity.totals[window]).map(
+        ([symbol, t]) => `${symbol} +${t.refilled} refilled / -${t.spent} spent (${t.count} tx)`
+      );
+      log(`  ${`${label}:`.padEnd(18)}${totals.length > 0 ? totals.join(", ") : "nothing moved"}`);
+    }
+    if (activity.events.length > 0) {
+      log(`  Last ${activity.events.length} event(s):`);
+      for (const e of activity.events) {
+        const what = e.kind === "spend" ? `to ${e.to}` : e.wallet && e.wallet !== "agent" ? `for ${e.wallet}` : "";
+        const detail = e.txHash || e.error || e.reason || "";
+        log(
+          `    ${e.ts}  ${e.kind.padEnd(6)} ${e.status.toUpperCase().padEnd(8)} ${`${e.amount ?? "-"} ${e.symbol || ""}`.padEnd(24)} ${what}${what && detail ? "  " : ""}${detail}`
+        );
+      }
+    }
+  }
+
   // --- JSON output ---
   if (JSON_OUTPUT) {
     console.log(JSON.stringify(result, null, 2));
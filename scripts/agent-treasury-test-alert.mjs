@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * agent-treasury-test-alert.mjs — Send a test alert and its "resolved" notice
+ *
+ * Exercises the alert router (see lib/alert.mjs): every channel the severity
+ * routes to receives a test alert, then the matching resolved notice. Dedup
+ * is bypassed and no alert state is recorded.
+ *
+ * With --sink, the configured channels are ignored: one channel of each
+ * kind (webhook, Slack, Discord, Telegram, ntfy, email) is pointed at a
+ * local HTTP sink (and a local SMTP sink for email), and every request is
+ * printed, so the formatting can be checked without posting anywhere.
+ *
+ * Usage:
+ *   node scripts/agent-treasury-test-alert.mjs                  # configured channels
+ *   node scripts/agent-treasury-test-alert.mjs --sink           # local sinks only
+ *   node scripts/agent-treasury-test-alert.mjs --severity warning
+ *
+ * Channels are configured in ~/morpheus/.env (ALERT_* settings, see lib/alert.mjs).
+ * Exits non-zero if no channel is routed or any delivery fails.
+ */
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { createServer as createHttpServer } from "node:http";
+import { createServer as createTcpServer } from "node:net";
+import { alertChannels, deliverAlert, SEVERITIES } from "./lib/alert.mjs";
+import { createLogger } from "./lib/logger.mjs";
+
+// --- Load .env ---
+const SAFE_DIR = process.env.SAFE_DIR || process.env.MORPHEUS_DIR || `${process.env.HOME}/morpheus`;
+
+function loadEnv(filepath) {
+  try {
+    const content = readFileSync(filepath, "utf-8");
+    for (const line of content.split("\n")) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) continue;
+      const eqIdx = trimmed.indexOf("=");
+      if (eqIdx === -1) continue;
+      const key = trimmed.slice(0, eqIdx);
+      let value = trimmed.slice(eqIdx + 1);
+      if (
+        (value.startsWith('"') && value.endsWith('"')) ||
+        (value.startsWith("'") && value.endsWith("'"))
+      ) {
+        value = value.slice(1, -1);
+      }
+      if (!process.env[key]) {
+        process.env[key] = value;
+      }
+    }
+  } catch {
+    // .env is optional
+  }
+}
+
+loadEnv(`${SAFE_DIR}/.env`);
+
+// --- CLI args ---
+const { values: args } = parseArgs({
+  options: {
+    sink: { type: "boolean", default: false },
+    severity: { type: "string", default: "critical" },
+  },
+});
+
+// --- Helpers ---
+const log = createLogger({ script: "test-alert", fields: { safe: process.env.SAFE_ADDRESS } });
+
+/**
+ * Local HTTP sink: answers every POST like the real services would and
+ * keeps the requests. Resolves with { url, requests, close }.
+ */
+function startHttpSink() {
+  const requests = [];
+  const server = createHttpServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(200, { "Content-Type": "application/json" });
+      // Telegram's bot API answers { ok: true, result }
+      res.end(JSON.stringify({ ok: true, result: {} }));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => {
+          server.close();
+          server.closeAllConnections();
+        },
+      });
+    });
+  });
+}
+
+/**
+ * Local SMTP sink: accepts any sender and recipient and keeps each message.
+ */
+function startSmtpSink() {
+  const messages = [];
+  const server = createTcpServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    let data = "";
+    socket.write("220 localhost test sink\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf-8");
+      let nl;
+      while ((nl = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            messages.push(data);
+            data = "";
+            socket.write("250 queued\r\n");
+          } else {
+            data += `${line.startsWith("..") ? line.slice(1) : line}\n`;
+          }
+          continue;
+        }
+        const verb = line.split(" ")[0].toUpperCase();
+        if (verb === "EHLO" || verb === "HELO") socket.write("250-localhost\r\n250 8BITMIME\r\n");
+        else if (verb === "DATA") {
+          inData = true;
+          socket.write("354 end with .\r\n");
+        } else if (verb === "QUIT") socket.end("221 bye\r\n");
+        else socket.write("250 ok\r\n");
+      }
+    });
+    socket.on("error", () => {});
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `smtp://127.0.0.1:${server.address().port}`,
+        messages,
+        close: () => server.close(),
+      });
+    });
+  });
+}
+
+/**
+ * Point one channel of each kind at the sinks, replacing any configured ones.
+ */
+function useSinks(http, smtp) {
+  for (const key of Object.keys(process.env)) {
+    if (key.startsWith("ALERT_")) delete process.env[key];
+  }
+  Object.assign(process.env, {
+    ALERT_WEBHOOK_URL: `${http.url}/webhook`,
+    ALERT_SLACK_WEBHOOK_URL: `${http.url}/slack`,
+    ALERT_DISCORD_WEBHOOK_URL: `${http.url}/discord`,
+    ALERT_TELEGRAM_API_URL: http.url,
+    ALERT_TELEGRAM_BOT_TOKEN: "test-token",
+    ALERT_TELEGRAM_CHAT_ID: "1",
+    ALERT_NTFY_URL: `${http.url}/ntfy/safe-agent-treasury-test`,
+    ALERT_SMTP_URL: smtp.url,
+    ALERT_EMAIL_TO: "ops@localhost",
+    ALERT_EMAIL_FROM: "safe-agent-treasury@localhost",
+  });
+}
+
+/**
+ * Where a channel posts, without the secret part: webhook paths and the
+ * Telegram bot URL carry tokens, so only the host (or chat) is shown.
+ */
+function describeTarget(channel) {
+  if (channel.type === "telegram" || channel.type === "email") return channel.target;
+  try {
+    return new URL(channel.target).host;
+  } catch {
+    return "(invalid URL)";
+  }
+}
+
+function printReceived(http, smtp) {
+  log("--- Received by the sinks ---");
+  for (const r of http.requests) {
+    log(`POST ${r.path}`);
+    if (r.path.startsWith("/ntfy/")) {
+      console.log(`  Title: ${r.headers.title}  Priority: ${r.headers.priority}  Tags: ${r.headers.tags}`);
+      console.log(`  ${r.body.replace(/\n/g, "\n  ")}`);
+    } else {
+      console.log(`  ${JSON.stringify(JSON.parse(r.body), null, 2).replace(/\n/g, "\n  ")}`);
+    }
+  }
+  for (const m of smtp.messages) {
+    log("SMTP message");
+    console.log(`  ${m.trimEnd().replace(/\n/g, "\n  ")}`);
+  }
+}
+
+// --- Main ---
+async function main() {
+  if (!SEVERITIES.includes(args.severity)) {
+    log(`ERROR: --severity must be one of ${SEVERITIES.join(", ")}`);
+    process.exit(1);
+  }
+
+  let sinks = null;
+  if (args.sink) {
+    sinks = { http: await startHttpSink(), smtp: await startSmtpSink() };
+    useSinks(sinks.http, sinks.smtp);
+    log(`Local sinks: ${sinks.http.url} (HTTP), ${sinks.smtp.url} (SMTP)`);
+  }
+
+  const channels = alertChannels();
+  log("--- Alert channels ---");
+  if (channels.length === 0) {
+    log("ERROR: No alert channels configured. Set ALERT_* in ~/morpheus/.env or use --sink.");
+    process.exit(1);
+  }
+  for (const c of channels) {
+    log(`  ${c.type.padEnd(8)} from ${c.minSeverity.padEnd(8)} ${describeTarget(c)}`);
+  }
+
+  const since = new Date().toISOString();
+  let failed = 0;
+  let routed = 0;
+  for (const kind of ["alert", "resolved"]) {
+    const message = kind === "alert"
+      ? "Test alert from agent-treasury-test-alert.mjs. No action needed."
+      : "Test alert resolved.";
+    log(`Sending ${kind === "alert" ? `a ${args.severity} test alert` : "the resolved notice"}...`);
+    const result = await deliverAlert({ kind, severity: args.severity, message, since, count: 1 });
+    for (const r of result.results) {
+      log(`  [${r.ok ? "OK" : "FAILED"}] ${r.type}${r.error ? `: ${r.error}` : ""}`);
+    }
+    failed += result.results.filter((r) => !r.ok).length;
+    routed = Math.max(routed, result.routed);
+  }
+
+  if (sinks) {
+    printReceived(sinks.http, sinks.smtp);
+    sinks.http.close();
+    sinks.smtp.close();
+  }
+
+  if (routed === 0) {
+    log(`ERROR: No channel takes ${args.severity} alerts (see ALERT_*_MIN_SEVERITY).`);
+    process.exit(1);
+  }
+  if (failed > 0) {
+    log(`ERROR: ${failed} deliver${failed === 1 ? "y" : "ies"} failed.`);
+    process.exit(1);
+  }
+  log(`Test alert delivered to ${routed} channel(s).`);
+}
+
+main().catch((e) => {
+  log(`FATAL: ${e.message}`);
+  process.exit(1);
+});
@@ -1,12 +1,14 @@
 #!/bin/bash
-# install.sh — Install safe-agent-treasury refill service with launchd persistence
+# install.sh — Install safe-agent-treasury refill service with launchd/systemd persistence
 #
 # Sets up:
 # 1. npm dependencies (viem)
-# 2. agent-treasury-refill.mjs copied to ~/morpheus/
-# 3. launchd plist for auto-refill (every 6 hours)
+# 2. agent-treasury-refill.mjs (and scripts/lib/) copied to ~/morpheus/
+# 3. auto-refill every 6 hours, or a long-running balance watcher with
+#    --daemon: a launchd plist on macOS, systemd user units on Linux
+#    (~/.config/systemd/user/safe-agent-treasury-refill.{service,timer})
 #
-# Usage: bash scripts/install.sh
+# Usage: bash scripts/install.sh [--daemon]
 
 set -euo pipefail
 
@@ -15,6 +17,22 @@ SKILL_DIR="$(dirname "$SCRIPT_DIR")"
 SAFE_DIR="${SAFE_DIR:-${MORPHEUS_DIR:-$HOME/morpheus}}"
 NODE_PATH="${NODE_PATH_OVERRIDE:-$(which node)}"
 LAUNCH_AGENTS="$HOME/Library/LaunchAgents"
+SYSTEMD_USER="${XDG_CONFIG_HOME:-$HOME/.config}/systemd/user"
+
+DAEMON=0
+for arg in "$@"; do
+  case "$arg" in
+    --daemon) DAEMON=1 ;;
+    *) echo "Unknown option: $arg (usage: install.sh [--daemon])"; exit 1 ;;
+  esac
+done
+if [[ "$DAEMON" == "1" ]]; then
+  PLIST_TEMPLATE="com.safe-agent-treasury.refill-daemon.plist"
+  SCHEDULE="daemon, watching balances"
+else
+  PLIST_TEMPLATE="com.safe-agent-treasury.refill.plist"
+  SCHEDULE="every 6 hours"
+fi
 
 echo "==========================================="
 echo "  safe-agent-treasury — Service Installer"
@@ -46,6 +64,12 @@ chmod 700 "$SAFE_DIR/data/logs"
 cp "$SCRIPT_DIR/agent-treasury-refill.mjs" "$SAFE_DIR/agent-treasury-refill.mjs"
 chmod 700 "$SAFE_DIR/agent-treasury-refill.mjs"
 
+# Shared modules (signer backends) imported by the refill script
+mkdir -p "$SAFE_DIR/lib"
+cp "$SCRIPT_DIR"/lib/*.mjs "$SAFE_DIR/lib/"
+chmod 700 "$SAFE_DIR/lib"
+chmod 600 "$SAFE_DIR"/lib/*.mjs
+
 # Install runtime dependencies at the destination so the copied script can find them
 if [[ -f "$SKILL_DIR/package.json" ]]; then
   cp "$SKILL_DIR/package.json" "$SAFE_DIR/package.json"
@@ -60,10 +84,12 @@ if [[ -f "$SAFE_DIR/.env" ]]; then
   chmod 600 "$SAFE_DIR/.env"
 fi
 
-# Secure existing log files
-if [[ -f "$SAFE_DIR/data/logs/refill.log" ]]; then
-  chmod 600 "$SAFE_DIR/data/logs/refill.log"
-fi
+# Secure existing log files (refill.log and its rotations, refill.err.log)
+for f in "$SAFE_DIR"/data/logs/*.log*; do
+  if [[ -f "$f" ]]; then
+    chmod 600 "$f"
+  fi
+done
 
 echo "   Copied agent-treasury-refill.mjs -> $SAFE_DIR/ (mode 700) with dependencies"
 
@@ -81,7 +107,7 @@ if [[ "$(uname)" == "Darwin" ]]; then
     -e "s|__REFILL_SCRIPT_PATH__|$SAFE_DIR/agent-treasury-refill.mjs|g" \
     -e "s|__SAFE_DIR__|$SAFE_DIR|g" \
     -e "s|__HOME__|$HOME|g" \
-    "$SKILL_DIR/templates/com.safe-agent-treasury.refill.plist" > "$LAUNCH_AGENTS/com.safe-agent-treasury.refill.plist"
+    "$SKILL_DIR/templates/$PLIST_TEMPLATE" > "$LAUNCH_AGENTS/com.safe-agent-treasury.refill.plist"
 
   # SECURITY: Restrict plist permissions (contains paths, not secrets, but good hygiene)
   chmod 644 "$LAUNCH_AGENTS/com.safe-agent-treasury.refill.plist"
@@ -97,14 +123,64 @@ if [[ "$(uname)" == "Darwin" ]]; then
   echo ""
   echo "--- Health Check ---"
   if launchctl list | grep -q "com.safe-agent-treasury.refill"; then
-    echo "   [OK] Safe refill service (every 6 hours)"
+    echo "   [OK] Safe refill service ($SCHEDULE)"
   else
     echo "   [--] Safe refill service not loaded"
   fi
+elif [[ "$(uname)" == "Linux" ]] && command -v systemctl >/dev/null 2>&1 && systemctl --user show-environment >/dev/null 2>&1; then
+  echo "[3/3] Setting up systemd user units..."
+  mkdir -p "$SYSTEMD_USER"
+
+  # Stop whichever mode was installed before
+  systemctl --user disable --now safe-agent-treasury-refill.timer 2>/dev/null || true
+  systemctl --user disable --now safe-agent-treasury-refill.service 2>/dev/null || true
+  rm -f "$SYSTEMD_USER/safe-agent-treasury-refill.timer"
+
+  # Process templates
+  install_unit() {
+    sed \
+      -e "s|__NODE_PATH__|$NODE_PATH|g" \
+      -e "s|__REFILL_SCRIPT_PATH__|$SAFE_DIR/agent-treasury-refill.mjs|g" \
+      -e "s|__SAFE_DIR__|$SAFE_DIR|g" \
+      -e "s|__HOME__|$HOME|g" \
+      "$SKILL_DIR/templates/$1" > "$SYSTEMD_USER/$2"
+    chmod 644 "$SYSTEMD_USER/$2"
+    echo "   Installed $2 (mode 644)"
+  }
+  if [[ "$DAEMON" == "1" ]]; then
+    install_unit safe-agent-treasury-refill-daemon.service safe-agent-treasury-refill.service
+    SYSTEMD_START="safe-agent-treasury-refill.service"
+  else
+    install_unit safe-agent-treasury-refill.service safe-agent-treasury-refill.service
+    install_unit safe-agent-treasury-refill.timer safe-agent-treasury-refill.timer
+    SYSTEMD_START="safe-agent-treasury-refill.timer"
+  fi
+
+  # Enable and start
+  systemctl --user daemon-reload
+  systemctl --user enable --now "$SYSTEMD_START" >/dev/null 2>&1
+  echo "   Enabled $SYSTEMD_START"
+
+  sleep 2
+
+  # Health check
+  echo ""
+  echo "--- Health Check ---"
+  if systemctl --user is-active --quiet "$SYSTEMD_START"; then
+    echo "   [OK] Safe refill service ($SCHEDULE)"
+  else
+    echo "   [--] Safe refill service not active (journalctl --user -u safe-agent-treasury-refill)"
+  fi
+
+  # User units stop at logout unless lingering is enabled
+  if [[ "$(loginctl show-user "$USER" --property=Linger --value 2>/dev/null)" != "yes" ]]; then
+    echo "   To keep it running after logout: loginctl enable-linger $USER"
+  fi
 else
-  echo "[3/3] Non-macOS detected. Skipping launchd setup."
-  echo "   For Linux, create a systemd unit or cron job:"
-  echo "   */6 * * * * node $SAFE_DIR/agent-treasury-refill.mjs >> $SAFE_DIR/data/logs/refill.log 2>&1"
+  echo "[3/3] Neither launchd nor a systemd user session found. Skipping service setup."
+  echo "   Create a cron job instead:"
+  echo "   0 */6 * * * node $SAFE_DIR/agent-treasury-refill.mjs --log-file $SAFE_DIR/data/logs/refill.log 2>> $SAFE_DIR/data/logs/refill.err.log"
+  echo "   or keep 'node $SAFE_DIR/agent-treasury-refill.mjs --daemon --log-file $SAFE_DIR/data/logs/refill.log' running under a supervisor."
 fi
 
 echo ""
@@ -112,7 +188,7 @@ echo "==========================================="
 echo "  Installation complete!"
 echo "==========================================="
 echo ""
-echo "  Refill log: $SAFE_DIR/data/logs/refill.log"
+echo "  Refill log: $SAFE_DIR/data/logs/refill.log (rotated; LOG_FORMAT=json for JSON lines)"
 echo ""
 echo "  Prerequisites:"
 echo "    1. Safe deployed on Base with AllowanceModule enabled"
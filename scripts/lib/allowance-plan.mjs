@@ -0,0 +1,284 @@
+/**
+ * allowance-plan.mjs — Declarative AllowanceModule configuration and diffing
+ *
+ * A plan file lists every delegate and the allowances it should have
+ * (see templates/allowance-plan.example.json):
+ *
+ *   {
+ *     "delegates": {
+ *       "agent": {
+ *         "MOR": { "amount": "50",   "resetMinutes": 1440, "resetBaseMin": "00:00" },
+ *         "ETH": { "amount": "0.05", "resetMinutes": 1440 }
+ *       },
+ *       "0xDelegate": {
+ *         "0xToken": { "amount": "100", "decimals": 6, "resetMinutes": 10080 }
+ *       }
+ *     }
+ *   }
+ *
+ * "agent" stands for the configured signer's address. Tokens are ETH, a known
+ * symbol (MOR) or an address ("decimals" defaults to 18). resetMinutes 0 is a
+ * one-time allowance. resetBaseMin aligns the reset schedule: minutes since
+ * the Unix epoch, or "HH:MM" for the most recent such time of day in UTC.
+ *
+ * diffAllowances() compares a plan with on-chain state and returns the
+ * changes needed. A plan from a file owns the module's whole configuration:
+ * delegates and allowances missing from it are removed.
+ */
+
+import { readFileSync } from "node:fs";
+import { getAddress, parseUnits, formatUnits, encodeFunctionData, zeroAddress } from "viem";
+import { SAFE_ADMIN_ABI, ALLOWANCE_MODULE_CALL_ABI } from "./calldata.mjs";
+
+const UINT96_MAX = 2n ** 96n - 1n;
+const UINT16_MAX = 65535;
+
+/**
+ * Resolve a plan token key to { address, symbol, decimals }.
+ */
+function resolveToken(key, rule, knownTokens) {
+  if (key.toUpperCase() === "ETH") {
+    return { address: zeroAddress, symbol: "ETH", decimals: 18 };
+  }
+  const known = knownTokens[key.toUpperCase()];
+  if (known) {
+    return { address: getAddress(known.address), symbol: key.toUpperCase(), decimals: known.decimals };
+  }
+  try {
+    return { address: getAddress(key), symbol: rule.symbol || key, decimals: rule.decimals ?? 18 };
+  } catch {
+    throw new Error(`"${key}" is neither ETH, a known symbol nor an address`);
+  }
+}
+
+function parseResetBase(value, where) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "number" && Number.isInteger(value) && value > 0) return value;
+  const match = typeof value === "string" && value.match(/^(\d{1,2}):(\d{2})$/);
+  if (match && Number(match[1]) < 24 && Number(match[2]) < 60) {
+    return { hour: Number(match[1]), minute: Number(match[2]) };
+  }
+  throw new Error(`${where}.resetBaseMin must be minutes since the epoch or "HH:MM" (UTC)`);
+}
+
+/**
+ * Build a plan from already-parsed delegate entries. Keys of `delegates`
+ * are "agent" or addresses; values map token keys to allowance rules.
+ */
+export function buildAllowancePlan(raw, { agentAddress, knownTokens = {}, prune = true, source = null }) {
+  if (!raw || typeof raw.delegates !== "object" || Array.isArray(raw.delegates)) {
+    throw new Error('Allowance plan must have a "delegates" object');
+  }
+
+  const delegates = new Map();
+  for (const [delegateKey, tokens] of Object.entries(raw.delegates)) {
+    let address;
+    try {
+      address = delegateKey === "agent" ? getAddress(agentAddress) : getAddress(delegateKey);
+    } catch {
+      throw new Error(`delegates: "${delegateKey}" is neither "agent" nor an address`);
+    }
+    if (delegates.has(address.toLowerCase())) {
+      throw new Error(`delegates: ${address} is listed twice`);
+    }
+
+    const allowances = new Map();
+    for (const [tokenKey, rule] of Object.entries(tokens || {})) {
+      const where = `delegates.${delegateKey}.${tokenKey}`;
+      const token = resolveToken(tokenKey, rule, knownTokens);
+
+      let amount;
+      try {
+        amount = parseUnits(String(rule.amount), token.decimals);
+      } catch {
+        throw new Error(`${where}.amount: invalid amount "${rule.amount}"`);
+      }
+      if (amount <= 0n || amount > UINT96_MAX) {
+        throw new Error(`${where}.amount must be above 0 and fit in uint96`);
+      }
+      const resetTimeMin = Number(rule.resetMinutes ?? 1440);
+      if (!Number.isInteger(resetTimeMin) || resetTimeMin < 0 || resetTimeMin > UINT16_MAX) {
+        throw new Error(`${where}.resetMinutes must be between 0 (one-time) and ${UINT16_MAX}`);
+      }
+      const resetBase = parseResetBase(rule.resetBaseMin, where);
+      if (resetBase !== null && resetTimeMin === 0) {
+        throw new Error(`${where}: resetBaseMin needs a recurring allowance (resetMinutes > 0)`);
+      }
+      if (allowances.has(token.address.toLowerCase())) {
+        throw new Error(`${where}: token ${token.address} is listed twice`);
+      }
+      allowances.set(token.address.toLowerCase(), { ...token, amount, resetTimeMin, resetBase });
+    }
+    delegates.set(address.toLowerCase(), { address, allowances });
+  }
+
+  return { source, prune, delegates };
+}
+
+/**
+ * Load and validate a plan file.
+ */
+export function loadAllowancePlan(path, { agentAddress, knownTokens = {} }) {
+  const raw = JSON.parse(readFileSync(path, "utf-8"));
+  return buildAllowancePlan(raw, { agentAddress, knownTokens, prune: true, source: path });
+}
+
+/**
+ * Absolute resetBaseMin for a plan entry at the given time (minutes since
+ * the epoch). "HH:MM" resolves to the latest such UTC time not after now,
+ * since the module refuses a base in the future.
+ */
+export function resolveResetBaseMin(resetBase, nowMin) {
+  if (resetBase === null) return 0;
+  if (typeof resetBase === "number") return resetBase;
+  const dayStart = nowMin - (nowMin % 1440);
+  const base = dayStart + resetBase.hour * 60 + resetBase.minute;
+  return base <= nowMin ? base : base - 1440;
+}
+
+function isAligned(current, resetBaseMin) {
+  if (current.resetTimeMin === 0) return false;
+  const period = BigInt(current.resetTimeMin);
+  const offset = (BigInt(current.lastResetMin) - BigInt(resetBaseMin)) % period;
+  return offset === 0n;
+}
+
+/**
+ * Changes that bring on-chain state in line with the plan.
+ *
+ * state is { moduleEnabled, delegates: Map<lowercase delegate, { address,
+ * allowances: Map<lowercase token, { token, amount, spent, resetTimeMin,
+ * lastResetMin }> }> } with only live (non-deleted) allowances.
+ *
+ * Returns a list of { action, delegate?, token?, current?, desired?, reasons? }
+ * in execution order: enableModule, removeDelegate, deleteAllowance,
+ * addDelegate, setAllowance.
+ */
+export function diffAllowances(plan, state, { nowMin = Math.floor(Date.now() / 60000) } = {}) {
+  const removals = [];
+  const additions = [];
+
+  if (plan.prune) {
+    for (const [key, onChain] of state.delegates) {
+      const wanted = plan.delegates.get(key);
+      if (!wanted) {
+        removals.push({ action: "removeDelegate", delegate: onChain.address, current: [...onChain.allowances.values()] });
+        continue;
+      }
+      for (const [tokenKey, current] of onChain.allowances) {
+        if (!wanted.allowances.has(tokenKey)) {
+          removals.push({ action: "deleteAllowance", delegate: onChain.address, token: current.token, current });
+        }
+      }
+    }
+  }
+
+  for (const [key, wanted] of plan.delegates) {
+    const onChain = state.delegates.get(key);
+    if (!onChain) {
+      additions.push({ action: "addDelegate", delegate: wanted.address });
+    }
+    for (const [tokenKey, desired] of wanted.allowances) {
+      const current = onChain?.allowances.get(tokenKey) || null;
+      const resetBaseMin = resolveResetBaseMin(desired.resetBase, nowMin);
+      const reasons = [];
+      if (!current) {
+        reasons.push("new");
+      } else {
+        if (current.amount !== desired.amount) reasons.push("amount");
+        if (current.resetTimeMin !== desired.resetTimeMin) reasons.push("resetMinutes");
+        if (desired.resetBase !== null && !isAligned({ ...current, resetTimeMin: desired.resetTimeMin }, resetBaseMin)) {
+          reasons.push("resetBaseMin");
+        }
+      }
+      if (reasons.length > 0) {
+        additions.push({
+          action: "setAllowance",
+          delegate: wanted.address,
+          token: desired.address,
+          current,
+          desired: { ...desired, resetBaseMin },
+          reasons,
+        });
+      }
+    }
+  }
+
+  const changes = [...removals, ...additions];
+  if (!state.moduleEnabled && plan.delegates.size > 0) {
+    changes.unshift({ action: "enableModule" });
+  }
+  return changes;
+}
+
+/**
+ * The Safe call ({ to, data }) that performs a change.
+ */
+export function changeCall(change, { safeAddress, moduleAddress }) {
+  const module = (functionName, args) => ({
+    to: getAddress(moduleAddress),
+    data: encodeFunctionData({ abi: ALLOWANCE_MODULE_CALL_ABI, functionName, args }),
+  });
+  switch (change.action) {
+    case "enableModule":
+      return {
+        to: getAddress(safeAddress),
+        data: encodeFunctionData({ abi: SAFE_ADMIN_ABI, functionName: "enableModule", args: [getAddress(moduleAddress)] }),
+      };
+    case "removeDelegate":
+      return module("removeDelegate", [change.delegate, true]);
+    case "deleteAllowance":
+      return module("deleteAllowance", [change.delegate, change.token]);
+    case "addDelegate":
+      return module("addDelegate", [change.delegate]);
+    case "setAllowance":
+      return module("setAllowance", [
+        change.delegate,
+        change.token,
+        change.desired.amount,
+        change.desired.resetTimeMin,
+        change.desired.resetBaseMin,
+      ]);
+    default:
+      throw new Error(`Unknown allowance change "${change.action}"`);
+  }
+}
+
+function formatPeriod(resetTimeMin) {
+  return resetTimeMin === 0 ? "one-time" : `every ${resetTimeMin}min`;
+}
+
+/**
+ * One-line description of a change. tokens maps lowercase token address to
+ * { symbol, decimals } for tokens that are only on-chain.
+ */
+export function formatChange(change, tokens = new Map()) {
+  const info = (address) =>
+    tokens.get(address.toLowerCase()) ||
+    (address === zeroAddress ? { symbol: "ETH", decimals: 18 } : { symbol: address, decimals: 18 });
+  const amount = (value, token) => `${formatUnits(value, token.decimals)} ${token.symbol}`;
+
+  switch (change.action) {
+    case "enableModule":
+      return "+ enableModule(AllowanceModule)";
+    case "removeDelegate": {
+      const dropped = change.current.map((a) => amount(a.amount, info(a.token))).join(", ");
+      return `- removeDelegate ${change.delegate}${dropped ? ` (drops ${dropped})` : ""}`;
+    }
+    case "deleteAllowance":
+      return `- deleteAllowance ${change.delegate} ${amount(change.current.amount, info(change.token))} ${formatPeriod(change.current.resetTimeMin)}`;
+    case "addDelegate":
+      return `+ addDelegate ${change.delegate}`;
+    case "setAllowance": {
+      const d = change.desired;
+      const target = `${amount(d.amount, d)} ${formatPeriod(d.resetTimeMin)}${d.resetBaseMin ? ` from base ${new Date(d.resetBaseMin * 60000).toISOString()}` : ""}`;
+      if (!change.current) {
+        return `+ setAllowance ${change.delegate} ${target}`;
+      }
+      const c = change.current;
+      return `~ setAllowance ${change.delegate} ${amount(c.amount, d)} ${formatPeriod(c.resetTimeMin)} -> ${target} (${change.reasons.join(", ")})`;
+    }
+    default:
+      return `? ${change.action}`;
+  }
+}
@@ -0,0 +1,365 @@
+/**
+ * allowance-transfer.mjs — Signed AllowanceModule transfers submitted by a relayer
+ *
+ * Instead of calling executeAllowanceTransfer itself (and paying gas), the
+ * delegate signs an authorization over the module's generateTransferHash:
+ *
+ *   AllowanceTransfer(address safe, address token, address to, uint96 amount,
+ *                     address paymentToken, uint96 payment, uint16 nonce)
+ *
+ * Anyone can submit it. The module pays `payment` of `paymentToken` from
+ * the Safe to the submitter (tx.origin) as a gas refund, counted against the
+ * delegate's allowance for that token. The nonce is the allowance's own
+ * (per Safe, delegate and token), so an authorization is used at most once.
+ *
+ * Signatures follow SAFE_SIGNATURE_SCHEME like Safe owner signatures:
+ *   eth_sign -- signMessage over the transfer hash, v + 4 (v = 31/32)
+ *   eip712   -- AllowanceTransfer typed data (v = 27/28)
+ *
+ * An authorization travels as JSON with bigints as decimal strings:
+ *   { chainId, module, safe, token, to, amount, paymentToken, payment,
+ *     nonce, delegate, signature }
+ *
+ * The relayer protocol (agent-treasury-relayer.mjs) is two POSTs:
+ *   /quote  { safe, token, paymentToken }  -> { payment, relayer, ... }
+ *   /relay  authorization                  -> { txHash, status, gasUsed }
+ *
+ * Optional in ~/morpheus/.env (agent side):
+ *   RELAYER_URL=http://127.0.0.1:8565  Relayer to use; unset = pay gas directly
+ *   GASLESS_PAYMENT_TOKEN=ETH          Refund token: ETH or MOR
+ *   GASLESS_MAX_PAYMENT=0.0005         Most the agent pays per transfer, in
+ *                                      that token (required for MOR)
+ */
+
+import {
+  parseAbi,
+  parseUnits,
+  formatUnits,
+  toBytes,
+  toHex,
+  concat,
+  slice,
+  hexToNumber,
+  hashTypedData,
+  hashMessage,
+  recoverAddress,
+  getAddress,
+  isAddressEqual,
+  zeroAddress,
+} from "viem";
+
+/**
+ * The relayer failed after the authorization was handed to it: the transfer
+ * may have been broadcast. txHash is set when the relayer reported one.
+ */
+export class RelaySubmitError extends Error {
+  constructor(message, txHash = null) {
+    super(message);
+    this.name = "RelaySubmitError";
+    this.txHash = txHash;
+  }
+}
+
+export const ALLOWANCE_TRANSFER_ABI = parseAbi([
+  "function executeAllowanceTransfer(address safe, address token, address payable to, uint96 amount, address paymentToken, uint96 payment, address delegate, bytes signature)",
+  "function generateTransferHash(address safe, address token, address to, uint96 amount, address paymentToken, uint96 payment, uint16 nonce) view returns (bytes32)",
+  "function getTokenAllowance(address safe, address delegate, address token) view returns (uint256[5])",
+]);
+
+const ALLOWANCE_TRANSFER_TYPES = {
+  AllowanceTransfer: [
+    { name: "safe", type: "address" },
+    { name: "token", type: "address" },
+    { name: "to", type: "address" },
+    { name: "amount", type: "uint96" },
+    { name: "paymentToken", type: "address" },
+    { name: "payment", type: "uint96" },
+    { name: "nonce", type: "uint16" },
+  ],
+};
+
+/**
+ * Gasless settings from the environment (read at call time, after the
+ * script's loadEnv()), or null when no relayer is configured.
+ * morToken is the MOR address so GASLESS_PAYMENT_TOKEN can name it.
+ */
+export function gaslessConfig({ morToken }) {
+  const relayerUrl = process.env.RELAYER_URL;
+  if (!relayerUrl) return null;
+
+  const symbol = (process.env.GASLESS_PAYMENT_TOKEN || "ETH").toUpperCase();
+  let paymentToken;
+  if (symbol === "ETH") paymentToken = zeroAddress;
+  else if (symbol === "MOR") paymentToken = getAddress(morToken);
+  else throw new Error(`GASLESS_PAYMENT_TOKEN must be ETH or MOR, not "${symbol}"`);
+
+  const max = process.env.GASLESS_MAX_PAYMENT || (symbol === "ETH" ? "0.0005" : null);
+  if (!max) {
+    throw new Error(`GASLESS_MAX_PAYMENT is required when refunding the relayer in ${symbol}`);
+  }
+  let maxPayment;
+  try {
+    maxPayment = parseUnits(max, 18);
+  } catch {
+    throw new Error(`Invalid GASLESS_MAX_PAYMENT "${max}"`);
+  }
+
+  return { relayerUrl: relayerUrl.replace(/\/+$/, ""), paymentToken, paymentSymbol: symbol, maxPayment };
+}
+
+/**
+ * EIP-712 typed data for an AllowanceTransfer (domain: chainId + module).
+ */
+export function allowanceTransferTypedData(chainId, moduleAddress, transfer) {
+  return {
+    domain: { chainId, verifyingContract: getAddress(moduleAddress) },
+    types: ALLOWANCE_TRANSFER_TYPES,
+    primaryType: "AllowanceTransfer",
+    message: {
+      safe: getAddress(transfer.safe),
+      token: getAddress(transfer.token),
+      to: getAddress(transfer.to),
+      amount: BigInt(transfer.amount),
+      paymentToken: getAddress(transfer.paymentToken),
+      payment: BigInt(transfer.payment),
+      nonce: Number(transfer.nonce),
+    },
+  };
+}
+
+/**
+ * The transfer hash as the module computes it.
+ */
+export async function generateTransferHash(publicClient, moduleAddress, transfer) {
+  return publicClient.readContract({
+    address: moduleAddress,
+    abi: ALLOWANCE_TRANSFER_ABI,
+    functionName: "generateTransferHash",
+    args: [
+      transfer.safe,
+      transfer.token,
+      transfer.to,
+      BigInt(transfer.amount),
+      transfer.paymentToken,
+      BigInt(transfer.payment),
+      Number(transfer.nonce),
+    ],
+  });
+}
+
+/**
+ * The allowance nonce the next authorization for this token must use.
+ */
+export async function currentTransferNonce(publicClient, { moduleAddress, safeAddress, delegate, token }) {
+  const allowance = await publicClient.readContract({
+    address: moduleAddress,
+    abi: ALLOWANCE_TRANSFER_ABI,
+    functionName: "getTokenAllowance",
+    args: [safeAddress, delegate, token],
+  });
+  return Number(allowance[4]);
+}
+
+/**
+ * Sign a transfer ({ safe, token, to, amount, paymentToken, payment, nonce })
+ * as the delegate. The hash is taken from the module itself, and for
+ * eip712 the typed data must hash to the same value.
+ */
+export async function signAllowanceTransfer(publicClient, account, { moduleAddress, scheme, transfer }) {
+  const hash = await generateTransferHash(publicClient, moduleAddress, transfer);
+
+  let sigBytes;
+  if (scheme === "eip712") {
+    const typedData = allowanceTransferTypedData(publicClient.chain.id, moduleAddress, transfer);
+    if (hashTypedData(typedData) !== hash) {
+      throw new Error(`AllowanceTransfer typed data does not match the module's hash ${hash} (wrong chain or module?)`);
+    }
+    sigBytes = toBytes(await account.signTypedData(typedData));
+    if (sigBytes[64] < 27) sigBytes[64] += 27;
+  } else if (scheme === "eth_sign") {
+    sigBytes = toBytes(await account.signMessage({ message: { raw: toBytes(hash) } }));
+    if (sigBytes[64] < 27) sigBytes[64] += 27;
+    sigBytes[64] += 4; // The module treats v > 30 as eth_sign
+  } else {
+    throw new Error(`Unknown signature scheme "${scheme}". Use eth_sign or eip712`);
+  }
+
+  return authorizationToJson({
+    chainId: publicClient.chain.id,
+    module: getAddress(moduleAddress),
+    ...transfer,
+    delegate: account.address,
+    signature: toHex(sigBytes),
+  });
+}
+
+/**
+ * Recover who signed an authorization, using the module's hash.
+ */
+export async function recoverAuthorizationSigner(publicClient, authorization) {
+  const hash = await generateTransferHash(publicClient, authorization.module, authorization);
+  const { signature } = authorization;
+  const v = hexToNumber(slice(signature, 64, 65));
+  if (v === 27 || v === 28) {
+    return recoverAddress({ hash, signature });
+  }
+  if (v === 31 || v === 32) {
+    return recoverAddress({
+      hash: hashMessage({ raw: hash }),
+      signature: concat([slice(signature, 0, 64), toHex(v - 4, { size: 1 })]),
+    });
+  }
+  throw new Error(`Unsupported authorization signature v value: ${v}`);
+}
+
+/**
+ * Normalize an authorization to its JSON form (checksummed addresses,
+ * decimal strings). Throws on missing or malformed fields.
+ */
+export function authorizationToJson(authorization) {
+  const address = (field) => {
+    try {
+      return getAddress(authorization[field]);
+    } catch {
+      throw new Error(`Authorization field "${field}" must be an address`);
+    }
+  };
+  const integer = (field) => {
+    const value = authorization[field];
+    if (value === undefined || value === null || !/^\d+$/.test(String(value))) {
+      throw new Error(`Authorization field "${field}" must be a non-negative integer`);
+    }
+    return String(value);
+  };
+  if (!/^0x[0-9a-fA-F]{130}$/.test(authorization.signature || "")) {
+    throw new Error('Authorization field "signature" must be 65 bytes of hex');
+  }
+  return {
+    chainId: Number(integer("chainId")),
+    module: address("module"),
+    safe: address("safe"),
+    token: address("token"),
+    to: address("to"),
+    amount: integer("amount"),
+    paymentToken: address("paymentToken"),
+    payment: integer("payment"),
+    nonce: Number(integer("nonce")),
+    delegate: address("delegate"),
+    signature: authorization.signature,
+  };
+}
+
+/**
+ * executeAllowanceTransfer arguments for an authorization.
+ */
+export function executeArgs(authorization) {
+  return [
+    authorization.safe,
+    authorization.token,
+    authorization.to,
+    BigInt(authorization.amount),
+    authorization.paymentToken,
+    BigInt(authorization.payment),
+    authorization.delegate,
+    authorization.signature,
+  ];
+}
+
+async function postJson(url, body) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  } catch (e) {
+    throw new Error(`Relayer ${url} unreachable: ${e.message}`);
+  }
+  let result;
+  try {
+    result = await response.json();
+  } catch {
+    throw new Error(`Relayer ${url} returned ${response.status} without JSON`);
+  }
+  if (!response.ok || result.ok === false) {
+    const what = response.status >= 500 ? "failed" : "refused";
+    const error = new Error(`Relayer ${what}: ${result.error || `HTTP ${response.status}`}`);
+    error.txHash = result.txHash || null;
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Move `amount` of `token` from the Safe to `to` through a relayer:
+ * ask for a quote, refuse it above maxPayment, sign, check the signed
+ * transfer simulates with the relayer as sender, then hand it over.
+ *
+ * Returns { txHash, status, gasUsed, payment, relayer, authorization }.
+ * Failures before the authorization is handed over throw a plain Error;
+ * from then on they throw RelaySubmitError, since the relayer may already
+ * have sent the transaction.
+ */
+export async function relayAllowanceTransfer(publicClient, account, {
+  gasless,
+  moduleAddress,
+  safeAddress,
+  token,
+  to,
+  amount,
+  scheme,
+  log = () => {},
+}) {
+  const { relayerUrl, paymentToken, paymentSymbol, maxPayment } = gasless;
+
+  const quote = await postJson(`${relayerUrl}/quote`, { safe: safeAddress, token, paymentToken });
+  const payment = BigInt(quote.payment);
+  log(`  Relayer ${quote.relayer} asks ${formatUnits(payment, 18)} ${paymentSymbol} for gas`);
+  if (payment > maxPayment) {
+    throw new Error(
+      `Relayer fee ${formatUnits(payment, 18)} ${paymentSymbol} is above GASLESS_MAX_PAYMENT (${formatUnits(maxPayment, 18)} ${paymentSymbol})`
+    );
+  }
+
+  const nonce = await currentTransferNonce(publicClient, {
+    moduleAddress,
+    safeAddress,
+    delegate: account.address,
+    token,
+  });
+  const authorization = await signAllowanceTransfer(publicClient, account, {
+    moduleAddress,
+    scheme,
+    transfer: { safe: safeAddress, token, to, amount: amount.toString(), paymentToken, payment: payment.toString(), nonce },
+  });
+  const signer = await recoverAuthorizationSigner(publicClient, authorization);
+  if (!isAddressEqual(signer, account.address)) {
+    throw new Error(`Authorization recovers to ${signer}, not the delegate ${account.address}`);
+  }
+  log(`  Signed transfer authorization (${scheme}, nonce ${nonce})`);
+
+  await publicClient.simulateContract({
+    address: moduleAddress,
+    abi: ALLOWANCE_TRANSFER_ABI,
+    functionName: "executeAllowanceTransfer",
+    args: executeArgs(authorization),
+    account: quote.relayer,
+  });
+  log("  Simulation OK. Sending to relayer...");
+
+  let result;
+  try {
+    result = await postJson(`${relayerUrl}/relay`, authorization);
+  } catch (e) {
+    throw new RelaySubmitError(e.message, e.txHash || null);
+  }
+  return {
+    txHash: result.txHash,
+    status: result.status,
+    gasUsed: result.gasUsed === undefined ? null : BigInt(result.gasUsed),
+    payment,
+    relayer: quote.relayer,
+    authorization,
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * batch-file.mjs — Read payout/batch plans from JSON or CSV
+ *
+ * Each entry is one of:
+ *   eth    -- native ETH transfer           { type, to, amount }
+ *   erc20  -- ERC-20 transfer(to, amount)    { type, token, to, amount }
+ *   raw    -- arbitrary call                 { type, to, data, amount? (ETH value) }
+ *
+ * `token` is a known symbol (e.g. MOR) or a token contract address.
+ * Amounts are decimal strings (or plain JSON numbers) in token units (ETH
+ * for eth/raw).
+ *
+ * JSON: an array of entries, or { "calls": [...] }.
+ * CSV:  header row naming the columns type,to,token,amount,data (any order,
+ *       unused columns may be left empty). Blank lines and # comments are skipped.
+ */
+
+import { readFileSync } from "node:fs";
+
+export const BATCH_TYPES = ["eth", "erc20", "raw"];
+
+function parseCsv(content) {
+  const lines = content
+    .split(/\r?\n/)
+    .map((line, i) => ({ text: line.trim(), line: i + 1 }))
+    .filter(({ text }) => text && !text.startsWith("#"));
+  if (lines.length === 0) return [];
+
+  const header = lines[0].text.split(",").map((h) => h.trim().toLowerCase());
+  if (!header.includes("type") || !header.includes("to")) {
+    throw new Error("CSV header must include at least 'type' and 'to' columns");
+  }
+
+  return lines.slice(1).map(({ text, line }) => {
+    const cells = text.split(",").map((c) => c.trim());
+    if (cells.length > header.length) {
+      throw new Error(`Line ${line}: more cells than header columns`);
+    }
+    const entry = { line };
+    header.forEach((key, i) => {
+      if (cells[i]) entry[key] = cells[i];
+    });
+    return entry;
+  });
+}
+
+function parseJson(content) {
+  const parsed = JSON.parse(content);
+  const calls = Array.isArray(parsed) ? parsed : parsed.calls;
+  if (!Array.isArray(calls)) {
+    throw new Error('JSON batch must be an array or { "calls": [...] }');
+  }
+  return calls.map((c, i) => ({ ...c, line: i + 1 }));
+}
+
+/**
+ * Read and shape-check a batch file. Addresses and amounts are validated by
+ * the caller, which also knows token decimals.
+ */
+export function readBatchFile(path) {
+  const content = readFileSync(path, "utf-8");
+  const entries = path.toLowerCase().endsWith(".json") ? parseJson(content) : parseCsv(content);
+
+  for (const entry of entries) {
+    entry.type = String(entry.type || "").toLowerCase();
+    if (!BATCH_TYPES.includes(entry.type)) {
+      throw new Error(`Entry ${entry.line}: type must be one of ${BATCH_TYPES.join(", ")}`);
+    }
+    if (!entry.to) {
+      throw new Error(`Entry ${entry.line}: 'to' is required`);
+    }
+    if (typeof entry.amount === "number") {
+      // JSON numbers are accepted as written; exponent forms are ambiguous
+      const amount = String(entry.amount);
+      if (!/^\d+(\.\d+)?$/.test(amount)) {
+        throw new Error(`Entry ${entry.line}: amount ${amount} cannot be read exactly; write it as a string, e.g. "0.0000001"`);
+      }
+      entry.amount = amount;
+    } else if (entry.amount !== undefined && typeof entry.amount !== "string") {
+      throw new Error(`Entry ${entry.line}: amount must be a number or a decimal string`);
+    }
+    if (entry.type !== "raw" && !entry.amount) {
+      throw new Error(`Entry ${entry.line}: 'amount' is required for ${entry.type} transfers`);
+    }
+    if (entry.type === "erc20" && !entry.token) {
+      throw new Error(`Entry ${entry.line}: 'token' is required for erc20 transfers`);
+    }
+    if (entry.type === "raw" && !entry.data) {
+      throw new Error(`Entry ${entry.line}: 'data' is required for raw calls`);
+    }
+  }
+
+  return entries;
+}
@@ -0,0 +1,299 @@
+/**
+ * calldata.mjs — Decode Safe transaction calldata into readable calls
+ *
+ * Knows the ABIs this project works with: the Safe's own owner, threshold
+ * and module functions, ERC-20, the AllowanceModule admin functions, and
+ * MultiSend (whose packed calls are decoded recursively). Anything else is
+ * reported by selector only.
+ *
+ * riskLabels() tags a decoded call tree with what it can do to the Safe
+ * ("changes owners", "enables module", "delegatecall", ...) so reviewers
+ * can tell a MOR transfer from an owner change at a glance.
+ */
+
+import {
+  parseAbi,
+  decodeFunctionData,
+  getAbiItem,
+  formatEther,
+  formatUnits,
+  isAddressEqual,
+  size,
+} from "viem";
+import { decodeMultiSend, multiSendAddress, multiSendCallOnlyAddress } from "./multisend.mjs";
+
+export const OPERATION_CALL = 0;
+export const OPERATION_DELEGATECALL = 1;
+
+export const SAFE_ADMIN_ABI = parseAbi([
+  "function addOwnerWithThreshold(address owner, uint256 _threshold)",
+  "function removeOwner(address prevOwner, address owner, uint256 _threshold)",
+  "function swapOwner(address prevOwner, address oldOwner, address newOwner)",
+  "function changeThreshold(uint256 _threshold)",
+  "function enableModule(address module)",
+  "function disableModule(address prevModule, address module)",
+  "function setGuard(address guard)",
+  "function setFallbackHandler(address handler)",
+  "function changeMasterCopy(address _masterCopy)",
+  "function approveHash(bytes32 hashToApprove)",
+]);
+
+export const ERC20_CALL_ABI = parseAbi([
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+]);
+
+export const ALLOWANCE_MODULE_CALL_ABI = parseAbi([
+  "function addDelegate(address delegate)",
+  "function removeDelegate(address delegate, bool removeAllowances)",
+  "function setAllowance(address delegate, address token, uint96 allowanceAmount, uint16 resetTimeMin, uint32 resetBaseMin)",
+  "function resetAllowance(address delegate, address token)",
+  "function deleteAllowance(address delegate, address token)",
+]);
+
+const MULTISEND_CALL_ABI = parseAbi([
+  "function multiSend(bytes transactions) payable",
+]);
+
+const KNOWN_ABI = [
+  ...SAFE_ADMIN_ABI,
+  ...ERC20_CALL_ABI,
+  ...ALLOWANCE_MODULE_CALL_ABI,
+  ...MULTISEND_CALL_ABI,
+];
+
+const ERC20_FUNCTIONS = new Set(ERC20_CALL_ABI.map((item) => item.name));
+
+/**
+ * True if `to` is one of the configured MultiSend deployments.
+ */
+export function isMultiSend(to) {
+  return isAddressEqual(to, multiSendCallOnlyAddress()) || isAddressEqual(to, multiSendAddress());
+}
+
+/**
+ * Decode one call ({ to, value, data, operation }).
+ *
+ * Returns { to, value, data, operation, selector, functionName, args, calls?, error? }
+ * where args is a list of { name, type, value } and calls holds the decoded
+ * inner calls of a MultiSend batch. multiSend(bytes) is only unpacked when
+ * it is delegatecalled into a MultiSend deployment; otherwise it is left
+ * undecoded, like any unknown selector.
+ */
+export function decodeCall({ to, value = 0n, data, operation = OPERATION_CALL }) {
+  const decoded = {
+    to,
+    value: BigInt(value ?? 0),
+    data: data || "0x",
+    operation: Number(operation),
+    selector: data && data !== "0x" ? data.slice(0, 10) : null,
+    dataSize: data && data !== "0x" ? size(data) : 0,
+    functionName: null,
+    args: [],
+  };
+  if (!decoded.selector) return decoded;
+
+  try {
+    const { functionName, args } = decodeFunctionData({ abi: KNOWN_ABI, data });
+    const item = getAbiItem({ abi: KNOWN_ABI, name: functionName });
+    decoded.functionName = functionName;
+    decoded.args = item.inputs.map((input, i) => ({
+      name: input.name,
+      type: input.type,
+      value: args[i],
+    }));
+  } catch {
+    return decoded; // Unknown selector
+  }
+
+  if (decoded.functionName === "multiSend") {
+    // SECURITY: The Safe only runs the packed calls when it delegatecalls
+    // MultiSend. Sent anywhere else, or as a plain call, the batch is just
+    // bytes handed to an arbitrary contract: show it as an unknown call
+    if (!isMultiSend(to) || decoded.operation !== OPERATION_DELEGATECALL) {
+      decoded.functionName = null;
+      decoded.args = [];
+      return decoded;
+    }
+    try {
+      decoded.calls = decodeMultiSend(data).map((call) => decodeCall(call));
+    } catch (e) {
+      decoded.error = `Could not unpack MultiSend batch: ${e.message}`;
+    }
+  }
+  return decoded;
+}
+
+/**
+ * True for ERC-20 transfer/approve/transferFrom calls.
+ */
+export function isErc20Call(decoded) {
+  return ERC20_FUNCTIONS.has(decoded.functionName);
+}
+
+/**
+ * Every decoded call in the tree, depth first (the call itself first).
+ */
+export function flattenCalls(decoded) {
+  return [decoded, ...(decoded.calls || []).flatMap((call) => flattenCalls(call))];
+}
+
+function formatArg(arg, decoded, tokens) {
+  if (arg.name === "amount" && isErc20Call(decoded)) {
+    const token = tokens.get(decoded.to.toLowerCase());
+    if (token) return `${formatUnits(arg.value, token.decimals)} ${token.symbol} (${arg.value} raw)`;
+  }
+  if (typeof arg.value === "bigint") return arg.value.toString();
+  if (typeof arg.value === "string" && arg.value.length > 66) {
+    return `${arg.value.slice(0, 66)}... (${size(arg.value)} bytes)`;
+  }
+  return String(arg.value);
+}
+
+/**
+ * Render a decoded call as indented text lines.
+ *
+ * Options:
+ *   tokens  -- Map of lowercase token address -> { symbol, decimals }
+ *   labels  -- Map of lowercase address -> name (e.g. "this Safe")
+ */
+export function formatDecodedCall(decoded, { tokens = new Map(), labels = new Map(), indent = "" } = {}) {
+  const name = (address) => {
+    const label = labels.get(address.toLowerCase());
+    return label ? `${address} (${label})` : address;
+  };
+  const lines = [];
+
+  lines.push(`${indent}Target:    ${name(decoded.to)}`);
+  if (decoded.operation === OPERATION_DELEGATECALL) {
+    lines.push(`${indent}Operation: DELEGATECALL`);
+  }
+  if (decoded.value > 0n) {
+    lines.push(`${indent}Value:     ${formatEther(decoded.value)} ETH`);
+  }
+
+  if (!decoded.selector) {
+    lines.push(`${indent}Function:  (none -- plain ETH transfer)`);
+  } else if (!decoded.functionName) {
+    lines.push(`${indent}Function:  unknown selector ${decoded.selector} (${decoded.dataSize} bytes of calldata)`);
+  } else {
+    const signature = decoded.args.map((a) => `${a.type} ${a.name}`).join(", ");
+    lines.push(`${indent}Function:  ${decoded.functionName}(${signature})`);
+    if (!decoded.calls) {
+      for (const arg of decoded.args) {
+        lines.push(`${indent}  ${arg.name}: ${formatArg(arg, decoded, tokens)}`);
+      }
+    }
+  }
+
+  if (decoded.error) {
+    lines.push(`${indent}  ${decoded.error}`);
+  }
+  if (decoded.calls) {
+    lines.push(`${indent}  ${decoded.calls.length} batched call(s):`);
+    decoded.calls.forEach((call, i) => {
+      lines.push(`${indent}  #${i + 1}`);
+      lines.push(...formatDecodedCall(call, { tokens, labels, indent: `${indent}    ` }));
+    });
+  }
+  return lines;
+}
+
+// Function name -> risk label
+const FUNCTION_LABELS = {
+  addOwnerWithThreshold: "changes owners",
+  removeOwner: "changes owners",
+  swapOwner: "changes owners",
+  changeThreshold: "changes threshold",
+  enableModule: "enables module",
+  disableModule: "disables module",
+  setGuard: "sets guard",
+  setFallbackHandler: "changes fallback handler",
+  changeMasterCopy: "upgrades Safe singleton",
+  approveHash: "approves hash",
+  transfer: "token transfer",
+  transferFrom: "token transfer",
+  approve: "token approval",
+  addDelegate: "adds allowance delegate",
+  removeDelegate: "removes allowance delegate",
+  setAllowance: "sets allowance",
+  resetAllowance: "resets allowance",
+  deleteAllowance: "deletes allowance",
+};
+
+// Labels that give control over the Safe rather than moving a bounded amount
+export const HIGH_RISK_LABELS = new Set([
+  "changes owners",
+  "changes threshold",
+  "enables module",
+  "sets guard",
+  "changes fallback handler",
+  "upgrades Safe singleton",
+  "delegatecall",
+  "unknown call",
+  "malformed batch",
+]);
+
+/**
+ * Risk labels for a decoded call tree, in first-seen order without duplicates.
+ */
+export function riskLabels(decoded) {
+  const labels = new Set();
+  for (const call of flattenCalls(decoded)) {
+    if (call.operation === OPERATION_DELEGATECALL) {
+      labels.add(isMultiSend(call.to) && call === decoded ? "batch" : "delegatecall");
+    }
+    if (call.value > 0n) labels.add("sends ETH");
+    if (call.error) labels.add("malformed batch");
+    if (call.functionName && FUNCTION_LABELS[call.functionName]) {
+      labels.add(FUNCTION_LABELS[call.functionName]);
+    } else if (call.selector && !call.functionName) {
+      labels.add("unknown call");
+    }
+  }
+  return [...labels];
+}
+
+/**
+ * JSON-safe form of a decoded call tree (bigints as decimal strings).
+ */
+export function decodedCallToJson(decoded) {
+  const json = {
+    to: decoded.to,
+    value: decoded.value.toString(),
+    operation: decoded.operation === OPERATION_DELEGATECALL ? "delegatecall" : "call",
+    selector: decoded.selector,
+    function: decoded.functionName,
+    args: decoded.args.map((a) => ({
+      name: a.name,
+      type: a.type,
+      value: typeof a.value === "bigint" ? a.value.toString() : a.value,
+    })),
+  };
+  if (decoded.calls) json.calls = decoded.calls.map((call) => decodedCallToJson(call));
+  if (decoded.error) json.error = decoded.error;
+  return json;
+}
+
+/**
+ * Delegatecall warnings for a decoded call tree. A delegatecall runs the
+ * target's code with full control over the Safe's storage and funds; the
+ * only expected target is MultiSend.
+ */
+export function delegatecallWarnings(decoded) {
+  const warnings = [];
+  for (const call of flattenCalls(decoded)) {
+    if (call.operation !== OPERATION_DELEGATECALL) continue;
+    if (isMultiSend(call.to)) {
+      if (call !== decoded) {
+        warnings.push(`Nested delegatecall into MultiSend ${call.to} inside a batch`);
+      }
+    } else {
+      warnings.push(
+        `DELEGATECALL to ${call.to}: its code runs as the Safe and can change owners, modules or move all funds`
+      );
+    }
+  }
+  return warnings;
+}
@@ -0,0 +1,174 @@
+/**
+ * escalation.mjs — Ask the co-signers for a one-off top-up when the allowance runs dry
+ *
+ * The allowance caps what refill may pull on its own. When it stays
+ * exhausted for several runs, or the hot wallet drops below a critical
+ * floor, refill proposes a plain transfer from the Safe to the hot wallet
+ * through the Transaction Service and leaves the decision to the humans.
+ *
+ * Progress is kept per token in ${SAFE_DIR}/data/escalation.json:
+ *
+ *   { "MOR": { "exhaustedRuns": 2,
+ *              "proposal": { "safeTxHash", "nonce", "amount", "proposedAt" } } }
+ *
+ * A proposal counts as pending while it is in the Safe's queue (not
+ * executed, nonce not yet used). No second one is made until it leaves it.
+ * The queue itself is checked too (findQueuedTopUp), so a lost or reset
+ * escalation.json does not lead to a duplicate proposal.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from "node:fs";
+import { dirname } from "node:path";
+import { encodeFunctionData, decodeFunctionData, parseAbi, zeroAddress, isAddressEqual } from "viem";
+import { computeSafeTxHash, signSafeTx, verifySafeSignatures, txDataFromService } from "./safe-tx.mjs";
+import { decodeCall } from "./calldata.mjs";
+import { policyWindowHours, checkPolicy } from "./policy.mjs";
+import {
+  submitToTxService,
+  getQueuedTransactions,
+  getRecentTransactions,
+  windowTimestamp,
+  nextFreeNonce,
+} from "./tx-service.mjs";
+
+const SAFE_ABI = parseAbi([
+  "function nonce() view returns (uint256)",
+  "function domainSeparator() view returns (bytes32)",
+  "function getOwners() view returns (address[])",
+]);
+
+const ERC20_ABI = parseAbi([
+  "function transfer(address to, uint256 amount) returns (bool)",
+]);
+
+export function escalationFile(safeDir) {
+  return `${safeDir}/data/escalation.json`;
+}
+
+/**
+ * Escalation state keyed by token label, {} if none yet.
+ */
+export function readEscalationState(safeDir) {
+  const path = escalationFile(safeDir);
+  if (!existsSync(path)) return {};
+  try {
+    return JSON.parse(readFileSync(path, "utf-8"));
+  } catch {
+    return {};
+  }
+}
+
+export function writeEscalationState(safeDir, state) {
+  const path = escalationFile(safeDir);
+  mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+  writeFileSync(path, JSON.stringify(state, null, 2) + "\n", { mode: 0o600 });
+}
+
+/**
+ * Whether a recorded proposal is still waiting in the Safe's queue.
+ * Throws if the queue cannot be read, so callers do not propose blind.
+ */
+export async function isProposalPending(publicClient, safeAddress, proposal) {
+  if (!proposal?.safeTxHash) return false;
+  const currentNonce = await publicClient.readContract({
+    address: safeAddress,
+    abi: SAFE_ABI,
+    functionName: "nonce",
+  });
+  if (BigInt(proposal.nonce) < currentNonce) return false;
+  const queued = await getQueuedTransactions(safeAddress, currentNonce);
+  return queued.some((tx) => tx.safeTxHash.toLowerCase() === proposal.safeTxHash.toLowerCase());
+}
+
+/**
+ * A transfer of `token` (zeroAddress for ETH) to `to` that is still in the
+ * Safe's queue, whoever proposed it: { safeTxHash, nonce, amount,
+ * submittedAt } or null.
+ * Throws if the queue cannot be read, so callers do not propose blind.
+ */
+export async function findQueuedTopUp(publicClient, safeAddress, { token, to }) {
+  const currentNonce = await publicClient.readContract({
+    address: safeAddress,
+    abi: SAFE_ABI,
+    functionName: "nonce",
+  });
+  const queued = await getQueuedTransactions(safeAddress, currentNonce);
+  for (const tx of queued) {
+    const data = tx.data && tx.data !== "0x" ? tx.data : null;
+    if (Number(tx.operation || 0) !== 0) continue;
+    if (token === zeroAddress) {
+      if (!data && isAddressEqual(tx.to, to) && BigInt(tx.value) > 0n) {
+        return { safeTxHash: tx.safeTxHash, nonce: BigInt(tx.nonce), amount: BigInt(tx.value), submittedAt: tx.submissionDate || null };
+      }
+      continue;
+    }
+    if (!data || !isAddressEqual(tx.to, token)) continue;
+    let call;
+    try {
+      call = decodeFunctionData({ abi: ERC20_ABI, data });
+    } catch {
+      continue;
+    }
+    if (call.functionName === "transfer" && isAddressEqual(call.args[0], to)) {
+      return { safeTxHash: tx.safeTxHash, nonce: BigInt(tx.nonce), amount: call.args[1], submittedAt: tx.submissionDate || null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Propose transferring `amount` of `token` (zeroAddress for ETH) from the
+ * Safe to `to`, signed by the agent as owner, at the next free nonce.
+ *
+ * The transfer is checked against the local policy like any proposal the
+ * agent signs; violations throw. Returns { safeTxHash, nonce }.
+ */
+export async function proposeTopUp(publicClient, account, { safeAddress, policy, scheme, token, to, amount }) {
+  const txData = token === zeroAddress
+    ? { to, value: amount, data: "0x", operation: 0 }
+    : {
+        to: token,
+        value: 0n,
+        data: encodeFunctionData({ abi: ERC20_ABI, functionName: "transfer", args: [to, amount] }),
+        operation: 0,
+      };
+
+  const [currentNonce, domainSeparator, owners] = await Promise.all([
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "nonce" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "domainSeparator" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "getOwners" }),
+  ]);
+
+  // Rolling windows count executed and still-queued transactions
+  const history = [];
+  const windowHours = policyWindowHours(policy);
+  if (windowHours > 0) {
+    const recent = await getRecentTransactions(safeAddress, new Date(Date.now() - windowHours * 3600_000));
+    for (const tx of recent) {
+      const counts = tx.isExecuted ? tx.isSuccessful !== false : BigInt(tx.nonce) >= currentNonce;
+      if (!counts) continue;
+      history.push({ decoded: decodeCall(txDataFromService(tx)), at: windowTimestamp(tx) });
+    }
+  }
+  const violations = checkPolicy(policy, { decoded: decodeCall(txData), safeAddress, history });
+  if (violations.length > 0) {
+    throw new Error(`Policy refused the top-up: ${violations.map((v) => v.message).join("; ")}`);
+  }
+
+  const queued = await getQueuedTransactions(safeAddress, currentNonce);
+  txData.nonce = nextFreeNonce(queued, currentNonce);
+  const safeTxHash = computeSafeTxHash(domainSeparator, txData);
+  const signature = await signSafeTx(account, {
+    scheme,
+    safeTxHash,
+    chainId: publicClient.chain.id,
+    safeAddress,
+    txData,
+  });
+
+  // SECURITY: The signature must recover to a current owner before it is shared
+  await verifySafeSignatures(safeTxHash, [signature], owners);
+
+  await submitToTxService(safeAddress, txData, safeTxHash, signature, account.address);
+  return { safeTxHash, nonce: txData.nonce };
+}
@@ -0,0 +1,154 @@
+/**
+ * fleet.mjs — Hot wallets one refill run looks after
+ *
+ * Several agents can be delegates on the same Safe. A fleet file lists
+ * their wallets and per-token refill rules
+ * (see templates/refill-fleet.example.json):
+ *
+ *   {
+ *     "wallets": [
+ *       { "address": "agent",
+ *         "tokens": { "MOR": { "threshold": "20", "target": "50" }, "ETH": {} } },
+ *       { "name": "research", "address": "0x...",
+ *         "signer": { "url": "http://127.0.0.1:8551", "api": "clef" },
+ *         "tokens": { "MOR": { "threshold": "10", "target": "25", "minRefill": "2" } } }
+ *     ]
+ *   }
+ *
+ * "agent" stands for the refiller's own key: its wallet is refilled
+ * directly. A wallet with a "signer" (a remote signer holding that
+ * delegate's key, see remote-signer.mjs) is refilled through a signed
+ * transfer authorization. Any other wallet is only reported.
+ *
+ * Token rules: threshold, target, minRefill and critical (floor that
+ * escalates at once) in token units. For MOR and ETH, missing fields take
+ * the refill script's .env values; other tokens are addresses and need
+ * threshold and target ("decimals" defaults to 18).
+ */
+
+import { readFileSync } from "node:fs";
+import { getAddress, parseUnits, zeroAddress } from "viem";
+
+/**
+ * Resolve a fleet token key to { address, symbol, decimals }.
+ */
+function resolveToken(key, rule, knownTokens) {
+  if (key.toUpperCase() === "ETH") {
+    return { address: zeroAddress, symbol: "ETH", decimals: 18 };
+  }
+  const known = knownTokens[key.toUpperCase()];
+  if (known) {
+    return { address: getAddress(known.address), symbol: key.toUpperCase(), decimals: known.decimals };
+  }
+  try {
+    return { address: getAddress(key), symbol: rule.symbol || key, decimals: rule.decimals ?? 18 };
+  } catch {
+    throw new Error(`"${key}" is neither ETH, a known symbol nor an address`);
+  }
+}
+
+function parseAmount(value, decimals, where) {
+  let amount;
+  try {
+    amount = parseUnits(String(value), decimals);
+  } catch {
+    throw new Error(`${where}: invalid amount "${value}"`);
+  }
+  if (amount < 0n) {
+    throw new Error(`${where} must not be negative`);
+  }
+  return amount;
+}
+
+/**
+ * Build a fleet from already-parsed wallet entries.
+ *
+ * defaults maps symbols (MOR, ETH) to { threshold, target, minRefill,
+ * critical } in base units, used for fields a rule leaves out.
+ */
+export function buildFleet(raw, { agentAddress, knownTokens = {}, defaults = {}, source = null }) {
+  if (!raw || !Array.isArray(raw.wallets) || raw.wallets.length === 0) {
+    throw new Error('Fleet file must have a non-empty "wallets" array');
+  }
+
+  const seen = new Set();
+  const wallets = raw.wallets.map((entry, i) => {
+    const where = `wallets[${i}]`;
+    let address;
+    try {
+      address = getAddress(entry.address === "agent" ? agentAddress : entry.address);
+    } catch {
+      throw new Error(`${where}.address: "${entry.address}" is neither "agent" nor an address`);
+    }
+    const isAgent = address === getAddress(agentAddress);
+    if (seen.has(address.toLowerCase())) {
+      throw new Error(`${where}: ${address} is listed twice`);
+    }
+    seen.add(address.toLowerCase());
+
+    let signer = null;
+    if (entry.signer !== undefined && !isAgent) {
+      if (!entry.signer?.url) {
+        throw new Error(`${where}.signer needs a "url"`);
+      }
+      signer = {
+        url: entry.signer.url,
+        api: entry.signer.api || "clef",
+        scheme: entry.signer.scheme || "eip712",
+      };
+    }
+
+    const tokens = [];
+    for (const [tokenKey, value] of Object.entries(entry.tokens || {})) {
+      const at = `${where}.tokens.${tokenKey}`;
+      const rule = value || {};
+      const token = resolveToken(tokenKey, rule, knownTokens);
+      const fallback = defaults[token.symbol] || {};
+      const field = (name, required) => {
+        if (rule[name] !== undefined && rule[name] !== null) {
+          return parseAmount(rule[name], token.decimals, `${at}.${name}`);
+        }
+        if (fallback[name] !== undefined) return fallback[name];
+        if (required) throw new Error(`${at}.${name} is required`);
+        return null;
+      };
+
+      const threshold = field("threshold", true);
+      const target = field("target", true);
+      if (target < threshold) {
+        throw new Error(`${at}: target must not be below threshold`);
+      }
+      if (tokens.some((t) => t.address === token.address)) {
+        throw new Error(`${at}: token ${token.address} is listed twice`);
+      }
+      tokens.push({
+        ...token,
+        threshold,
+        target,
+        minRefill: field("minRefill", false) ?? 0n,
+        critical: field("critical", false),
+      });
+    }
+    if (tokens.length === 0) {
+      throw new Error(`${where}: no tokens to watch`);
+    }
+
+    return {
+      name: entry.name || (isAgent ? "agent" : address),
+      address,
+      isAgent,
+      signer,
+      tokens,
+    };
+  });
+
+  return { source, wallets };
+}
+
+/**
+ * Load and validate a fleet file.
+ */
+export function loadFleet(path, { agentAddress, knownTokens = {}, defaults = {} }) {
+  const raw = JSON.parse(readFileSync(path, "utf-8"));
+  return buildFleet(raw, { agentAddress, knownTokens, defaults, source: path });
+}
@@ -0,0 +1,30 @@
+/**
+ * freeze.mjs — Local freeze marker written by `agent-treasury-propose.mjs freeze`
+ *
+ * SECURITY: A freeze means the agent must not pull anything from the Safe.
+ * While ${SAFE_DIR}/.frozen exists, refill and spend refuse to move funds,
+ * whatever started them. Delete the file to resume.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
+
+export function freezeFile(safeDir) {
+  return `${safeDir}/.frozen`;
+}
+
+/**
+ * The freeze record ({ frozenAt, reason, ... }), or null if not frozen.
+ */
+export function readFreezeMarker(safeDir) {
+  const path = freezeFile(safeDir);
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, "utf-8"));
+  } catch {
+    return { frozenAt: null, reason: "unreadable freeze marker" };
+  }
+}
+
+export function writeFreezeMarker(safeDir, record) {
+  writeFileSync(freezeFile(safeDir), JSON.stringify(record, null, 2) + "\n", { mode: 0o600 });
+}
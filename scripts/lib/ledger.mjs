@@ -0,0 +1,128 @@
+/**
+ * ledger.mjs — Append-only record of what the agent moved out of the Safe
+ *
+ * One JSON object per line in ${SAFE_DIR}/data/ledger.jsonl. Entries are
+ * only ever appended; amounts are decimal strings in token units so the
+ * file stays readable with jq or a text editor.
+ *
+ * Every refill attempt (kind "refill") and direct payment (kind "spend")
+ * is recorded, including the ones that did not go through:
+ *
+ *   { ts, kind, status, safe, delegate, token, symbol, decimals, amount,
+ *     txHash, gasUsed, allowanceBefore, allowanceAfter, error, errorClass }
+ *
+ * status is "success" or "reverted" for sent transactions, "skipped" for
+ * a refill that was not worth sending (with the "reason"), "refused" for
+ * a payment stopped before sending, or "failed". Refills also name the
+ * fleet "wallet"; payments carry "to" and "memo".
+ */
+
+import { readFileSync, appendFileSync, mkdirSync, existsSync } from "node:fs";
+import { dirname } from "node:path";
+import { parseUnits, formatUnits } from "viem";
+
+// Statuses that mean something went wrong; "skipped" is a normal outcome
+const FAILURE_STATUSES = new Set(["failed", "reverted", "refused"]);
+
+export function ledgerFile(safeDir) {
+  return `${safeDir}/data/ledger.jsonl`;
+}
+
+/**
+ * Append one entry, stamped with the current time. Returns the entry written.
+ */
+export function appendLedger(safeDir, entry) {
+  const path = ledgerFile(safeDir);
+  mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+  const record = { ts: new Date().toISOString(), ...entry };
+  appendFileSync(path, JSON.stringify(record) + "\n", { mode: 0o600 });
+  return record;
+}
+
+/**
+ * Every entry, oldest first. Lines that do not parse (e.g. a write cut
+ * short by a crash) are skipped.
+ */
+export function readLedger(safeDir) {
+  const path = ledgerFile(safeDir);
+  if (!existsSync(path)) return [];
+  const entries = [];
+  for (const line of readFileSync(path, "utf-8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Partial line
+    }
+  }
+  return entries;
+}
+
+/**
+ * Name of an error's class for the errorClass field, e.g.
+ * "SpendRefusedError" or viem's "ContractFunctionExecutionError".
+ */
+export function errorClass(e) {
+  if (!e || typeof e !== "object") return "Error";
+  return e.name || e.constructor?.name || "Error";
+}
+
+/**
+ * What status reports from the ledger: the last `recent` entries (newest
+ * first), per-token totals of successful refills and payments over the
+ * last 24 hours and 7 days, and the failure streak (failures since the
+ * last success; skips neither count nor end it).
+ */
+export function summarizeLedger(entries, { recent = 10, now = Date.now() } = {}) {
+  const windows = { "24h": 24 * 3600_000, "7d": 7 * 24 * 3600_000 };
+  const sums = { "24h": {}, "7d": {} };
+
+  for (const entry of entries) {
+    if (entry.status !== "success" || !entry.amount) continue;
+    const age = now - Date.parse(entry.ts);
+    const decimals = entry.decimals ?? 18;
+    const symbol = entry.symbol || entry.token;
+    let amount;
+    try {
+      amount = parseUnits(String(entry.amount), decimals);
+    } catch {
+      continue;
+    }
+    for (const [name, ms] of Object.entries(windows)) {
+      if (age > ms) continue;
+      const bucket = sums[name];
+      if (!bucket[symbol]) bucket[symbol] = { decimals, refilled: 0n, spent: 0n, count: 0 };
+      bucket[symbol][entry.kind === "spend" ? "spent" : "refilled"] += amount;
+      bucket[symbol].count++;
+    }
+  }
+
+  const totals = {};
+  for (const [name, bucket] of Object.entries(sums)) {
+    totals[name] = {};
+    for (const [symbol, t] of Object.entries(bucket)) {
+      totals[name][symbol] = {
+        refilled: formatUnits(t.refilled, t.decimals),
+        spent: formatUnits(t.spent, t.decimals),
+        count: t.count,
+      };
+    }
+  }
+
+  const failures = [];
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    if (entry.status === "success") break;
+    if (FAILURE_STATUSES.has(entry.status)) failures.push(entry);
+  }
+
+  return {
+    events: recent > 0 ? entries.slice(-recent).reverse() : [],
+    totals,
+    failureStreak: {
+      count: failures.length,
+      since: failures.length > 0 ? failures[failures.length - 1].ts : null,
+      lastError: failures.length > 0 ? failures[0].error || failures[0].status : null,
+    },
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * logger.mjs — Shared log() for the scripts, with levels, JSON lines and rotation
+ *
+ * createLogger() returns a log(msg, fields) function that the scripts use in
+ * place of their own console.log wrapper. A message starting with "ERROR:",
+ * "FATAL" or "WARNING:" takes that level; log.debug/info/warn/error set it
+ * explicitly. fields are the structured part of a line:
+ *
+ *   log("MOR refill: SUCCESS", { event: "refill.success", token: "MOR",
+ *                                amount: "30", txHash, durationMs: 5120 })
+ *
+ * Two formats:
+ *   text   [2026-01-01T00:00:00.000Z] MOR refill: SUCCESS     (default)
+ *   json   {"ts":"...","level":"info","script":"refill","msg":"...",
+ *           "event":"refill.success","safe":"0x...","token":"MOR",...}
+ *
+ * Lines go to stdout, or to stderr when the script's stdout carries --json
+ * output, or to a file when the script is given one (--log-file). Files
+ * rotate to <file>.1 .. <file>.N when they reach LOG_MAX_BYTES or when the
+ * rotation interval turns over (UTC days by default), so a service log
+ * stops growing without bound.
+ *
+ * Optional in ~/morpheus/.env (read when the logger is created, after the
+ * script's loadEnv()):
+ *   LOG_LEVEL=info                debug, info, warn or error
+ *   LOG_FORMAT=text               text or json
+ *   LOG_MAX_BYTES=10485760        Rotate a log file at this size (0: never)
+ *   LOG_ROTATE_HOURS=24           Rotate a log file every N hours (0: never)
+ *   LOG_KEEP=5                    Rotated files kept per log
+ */
+
+import { appendFileSync, mkdirSync, existsSync, statSync, renameSync, unlinkSync } from "node:fs";
+import { dirname } from "node:path";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// The last logger created, for library modules that log on their own
+let current = null;
+
+function levelOf(msg) {
+  if (/^(ERROR|FATAL)\b/.test(msg)) return "error";
+  if (/^WARN(ING)?\b/.test(msg)) return "warn";
+  return "info";
+}
+
+function envNumber(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Append-only log file that rotates by size and by interval.
+ */
+function rotatingFile(path, { maxBytes, rotateMs, keep }) {
+  mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+  let size = 0;
+  let period = null;
+  if (existsSync(path)) {
+    const stat = statSync(path);
+    size = stat.size;
+    period = rotateMs > 0 ? Math.floor(stat.mtimeMs / rotateMs) : null;
+  }
+
+  function rotate() {
+    for (let i = keep - 1; i >= 1; i--) {
+      if (existsSync(`${path}.${i}`)) renameSync(`${path}.${i}`, `${path}.${i + 1}`);
+    }
+    if (keep > 0) {
+      renameSync(path, `${path}.1`);
+    } else {
+      unlinkSync(path);
+    }
+    size = 0;
+  }
+
+  return function write(line) {
+    const bytes = Buffer.byteLength(line);
+    const now = rotateMs > 0 ? Math.floor(Date.now() / rotateMs) : null;
+    const full = maxBytes > 0 && size > 0 && size + bytes > maxBytes;
+    const turned = period !== null && now !== period && size > 0;
+    if ((full || turned) && existsSync(path)) {
+      try {
+        rotate();
+      } catch {
+        // Another process rotated it first; keep appending
+      }
+    }
+    period = now;
+    appendFileSync(path, line, { mode: 0o600 });
+    size += bytes;
+  };
+}
+
+/**
+ * Create the script's logger.
+ *
+ *   script   short name stamped on JSON lines ("refill", "spend", ...)
+ *   fields   stamped on every JSON line (e.g. { safe })
+ *   stderr   write to stderr, keeping stdout for --json output
+ *   file     write to this file (with rotation) instead of the console
+ *   level    lowest level written (default LOG_LEVEL or "info")
+ */
+export function createLogger({ script, fields = {}, stderr = false, file = null, level } = {}) {
+  const minLevel = level || process.env.LOG_LEVEL || "info";
+  if (!LEVELS[minLevel]) {
+    throw new Error(`Unknown log level "${minLevel}" (use debug, info, warn or error)`);
+  }
+  const format = process.env.LOG_FORMAT || "text";
+  if (format !== "text" && format !== "json") {
+    throw new Error(`Unknown LOG_FORMAT "${format}" (use text or json)`);
+  }
+
+  const write = file
+    ? rotatingFile(file, {
+        maxBytes: envNumber("LOG_MAX_BYTES", 10 * 1024 * 1024),
+        rotateMs: envNumber("LOG_ROTATE_HOURS", 24) * 3600_000,
+        keep: envNumber("LOG_KEEP", 5),
+      })
+    : (line) => (stderr ? process.stderr : process.stdout).write(line);
+
+  function emit(lvl, msg, extra) {
+    if (LEVELS[lvl] < LEVELS[minLevel]) return;
+    const ts = new Date().toISOString();
+    if (format === "json") {
+      const record = { ts, level: lvl, script, msg, ...fields };
+      for (const [key, value] of Object.entries(extra || {})) {
+        if (value === undefined) continue;
+        record[key] = typeof value === "bigint" ? value.toString() : value;
+      }
+      write(JSON.stringify(record) + "\n");
+    } else {
+      write(`[${ts}] ${msg}\n`);
+    }
+  }
+
+  const log = (msg, extra) => emit(levelOf(msg), msg, extra);
+  log.debug = (msg, extra) => emit("debug", msg, extra);
+  log.info = (msg, extra) => emit("info", msg, extra);
+  log.warn = (msg, extra) => emit("warn", msg, extra);
+  log.error = (msg, extra) => emit("error", msg, extra);
+  current = log;
+  return log;
+}
+
+/**
+ * The script's logger, or a plain stdout one if it has not created any.
+ */
+export function getLogger() {
+  if (!current) current = createLogger({ script: "lib" });
+  return current;
+}
@@ -0,0 +1,93 @@
+/**
+ * multisend.mjs — Encode and decode Safe MultiSend batches
+ *
+ * A batch is executed by the Safe as a delegatecall (operation 1) into
+ * MultiSendCallOnly, which replays each packed call from the Safe's context.
+ * CallOnly refuses nested delegatecalls, so a batch can never escalate into
+ * arbitrary code execution inside the Safe.
+ *
+ * Packed call layout (per entry):
+ *   uint8 operation | address to | uint256 value | uint256 dataLength | bytes data
+ *
+ * Optional in ~/morpheus/.env:
+ *   MULTISEND_CALL_ONLY=0x...     (default: Safe v1.4.1 canonical deployment)
+ *   MULTISEND=0x...               (default: Safe v1.4.1 canonical deployment)
+ */
+
+import {
+  parseAbi,
+  encodePacked,
+  encodeFunctionData,
+  decodeFunctionData,
+  concat,
+  slice,
+  size,
+  hexToBigInt,
+  hexToNumber,
+  getAddress,
+} from "viem";
+
+// Safe v1.4.1 canonical addresses (same on every chain)
+export function multiSendCallOnlyAddress() {
+  return getAddress(process.env.MULTISEND_CALL_ONLY || "0x9641d764fc13c8B624c04430C7356C1C7C8102e2");
+}
+
+export function multiSendAddress() {
+  return getAddress(process.env.MULTISEND || "0x38869bf66a61cF6bDB996A6aE40D5853Fd43B526");
+}
+
+export const MULTISEND_ABI = parseAbi([
+  "function multiSend(bytes transactions) payable",
+]);
+
+/**
+ * Encode calls ({ to, value, data, operation? }) into multiSend(bytes) calldata.
+ */
+export function encodeMultiSend(calls) {
+  if (calls.length === 0) {
+    throw new Error("MultiSend batch is empty");
+  }
+  const packed = concat(
+    calls.map((call) => {
+      const data = call.data || "0x";
+      return encodePacked(
+        ["uint8", "address", "uint256", "uint256", "bytes"],
+        [call.operation ?? 0, getAddress(call.to), BigInt(call.value ?? 0), BigInt(size(data)), data]
+      );
+    })
+  );
+  return encodeFunctionData({
+    abi: MULTISEND_ABI,
+    functionName: "multiSend",
+    args: [packed],
+  });
+}
+
+/**
+ * Decode multiSend(bytes) calldata back into its calls.
+ */
+export function decodeMultiSend(calldata) {
+  const { args } = decodeFunctionData({ abi: MULTISEND_ABI, data: calldata });
+  const packed = args[0];
+  const total = size(packed);
+  const calls = [];
+
+  let offset = 0;
+  while (offset < total) {
+    if (offset + 85 > total) {
+      throw new Error(`Truncated MultiSend entry at byte ${offset}`);
+    }
+    const operation = hexToNumber(slice(packed, offset, offset + 1));
+    const to = getAddress(slice(packed, offset + 1, offset + 21));
+    const value = hexToBigInt(slice(packed, offset + 21, offset + 53));
+    const dataLength = Number(hexToBigInt(slice(packed, offset + 53, offset + 85)));
+    if (offset + 85 + dataLength > total) {
+      throw new Error(`MultiSend entry at byte ${offset} overruns the batch`);
+    }
+    const data = dataLength === 0 ? "0x" : slice(packed, offset + 85, offset + 85 + dataLength);
+    calls.push({ operation, to, value, data });
+    offset += 85 + dataLength;
+  }
+
+  return calls;
+}
@@ -0,0 +1,370 @@
+/**
+ * policy.mjs — Local policy checked before the agent proposes or co-signs
+ *
+ * On-chain limits only cover AllowanceModule transfers. Everything the agent
+ * signs as a Safe owner is checked here first against a declarative JSON
+ * policy (see templates/treasury-policy.example.json):
+ *
+ *   recipients.allow / recipients.deny  -- who may receive ETH or tokens
+ *   tokens.<SYMBOL|address>             -- maxPerTx, maxPerWindow, windowHours
+ *   bannedSelectors                     -- function names or 0x selectors
+ *   delegatecallOnlyToMultiSend         -- refuse any other delegatecall
+ *
+ * Without a policy file, the default bans (enableModule, setGuard,
+ * changeMasterCopy and non-MultiSend delegatecalls) still apply.
+ *
+ * Payments the agent makes alone from its allowance (`spend`) have their
+ * own, stricter rules, checked by checkSpend():
+ *
+ *   recipients.spend                    -- who the agent may pay (empty: nobody)
+ *   tokens.<SYMBOL|address>.maxPerPayment -- cap on a single payment (none: refused)
+ */
+
+import { readFileSync, existsSync } from "node:fs";
+import {
+  getAddress,
+  isAddressEqual,
+  parseUnits,
+  formatUnits,
+  toFunctionSelector,
+} from "viem";
+import {
+  SAFE_ADMIN_ABI,
+  ERC20_CALL_ABI,
+  ALLOWANCE_MODULE_CALL_ABI,
+  OPERATION_DELEGATECALL,
+  flattenCalls,
+  isErc20Call,
+  isMultiSend,
+} from "./calldata.mjs";
+import { MULTISEND_ABI } from "./multisend.mjs";
+
+export const DEFAULT_BANNED_FUNCTIONS = ["enableModule", "setGuard", "changeMasterCopy"];
+
+const ETH = "eth";
+
+const MULTISEND_SELECTOR = toFunctionSelector(MULTISEND_ABI[0]);
+
+/**
+ * Resolve a banned-selector entry: a known function name, a signature such
+ * as "approve(address,uint256)", or a raw 4-byte selector.
+ */
+function toSelector(entry) {
+  if (/^0x[0-9a-fA-F]{8}$/.test(entry)) return entry.toLowerCase();
+  if (entry.includes("(")) return toFunctionSelector(entry);
+  const item = [...SAFE_ADMIN_ABI, ...ERC20_CALL_ABI, ...ALLOWANCE_MODULE_CALL_ABI].find(
+    (i) => i.name === entry
+  );
+  if (!item) {
+    throw new Error(`Unknown function "${entry}" in bannedSelectors; use a signature or 0x selector`);
+  }
+  return toFunctionSelector(item);
+}
+
+function addressList(list, field) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new Error(`${field} must be an array of addresses`);
+  return list.map((a) => {
+    try {
+      return getAddress(a);
+    } catch {
+      throw new Error(`${field}: invalid address ${a}`);
+    }
+  });
+}
+
+/**
+ * Load and validate a policy file. Returns the default policy if the file
+ * does not exist.
+ *
+ * knownTokens maps symbols to { address, decimals } (e.g. MOR) so the file
+ * can name tokens by symbol; other tokens are keyed by address and may set
+ * "decimals" (default 18).
+ */
+export function loadPolicy(path, { knownTokens = {} } = {}) {
+  const exists = existsSync(path);
+  const raw = exists ? JSON.parse(readFileSync(path, "utf-8")) : {};
+
+  const tokens = new Map();
+  for (const [key, rule] of Object.entries(raw.tokens || {})) {
+    let asset, symbol, decimals;
+    if (key.toUpperCase() === "ETH") {
+      asset = ETH;
+      symbol = "ETH";
+      decimals = 18;
+    } else if (knownTokens[key.toUpperCase()]) {
+      const known = knownTokens[key.toUpperCase()];
+      asset = known.address.toLowerCase();
+      symbol = key.toUpperCase();
+      decimals = known.decimals;
+    } else {
+      try {
+        asset = getAddress(key).toLowerCase();
+      } catch {
+        throw new Error(`tokens: "${key}" is neither ETH, a known symbol nor an address`);
+      }
+      symbol = rule.symbol || key;
+      decimals = rule.decimals ?? 18;
+    }
+
+    const amount = (field) => {
+      if (rule[field] === undefined) return null;
+      try {
+        return parseUnits(String(rule[field]), decimals);
+      } catch {
+        throw new Error(`tokens.${key}.${field}: invalid amount "${rule[field]}"`);
+      }
+    };
+    const windowHours = Number(rule.windowHours ?? 24);
+    if (!(windowHours > 0)) {
+      throw new Error(`tokens.${key}.windowHours must be a positive number`);
+    }
+    // maxPerPayment stays a decimal string: checkSpend() parses it with the
+    // token's on-chain decimals rather than the ones assumed here
+    amount("maxPerPayment");
+    tokens.set(asset, {
+      symbol,
+      decimals,
+      maxPerTx: amount("maxPerTx"),
+      maxPerPayment: rule.maxPerPayment === undefined ? null : String(rule.maxPerPayment),
+      maxPerWindow: amount("maxPerWindow"),
+      windowHours,
+    });
+  }
+
+  const banned = raw.bannedSelectors ?? DEFAULT_BANNED_FUNCTIONS;
+  const bannedSelectors = new Map(banned.map((entry) => [toSelector(entry), entry]));
+
+  return {
+    source: exists ? path : null,
+    allow: addressList(raw.recipients?.allow, "recipients.allow"),
+    deny: addressList(raw.recipients?.deny, "recipients.deny"),
+    spendRecipients: addressList(raw.recipients?.spend, "recipients.spend"),
+    tokens,
+    bannedSelectors,
+    delegatecallOnlyToMultiSend: raw.delegatecallOnlyToMultiSend ?? true,
+  };
+}
+
+/**
+ * Longest rolling window (hours) any token rule uses, or 0 if none.
+ */
+export function policyWindowHours(policy) {
+  let hours = 0;
+  for (const rule of policy.tokens.values()) {
+    if (rule.maxPerWindow !== null) hours = Math.max(hours, rule.windowHours);
+  }
+  return hours;
+}
+
+/**
+ * Value leaving the Safe in a decoded call tree: ETH sent with any call and
+ * ERC-20 transfers/approvals (an approval is treated as spending its amount).
+ * Each entry is { asset, recipient, amount, call } with asset "eth" or a
+ * lowercase token address; call is the 1-based position in the flattened tree.
+ */
+export function extractOutflows(decoded) {
+  const outflows = [];
+  flattenCalls(decoded).forEach((call, i) => {
+    if (call.value > 0n) {
+      outflows.push({ asset: ETH, recipient: call.to, amount: call.value, call: i + 1 });
+    }
+    if (isErc20Call(call)) {
+      const arg = (name) => call.args.find((a) => a.name === name)?.value;
+      const recipient = call.functionName === "approve" ? arg("spender") : arg("to");
+      outflows.push({
+        asset: call.to.toLowerCase(),
+        recipient,
+        amount: arg("amount"),
+        call: i + 1,
+      });
+    }
+  });
+  return outflows;
+}
+
+/**
+ * Addresses that receive something or get called with unknown calldata.
+ * The Safe itself, MultiSend and token contracts (for decoded ERC-20 calls)
+ * are not recipients. A multiSend(bytes) call to anything but MultiSend is
+ * an unknown call: its target is the recipient, not the packed calls.
+ */
+function recipientsOf(decoded, safeAddress) {
+  const recipients = [];
+  flattenCalls(decoded).forEach((call, i) => {
+    const position = i + 1;
+    if (call.value > 0n) recipients.push({ address: call.to, call: position });
+    if (isErc20Call(call)) {
+      for (const arg of call.args) {
+        if (arg.name === "to" || arg.name === "spender") {
+          recipients.push({ address: arg.value, call: position });
+        }
+      }
+    } else if (
+      call.selector &&
+      (!call.functionName || call.selector === MULTISEND_SELECTOR) &&
+      !isAddressEqual(call.to, safeAddress) &&
+      !isMultiSend(call.to)
+    ) {
+      recipients.push({ address: call.to, call: position });
+    }
+  });
+  return recipients;
+}
+
+function formatAmount(rule, amount) {
+  return `${formatUnits(amount, rule.decimals)} ${rule.symbol}`;
+}
+
+/**
+ * Check a decoded transaction against the policy.
+ *
+ * history is a list of { decoded, at } for other transactions that count
+ * toward rolling windows: at is when each executed, or when it was
+ * submitted if it is still queued.
+ * Returns a list of violations: { rule, message, call?, ...details }.
+ */
+export function checkPolicy(policy, { decoded, safeAddress, history = [], now = Date.now() }) {
+  const violations = [];
+
+  for (const [i, call] of flattenCalls(decoded).entries()) {
+    const position = i + 1;
+    if (call.selector && policy.bannedSelectors.has(call.selector)) {
+      const entry = policy.bannedSelectors.get(call.selector);
+      violations.push({
+        rule: "bannedSelector",
+        call: position,
+        selector: call.selector,
+        function: call.functionName || entry,
+        message: `Call #${position} uses banned function ${call.functionName || entry} (${call.selector}) on ${call.to}`,
+      });
+    }
+    if (
+      policy.delegatecallOnlyToMultiSend &&
+      call.operation === OPERATION_DELEGATECALL &&
+      !isMultiSend(call.to)
+    ) {
+      violations.push({
+        rule: "delegatecall",
+        call: position,
+        target: call.to,
+        message: `Call #${position} is a delegatecall to ${call.to}; only MultiSend may be delegatecalled`,
+      });
+    }
+  }
+
+  for (const { address, call } of recipientsOf(decoded, safeAddress)) {
+    if (policy.deny.some((a) => isAddressEqual(a, address))) {
+      violations.push({
+        rule: "recipientDenied",
+        call,
+        recipient: address,
+        message: `Call #${call}: recipient ${address} is on the denylist`,
+      });
+    } else if (policy.allow.length > 0 && !policy.allow.some((a) => isAddressEqual(a, address))) {
+      violations.push({
+        rule: "recipientNotAllowed",
+        call,
+        recipient: address,
+        message: `Call #${call}: recipient ${address} is not on the allowlist`,
+      });
+    }
+  }
+
+  const totals = new Map();
+  for (const outflow of extractOutflows(decoded)) {
+    totals.set(outflow.asset, (totals.get(outflow.asset) || 0n) + outflow.amount);
+  }
+
+  for (const [asset, amount] of totals) {
+    const rule = policy.tokens.get(asset);
+    if (!rule) continue;
+
+    if (rule.maxPerTx !== null && amount > rule.maxPerTx) {
+      violations.push({
+        rule: "maxPerTx",
+        asset: rule.symbol,
+        amount: formatUnits(amount, rule.decimals),
+        limit: formatUnits(rule.maxPerTx, rule.decimals),
+        message: `Sends ${formatAmount(rule, amount)}, above the per-transaction limit of ${formatAmount(rule, rule.maxPerTx)}`,
+      });
+    }
+
+    if (rule.maxPerWindow !== null) {
+      const since = now - rule.windowHours * 3600_000;
+      let spent = 0n;
+      for (const entry of history) {
+        if (entry.at < since) continue;
+        for (const outflow of extractOutflows(entry.decoded)) {
+          if (outflow.asset === asset) spent += outflow.amount;
+        }
+      }
+      if (spent + amount > rule.maxPerWindow) {
+        violations.push({
+          rule: "maxPerWindow",
+          asset: rule.symbol,
+          amount: formatUnits(amount, rule.decimals),
+          alreadySpent: formatUnits(spent, rule.decimals),
+          limit: formatUnits(rule.maxPerWindow, rule.decimals),
+          windowHours: rule.windowHours,
+          message: `Sends ${formatAmount(rule, amount)} on top of ${formatAmount(rule, spent)} in the last ${rule.windowHours}h, above the window limit of ${formatAmount(rule, rule.maxPerWindow)}`,
+        });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Check one allowance payment (`spend`) against the policy. asset is "eth"
+ * or a lowercase token address; amount is in base units and decimals are the
+ * token's on-chain decimals. Unlike owner transactions, an empty
+ * recipients.spend list allows nobody, and a token without maxPerPayment
+ * may not be paid at all.
+ * Returns a list of violations: { rule, message, ...details }.
+ */
+export function checkSpend(policy, { asset, decimals, to, amount }) {
+  const violations = [];
+
+  if (policy.deny.some((a) => isAddressEqual(a, to))) {
+    violations.push({
+      rule: "recipientDenied",
+      recipient: to,
+      message: `Recipient ${to} is on the denylist`,
+    });
+  } else if (!policy.spendRecipients.some((a) => isAddressEqual(a, to))) {
+    violations.push({
+      rule: "spendRecipientNotAllowed",
+      recipient: to,
+      message: policy.spendRecipients.length === 0
+        ? `Recipient ${to} is not allowed: recipients.spend is empty, so spend may pay nobody`
+        : `Recipient ${to} is not on the spend allowlist (recipients.spend)`,
+    });
+  }
+
+  const rule = policy.tokens.get(asset);
+  if (!rule || rule.maxPerPayment === null) {
+    const name = rule?.symbol || (asset === ETH ? "ETH" : asset);
+    violations.push({
+      rule: "noPaymentLimit",
+      asset: name,
+      message: `No tokens.<TOKEN>.maxPerPayment set for ${name}, so spend may not pay it`,
+    });
+    return violations;
+  }
+
+  const token = { symbol: rule.symbol, decimals };
+  const limit = parseUnits(rule.maxPerPayment, decimals);
+  if (amount > limit) {
+    violations.push({
+      rule: "maxPerPayment",
+      asset: rule.symbol,
+      amount: formatUnits(amount, decimals),
+      limit: formatUnits(limit, decimals),
+      message: `Pays ${formatAmount(token, amount)}, above the per-payment limit of ${formatAmount(token, limit)}`,
+    });
+  }
+
+  return violations;
+}
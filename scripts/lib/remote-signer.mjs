@@ -0,0 +1,213 @@
+/**
+ * remote-signer.mjs — viem account backed by an external JSON-RPC signer
+ *
+ * The private key never enters the treasury process. Message, typed-data and
+ * transaction signing requests are forwarded to Clef (or any signing daemon
+ * speaking the standard eth_* methods), and every response is checked to be
+ * signed by the expected address before it is used.
+ *
+ * API flavours (SAFE_SIGNER_API):
+ *   clef -- account_list, account_signData, account_signTypedData, account_signTransaction
+ *   eth  -- eth_accounts, personal_sign, eth_signTypedData_v4, eth_signTransaction
+ */
+
+import {
+  toHex,
+  stringToHex,
+  serializeTypedData,
+  getTypesForEIP712Domain,
+  formatTransactionRequest,
+  parseTransaction,
+  recoverMessageAddress,
+  recoverTypedDataAddress,
+  recoverTransactionAddress,
+  isAddressEqual,
+  getAddress,
+} from "viem";
+import { toAccount } from "viem/accounts";
+
+const METHODS = {
+  clef: {
+    accounts: "account_list",
+    signMessage: "account_signData",
+    signTypedData: "account_signTypedData",
+    signTransaction: "account_signTransaction",
+  },
+  eth: {
+    accounts: "eth_accounts",
+    signMessage: "personal_sign",
+    signTypedData: "eth_signTypedData_v4",
+    signTransaction: "eth_signTransaction",
+  },
+};
+
+let requestId = 0;
+
+/**
+ * Raised for any remote signer failure (rejection, timeout, tampering).
+ * viem wraps errors thrown while signing transactions, so callers should use
+ * findRemoteSignerError() to surface the original reason.
+ */
+export class RemoteSignerError extends Error {
+  constructor(message, { method, code } = {}) {
+    super(message);
+    this.name = "RemoteSignerError";
+    this.method = method;
+    this.code = code;
+  }
+}
+
+/**
+ * Walk an error's cause chain and return the RemoteSignerError, if any.
+ */
+export function findRemoteSignerError(error) {
+  for (let e = error; e; e = e.cause) {
+    if (e instanceof RemoteSignerError) return e;
+  }
+  return null;
+}
+
+/**
+ * Send one JSON-RPC request to the signer. Rejections and transport failures
+ * are rethrown with the method name so the operator knows what was refused.
+ */
+async function rpc(url, method, params, timeoutMs) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: ++requestId, method, params }),
+      // Clef blocks until a human approves, so allow a generous timeout
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (e) {
+    if (e.name === "TimeoutError") {
+      throw new RemoteSignerError(
+        `Remote signer did not answer ${method} within ${timeoutMs / 1000}s (${url})`,
+        { method }
+      );
+    }
+    throw new RemoteSignerError(
+      `Remote signer unreachable at ${url}: ${e.cause?.code || e.message}`,
+      { method }
+    );
+  }
+
+  if (!response.ok) {
+    throw new RemoteSignerError(
+      `Remote signer HTTP ${response.status} for ${method}: ${await response.text()}`,
+      { method, code: response.status }
+    );
+  }
+
+  const body = await response.json();
+  if (body.error) {
+    throw new RemoteSignerError(
+      `Remote signer rejected ${method}: ${body.error.message} (code ${body.error.code})`,
+      { method, code: body.error.code }
+    );
+  }
+  return body.result;
+}
+
+function sameAddress(a, b) {
+  return a && b ? isAddressEqual(a, b) : !a && !b;
+}
+
+function messageToHex(message) {
+  if (typeof message === "string") return stringToHex(message);
+  return typeof message.raw === "string" ? message.raw : toHex(message.raw);
+}
+
+/**
+ * Connect to the remote signer and return a viem account for `address`.
+ * If no address is configured the signer must expose exactly one account.
+ */
+export async function createRemoteAccount({ url, address, api = "clef", timeoutMs = 120_000 }) {
+  if (!url) {
+    throw new Error("SAFE_SIGNER=remote requires SAFE_SIGNER_URL (e.g. http://127.0.0.1:8550)");
+  }
+  const methods = METHODS[api];
+  if (!methods) {
+    throw new Error(`Unknown SAFE_SIGNER_API "${api}". Use one of: ${Object.keys(METHODS).join(", ")}`);
+  }
+  const call = (method, params) => rpc(url, method, params, timeoutMs);
+
+  const available = (await call(methods.accounts, [])) || [];
+  let signerAddress;
+  if (address) {
+    signerAddress = getAddress(address);
+    if (!available.some((a) => isAddressEqual(a, signerAddress))) {
+      throw new RemoteSignerError(`Remote signer at ${url} does not manage ${signerAddress}`);
+    }
+  } else if (available.length === 1) {
+    signerAddress = getAddress(available[0]);
+  } else {
+    throw new RemoteSignerError(
+      `Remote signer at ${url} exposes ${available.length} accounts; set SAFE_SIGNER_ADDRESS`
+    );
+  }
+
+  const expectSigner = (recovered, what) => {
+    if (!isAddressEqual(recovered, signerAddress)) {
+      throw new RemoteSignerError(
+        `Remote signer returned a ${what} signed by ${recovered}, expected ${signerAddress}`
+      );
+    }
+  };
+
+  return toAccount({
+    address: signerAddress,
+
+    async signMessage({ message }) {
+      const data = messageToHex(message);
+      const signature = api === "clef"
+        ? await call(methods.signMessage, ["text/plain", signerAddress, data])
+        : await call(methods.signMessage, [data, signerAddress]);
+      expectSigner(await recoverMessageAddress({ message, signature }), "message");
+      return signature;
+    },
+
+    async signTypedData(typedData) {
+      // JSON-RPC signers need the domain type spelled out; viem infers it locally
+      const serialized = serializeTypedData({
+        ...typedData,
+        types: {
+          EIP712Domain: getTypesForEIP712Domain({ domain: typedData.domain }),
+          ...typedData.types,
+        },
+      });
+      const payload = api === "clef" ? JSON.parse(serialized) : serialized;
+      const signature = await call(methods.signTypedData, [signerAddress, payload]);
+      expectSigner(await recoverTypedDataAddress({ ...typedData, signature }), "typed-data");
+      return signature;
+    },
+
+    async signTransaction(transaction) {
+      const request = {
+        ...formatTransactionRequest(transaction),
+        from: signerAddress,
+        chainId: toHex(transaction.chainId),
+      };
+      const result = await call(methods.signTransaction, [request]);
+      const raw = typeof result === "string" ? result : result.raw;
+
+      // SECURITY: The signer (or its operator) must not alter what we asked for
+      const signed = parseTransaction(raw);
+      if (
+        !sameAddress(signed.to, transaction.to) ||
+        (signed.value ?? 0n) !== (transaction.value ?? 0n) ||
+        (signed.data ?? "0x").toLowerCase() !== (transaction.data ?? "0x").toLowerCase() ||
+        signed.chainId !== transaction.chainId
+      ) {
+        throw new RemoteSignerError(
+          "Remote signer returned a transaction that differs from the request",
+          { method: methods.signTransaction }
+        );
+      }
+      expectSigner(await recoverTransactionAddress({ serializedTransaction: raw }), "transaction");
+      return raw;
+    },
+  });
+}
@@ -0,0 +1,289 @@
+/**
+ * safe-tx.mjs — Safe transaction hashing, signing and signature verification
+ *
+ * Two signature schemes are supported for owner EOAs:
+ *   eth_sign -- signMessage over the safeTxHash, v adjusted by +4 (v = 31/32)
+ *   eip712   -- native SafeTx typed-data signature (v = 27/28), for signers
+ *               that only sign typed data (hardware wallets, Clef rules, ...)
+ *
+ * Safe also accepts contract signatures (v = 0) and pre-approved hashes
+ * (v = 1); those are decoded for reporting but never produced here.
+ */
+
+import {
+  keccak256,
+  encodeAbiParameters,
+  parseAbiParameters,
+  toBytes,
+  toHex,
+  concat,
+  slice,
+  hexToNumber,
+  hashTypedData,
+  hashMessage,
+  recoverAddress,
+  getAddress,
+  isAddressEqual,
+  zeroAddress,
+  pad,
+} from "viem";
+
+export const SIGNATURE_SCHEMES = ["eth_sign", "eip712"];
+
+// Safe TX type hash (EIP-712)
+export const SAFE_TX_TYPEHASH = keccak256(
+  toBytes(
+    "SafeTx(address to,uint256 value,bytes data,uint8 operation,uint256 safeTxGas,uint256 baseGas,uint256 gasPrice,address gasToken,address refundReceiver,uint256 nonce)"
+  )
+);
+
+const SAFE_TX_TYPES = {
+  SafeTx: [
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "data", type: "bytes" },
+    { name: "operation", type: "uint8" },
+    { name: "safeTxGas", type: "uint256" },
+    { name: "baseGas", type: "uint256" },
+    { name: "gasPrice", type: "uint256" },
+    { name: "gasToken", type: "address" },
+    { name: "refundReceiver", type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+/**
+ * Fill in the refund fields this project never uses (all zero).
+ */
+function withDefaults(txData) {
+  return {
+    to: txData.to,
+    value: BigInt(txData.value ?? 0),
+    data: txData.data || "0x",
+    operation: Number(txData.operation ?? 0),
+    safeTxGas: BigInt(txData.safeTxGas ?? 0),
+    baseGas: BigInt(txData.baseGas ?? 0),
+    gasPrice: BigInt(txData.gasPrice ?? 0),
+    gasToken: txData.gasToken || zeroAddress,
+    refundReceiver: txData.refundReceiver || zeroAddress,
+    nonce: BigInt(txData.nonce),
+  };
+}
+
+/**
+ * Compute the Safe transaction hash (EIP-712) from the Safe's on-chain
+ * domainSeparator.
+ */
+export function computeSafeTxHash(domainSeparator, txData) {
+  const tx = withDefaults(txData);
+  return keccak256(
+    concat([
+      "0x1901",
+      domainSeparator,
+      keccak256(
+        encodeAbiParameters(
+          parseAbiParameters(
+            "bytes32, address, uint256, bytes32, uint8, uint256, uint256, uint256, address, address, uint256"
+          ),
+          [
+            SAFE_TX_TYPEHASH,
+            tx.to,
+            tx.value,
+            keccak256(tx.data),
+            tx.operation,
+            tx.safeTxGas,
+            tx.baseGas,
+            tx.gasPrice,
+            tx.gasToken,
+            tx.refundReceiver,
+            tx.nonce,
+          ]
+        )
+      ),
+    ])
+  );
+}
+
+/**
+ * Convert a Transaction Service multisig transaction into txData.
+ */
+export function txDataFromService(tx) {
+  return withDefaults({
+    to: getAddress(tx.to),
+    value: tx.value,
+    data: tx.data || "0x",
+    operation: tx.operation,
+    safeTxGas: tx.safeTxGas,
+    baseGas: tx.baseGas,
+    gasPrice: tx.gasPrice,
+    gasToken: tx.gasToken,
+    refundReceiver: tx.refundReceiver,
+    nonce: tx.nonce,
+  });
+}
+
+/**
+ * EIP-712 typed data for a SafeTx (Safe >= 1.3 domain: chainId + verifyingContract).
+ */
+export function safeTxTypedData(chainId, safeAddress, txData) {
+  return {
+    domain: { chainId, verifyingContract: getAddress(safeAddress) },
+    types: SAFE_TX_TYPES,
+    primaryType: "SafeTx",
+    message: withDefaults(txData),
+  };
+}
+
+/**
+ * Sign a Safe transaction hash eth_sign style (Safe expects v + 4).
+ */
+async function signEthSign(account, safeTxHash) {
+  const signature = await account.signMessage({
+    message: { raw: toBytes(safeTxHash) },
+  });
+
+  // Normalize v to 27/28 first if it's in recovery id format (0/1)
+  const sigBytes = toBytes(signature);
+  let v = sigBytes[64];
+  if (v < 27) {
+    v += 27; // Normalize 0/1 -> 27/28
+  }
+  sigBytes[64] = v + 4; // Add 4 for eth_sign style -> 31/32
+
+  // Sanity check: v should now be 31 or 32
+  if (sigBytes[64] !== 31 && sigBytes[64] !== 32) {
+    throw new Error(`Unexpected signature v value after adjustment: ${sigBytes[64]} (original: ${v - (v >= 27 ? 0 : 27)})`);
+  }
+
+  return toHex(sigBytes);
+}
+
+/**
+ * Sign the SafeTx typed data. The typed-data hash must equal the hash built
+ * from the on-chain domainSeparator, otherwise the Safe would reject it.
+ */
+async function signEip712(account, { chainId, safeAddress, txData, safeTxHash }) {
+  const typedData = safeTxTypedData(chainId, safeAddress, txData);
+  if (hashTypedData(typedData) !== safeTxHash.toLowerCase()) {
+    throw new Error(
+      `EIP-712 SafeTx hash does not match ${safeTxHash} (wrong chain ID or Safe address?)`
+    );
+  }
+
+  const sigBytes = toBytes(await account.signTypedData(typedData));
+  if (sigBytes[64] < 27) {
+    sigBytes[64] += 27; // Normalize 0/1 -> 27/28
+  }
+  return toHex(sigBytes);
+}
+
+/**
+ * Sign a Safe transaction with the given scheme.
+ *
+ * eip712 needs the full transaction (chainId, safeAddress, txData);
+ * eth_sign only needs safeTxHash.
+ */
+export async function signSafeTx(account, { scheme, safeTxHash, chainId, safeAddress, txData }) {
+  switch (scheme) {
+    case "eth_sign":
+      return signEthSign(account, safeTxHash);
+    case "eip712":
+      if (!txData) {
+        throw new Error("EIP-712 signing needs the transaction fields, not just its hash");
+      }
+      return signEip712(account, { chainId, safeAddress, txData, safeTxHash });
+    default:
+      throw new Error(
+        `Unknown signature scheme "${scheme}". Use one of: ${SIGNATURE_SCHEMES.join(", ")}`
+      );
+  }
+}
+
+/**
+ * Decode one 65-byte Safe signature and report its scheme.
+ */
+export function decodeSafeSignature(signature) {
+  if (!signature || (signature.length - 2) / 2 < 65) {
+    throw new Error(`Signature too short: ${signature}`);
+  }
+  const r = slice(signature, 0, 32);
+  const s = slice(signature, 32, 64);
+  const v = hexToNumber(slice(signature, 64, 65));
+
+  let scheme;
+  if (v === 0) scheme = "contract";
+  else if (v === 1) scheme = "approved_hash";
+  else if (v === 27 || v === 28) scheme = "eip712";
+  else if (v === 31 || v === 32) scheme = "eth_sign";
+  else scheme = "unknown";
+
+  return { scheme, v, r, s };
+}
+
+/**
+ * Recover the owner address behind a Safe signature.
+ * For contract and approved-hash signatures the owner is encoded in r.
+ */
+export async function recoverSafeSigner(safeTxHash, signature) {
+  const { scheme, v, r, s } = decodeSafeSignature(signature);
+  switch (scheme) {
+    case "contract":
+    case "approved_hash":
+      return { scheme, signer: getAddress(slice(r, 12, 32)) };
+    case "eip712":
+      return {
+        scheme,
+        signer: await recoverAddress({
+          hash: safeTxHash,
+          signature: concat([r, s, toHex(v, { size: 1 })]),
+        }),
+      };
+    case "eth_sign":
+      return {
+        scheme,
+        signer: await recoverAddress({
+          hash: hashMessage({ raw: safeTxHash }),
+          signature: concat([r, s, toHex(v - 4, { size: 1 })]),
+        }),
+      };
+    default:
+      throw new Error(`Unsupported signature v value: ${v}`);
+  }
+}
+
+/**
+ * Recover every signature and check it belongs to a current owner.
+ * Returns one { signer, scheme, isOwner } entry per signature; throws if
+ * any signature does not recover to an owner (nothing should be submitted).
+ */
+export async function verifySafeSignatures(safeTxHash, signatures, owners) {
+  const results = [];
+  for (const signature of signatures) {
+    const { signer, scheme } = await recoverSafeSigner(safeTxHash, signature);
+    const isOwner = owners.some((o) => isAddressEqual(o, signer));
+    results.push({ signer, scheme, isOwner });
+    if (!isOwner) {
+      throw new Error(`Signature (${scheme}) recovers to ${signer}, which is not a Safe owner`);
+    }
+  }
+  return results;
+}
+
+/**
+ * Pre-validated signature for an owner that approved the hash on-chain, or
+ * that is msg.sender of execTransaction (r = owner, s = 0, v = 1).
+ */
+export function approvedHashSignature(owner) {
+  return concat([pad(getAddress(owner), { size: 32 }), pad("0x00", { size: 32 }), "0x01"]);
+}
+
+/**
+ * Pack signatures into the byte string execTransaction expects:
+ * 65-byte {r, s, v} entries sorted by owner address, ascending.
+ */
+export function packSignatures(entries) {
+  const sorted = [...entries].sort((a, b) =>
+    BigInt(a.signer) < BigInt(b.signer) ? -1 : BigInt(a.signer) > BigInt(b.signer) ? 1 : 0
+  );
+  return concat(sorted.map((e) => e.signature));
+}
@@ -0,0 +1,149 @@
+/**
+ * service.mjs — The refill service as installed by scripts/install.sh
+ *
+ * macOS: launchd job com.safe-agent-treasury.refill
+ *        (~/Library/LaunchAgents/com.safe-agent-treasury.refill.plist)
+ * Linux: systemd user units safe-agent-treasury-refill.service, plus
+ *        safe-agent-treasury-refill.timer unless installed with --daemon
+ *        (~/.config/systemd/user/)
+ *
+ * Either way the refill output goes to ${SAFE_DIR}/data/logs/refill.log.
+ */
+
+import { execFileSync } from "node:child_process";
+
+export const LAUNCHD_LABEL = "com.safe-agent-treasury.refill";
+export const SYSTEMD_UNIT = "safe-agent-treasury-refill";
+
+function systemctlShow(unit, properties) {
+  const output = execFileSync(
+    "systemctl",
+    ["--user", "show", unit, `--property=${properties.join(",")}`],
+    { encoding: "utf-8", stdio: "pipe" }
+  );
+  const values = {};
+  for (const line of output.split("\n")) {
+    const eq = line.indexOf("=");
+    if (eq > 0) values[line.slice(0, eq)] = line.slice(eq + 1);
+  }
+  return values;
+}
+
+// systemd prints "n/a", "" or "0" for times that never happened
+function systemdTime(value) {
+  return value && value !== "n/a" && value !== "0" ? value : null;
+}
+
+function launchdStatus() {
+  let output;
+  try {
+    output = execFileSync("launchctl", ["list", LAUNCHD_LABEL], { encoding: "utf-8", stdio: "pipe" });
+  } catch {
+    return { manager: "launchd", unit: LAUNCHD_LABEL, loaded: false };
+  }
+  // launchctl list <label> outputs key-value pairs if the job exists
+  const pidMatch = output.match(/"PID"\s*=\s*(\d+)/);
+  const statusMatch = output.match(/"LastExitStatus"\s*=\s*(\d+)/);
+  return {
+    manager: "launchd",
+    unit: LAUNCHD_LABEL,
+    loaded: true,
+    pid: pidMatch ? Number(pidMatch[1]) : null,
+    lastExitStatus: statusMatch ? Number(statusMatch[1]) : null,
+  };
+}
+
+function systemdStatus() {
+  const service = systemctlShow(`${SYSTEMD_UNIT}.service`, [
+    "LoadState",
+    "ActiveState",
+    "SubState",
+    "MainPID",
+    "ExecMainStartTimestamp",
+    "ExecMainExitTimestamp",
+    "ExecMainStatus",
+    "Result",
+  ]);
+  if (service.LoadState !== "loaded") {
+    return { manager: "systemd", unit: `${SYSTEMD_UNIT}.service`, loaded: false };
+  }
+
+  const timer = systemctlShow(`${SYSTEMD_UNIT}.timer`, [
+    "LoadState",
+    "ActiveState",
+    "LastTriggerUSec",
+    "NextElapseUSecRealtime",
+  ]);
+  const hasTimer = timer.LoadState === "loaded";
+  const pid = Number(service.MainPID || 0);
+  const ran = systemdTime(service.ExecMainStartTimestamp) !== null;
+
+  return {
+    manager: "systemd",
+    unit: `${SYSTEMD_UNIT}.service`,
+    loaded: true,
+    mode: hasTimer ? "timer" : "daemon",
+    state: `${service.ActiveState}/${service.SubState}`,
+    result: service.Result || null,
+    pid: pid > 0 ? pid : null,
+    lastRun: systemdTime(service.ExecMainStartTimestamp),
+    lastExit: systemdTime(service.ExecMainExitTimestamp),
+    lastExitStatus: ran && service.ExecMainStatus !== undefined ? Number(service.ExecMainStatus) : null,
+    timer: hasTimer
+      ? {
+          state: timer.ActiveState,
+          lastTrigger: systemdTime(timer.LastTriggerUSec),
+          nextRun: systemdTime(timer.NextElapseUSecRealtime),
+        }
+      : null,
+  };
+}
+
+/**
+ * Health of the installed refill service on this platform, or
+ * { manager: null } where neither launchd nor systemd is available.
+ */
+export function refillServiceStatus() {
+  if (process.platform === "darwin") return launchdStatus();
+  if (process.platform === "linux") {
+    try {
+      return systemdStatus();
+    } catch {
+      // No systemd user instance (containers, WSL without systemd, ...)
+    }
+  }
+  return { manager: null, loaded: false };
+}
+
+/**
+ * Stop the installed refill service (used by freeze). Returns a short
+ * description of what was done.
+ */
+export function stopRefillService() {
+  if (process.platform === "darwin") {
+    const plist = `${process.env.HOME}/Library/LaunchAgents/${LAUNCHD_LABEL}.plist`;
+    try {
+      execFileSync("launchctl", ["unload", plist], { stdio: "ignore" });
+      return "Refill service unloaded (launchctl)";
+    } catch {
+      return "Refill service was not loaded";
+    }
+  }
+  if (process.platform === "linux") {
+    // The timer first, so it cannot start the service again; a daemon-mode
+    // install has no timer
+    const stopped = [];
+    for (const unit of [`${SYSTEMD_UNIT}.timer`, `${SYSTEMD_UNIT}.service`]) {
+      try {
+        execFileSync("systemctl", ["--user", "disable", "--now", unit], { stdio: "ignore" });
+        stopped.push(unit);
+      } catch {
+        // Not installed
+      }
+    }
+    return stopped.length > 0
+      ? `Refill service stopped and disabled (systemctl --user: ${stopped.join(", ")})`
+      : "Refill service was not installed as a systemd user unit";
+  }
+  return "No service manager to stop";
+}
@@ -0,0 +1,363 @@
+/**
+ * signer.mjs — Pluggable signer backends for the agent hot wallet key
+ *
+ * Backends (selected with SAFE_SIGNER):
+ *   keychain  -- macOS Keychain via `security find-generic-password` (default)
+ *   keystore  -- Web3 Secret Storage (keystore v3) JSON file, unlocked with a
+ *                passphrase file or an interactive prompt
+ *   fd        -- raw hex key read once from an inherited file descriptor
+ *   remote    -- external JSON-RPC signer (Clef or a signing daemon); the key
+ *                never enters this process (see remote-signer.mjs)
+ *
+ * Every backend resolves to a viem account, so scripts sign messages and
+ * transactions the same way regardless of where the key lives.
+ *
+ * Config is read from process.env at call time (not import time) so that
+ * each script's loadEnv() has already populated it.
+ *
+ * Optional in ~/morpheus/.env:
+ *   SAFE_SIGNER=keychain|keystore|fd|remote
+ *   SAFE_KEYCHAIN_ACCOUNT=...     Keychain account name
+ *   SAFE_KEYCHAIN_SERVICE=...     Keychain service name
+ *   SAFE_KEYCHAIN_DB=...          Keychain database path
+ *   SAFE_KEYSTORE_FILE=...        Keystore v3 JSON path
+ *   SAFE_KEYSTORE_PASS_FILE=...   Passphrase file (mode 600); prompts on a TTY if unset
+ *   SAFE_KEY_FD=3                 File descriptor carrying the raw key
+ *   SAFE_SIGNER_URL=http://...    Remote signer endpoint (Clef default: http://127.0.0.1:8550)
+ *   SAFE_SIGNER_ADDRESS=0x...     Account to use on the remote signer
+ *   SAFE_SIGNER_API=clef|eth      Remote method set (default: clef)
+ *   SAFE_SIGNER_TIMEOUT_MS=120000 How long to wait for the remote signer to approve
+ *   SAFE_SIGNATURE_SCHEME=...     eth_sign | eip712 for Safe signatures
+ *                                 (default: eip712 for remote, eth_sign otherwise)
+ */
+
+import { readFileSync, statSync, closeSync } from "node:fs";
+import { execFileSync } from "node:child_process";
+import { scryptSync, pbkdf2Sync, createDecipheriv, timingSafeEqual } from "node:crypto";
+import { scrypt as jsScrypt } from "@noble/hashes/scrypt";
+import { keccak256, concat, toHex } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import { createRemoteAccount, findRemoteSignerError } from "./remote-signer.mjs";
+
+export { findRemoteSignerError };
+
+export const SIGNER_BACKENDS = ["keychain", "keystore", "fd", "remote"];
+
+// --- Config ---
+
+function signerConfig() {
+  const env = process.env;
+  return {
+    backend: (env.SAFE_SIGNER || "keychain").toLowerCase(),
+    keychainAccount:
+      env.SAFE_KEYCHAIN_ACCOUNT || env.EVERCLAW_KEYCHAIN_ACCOUNT || "everclaw-agent",
+    keychainService:
+      env.SAFE_KEYCHAIN_SERVICE || env.EVERCLAW_KEYCHAIN_SERVICE || "everclaw-wallet-key",
+    keychainDb:
+      env.SAFE_KEYCHAIN_DB || env.EVERCLAW_KEYCHAIN_DB ||
+      `${env.HOME}/Library/Keychains/everclaw.keychain-db`,
+    keystoreFile: env.SAFE_KEYSTORE_FILE,
+    keystorePassFile: env.SAFE_KEYSTORE_PASS_FILE,
+    keyFd: env.SAFE_KEY_FD,
+    remoteUrl: env.SAFE_SIGNER_URL,
+    remoteAddress: env.SAFE_SIGNER_ADDRESS,
+    remoteApi: (env.SAFE_SIGNER_API || "clef").toLowerCase(),
+    remoteTimeoutMs: parseInt(env.SAFE_SIGNER_TIMEOUT_MS || "120000", 10),
+    signatureScheme: env.SAFE_SIGNATURE_SCHEME?.toLowerCase(),
+  };
+}
+
+/**
+ * Safe signature scheme for the configured signer (see lib/safe-tx.mjs).
+ * Remote signers default to EIP-712 so the operator approves a readable
+ * SafeTx instead of an opaque hash.
+ */
+export function safeSignatureScheme() {
+  const cfg = signerConfig();
+  return cfg.signatureScheme || (cfg.backend === "remote" ? "eip712" : "eth_sign");
+}
+
+/**
+ * Describe the configured signer without touching any secret material.
+ * Safe to print in logs and --json output.
+ */
+export function describeSigner() {
+  return { ...describeBackend(signerConfig()), signatureScheme: safeSignatureScheme() };
+}
+
+function describeBackend(cfg) {
+  switch (cfg.backend) {
+    case "keychain":
+      return {
+        backend: "keychain",
+        account: cfg.keychainAccount,
+        service: cfg.keychainService,
+        db: cfg.keychainDb,
+      };
+    case "keystore":
+      return {
+        backend: "keystore",
+        file: cfg.keystoreFile || null,
+        passphrase: cfg.keystorePassFile ? "file" : "prompt",
+      };
+    case "fd":
+      return { backend: "fd", fd: cfg.keyFd || null };
+    case "remote":
+      return {
+        backend: "remote",
+        url: cfg.remoteUrl || null,
+        api: cfg.remoteApi,
+        address: cfg.remoteAddress || null,
+      };
+    default:
+      return { backend: cfg.backend };
+  }
+}
+
+// --- Backends ---
+
+function normalizePrivateKey(raw, source) {
+  let key = raw.trim();
+  if (!key.startsWith("0x")) {
+    key = `0x${key}`;
+  }
+  if (!/^0x[0-9a-fA-F]{64}$/.test(key)) {
+    throw new Error(`${source} did not contain a 32-byte hex private key`);
+  }
+  return key;
+}
+
+function readKeychainKey(cfg) {
+  // SECURITY: Keychain must be pre-unlocked. We no longer auto-unlock via password file
+  // because passing passwords via command-line args exposes them in `ps aux` output.
+  // Before running: security unlock-keychain ~/Library/Keychains/everclaw.keychain-db
+  if (process.platform !== "darwin") {
+    throw new Error(
+      "macOS Keychain is not available on this platform. " +
+      "Set SAFE_SIGNER=keystore or SAFE_SIGNER=fd in ~/morpheus/.env"
+    );
+  }
+  let raw;
+  try {
+    raw = execFileSync(
+      "security",
+      [
+        "find-generic-password",
+        "-a", cfg.keychainAccount,
+        "-s", cfg.keychainService,
+        "-w", cfg.keychainDb,
+      ],
+      { encoding: "utf-8", stdio: "pipe" }
+    );
+  } catch {
+    throw new Error(
+      `Could not retrieve wallet key from Keychain ` +
+      `(account: ${cfg.keychainAccount}, service: ${cfg.keychainService}, db: ${cfg.keychainDb}). ` +
+      `Unlock keychain first: security unlock-keychain "${cfg.keychainDb}"`
+    );
+  }
+  return normalizePrivateKey(raw, "Keychain entry");
+}
+
+function readFdKey(cfg) {
+  const fd = parseInt(cfg.keyFd, 10);
+  if (Number.isNaN(fd) || fd < 3) {
+    throw new Error("SAFE_KEY_FD must be a file descriptor number >= 3 (e.g. `3< keyfile`)");
+  }
+  let raw;
+  try {
+    raw = readFileSync(fd, "utf-8");
+  } catch (e) {
+    throw new Error(`Could not read key from file descriptor ${fd}: ${e.code || e.message}`);
+  } finally {
+    try {
+      closeSync(fd);
+    } catch {
+      // Already closed
+    }
+  }
+  return normalizePrivateKey(raw, `File descriptor ${fd}`);
+}
+
+/**
+ * Read a line from the controlling TTY without echoing it.
+ */
+function promptHidden(question) {
+  const stdin = process.stdin;
+  if (!stdin.isTTY) {
+    return Promise.reject(
+      new Error("No keystore passphrase: set SAFE_KEYSTORE_PASS_FILE or run from a terminal")
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    let input = "";
+    process.stderr.write(question);
+    stdin.setRawMode(true);
+    stdin.setEncoding("utf8");
+    stdin.resume();
+
+    const finish = (err) => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.removeListener("data", onData);
+      process.stderr.write("\n");
+      if (err) reject(err);
+      else resolve(input);
+    };
+
+    function onData(chunk) {
+      for (const ch of chunk) {
+        if (ch === "\r" || ch === "\n" || ch === "\u0004") {
+          finish();
+          return;
+        }
+        if (ch === "\u0003") {
+          finish(new Error("Passphrase prompt cancelled"));
+          return;
+        }
+        if (ch === "\u007f" || ch === "\b") {
+          input = input.slice(0, -1);
+        } else {
+          input += ch;
+        }
+      }
+    }
+
+    stdin.on("data", onData);
+  });
+}
+
+async function readKeystorePassphrase(cfg) {
+  if (!cfg.keystorePassFile) {
+    return promptHidden(`Keystore passphrase (${cfg.keystoreFile}): `);
+  }
+
+  // SECURITY: Refuse passphrase files other users can read
+  const mode = statSync(cfg.keystorePassFile).mode;
+  if (mode & 0o077) {
+    throw new Error(
+      `Passphrase file ${cfg.keystorePassFile} is accessible by other users. ` +
+      `Run: chmod 600 "${cfg.keystorePassFile}"`
+    );
+  }
+  return readFileSync(cfg.keystorePassFile, "utf-8").replace(/\r?\n$/, "");
+}
+
+/**
+ * The keystore's scrypt key. OpenSSL refuses N >= 2^(16r), which rules out
+ * keystores written with n=2^18, r=1, p=8; those take the (slower) JS
+ * implementation.
+ */
+function keystoreScrypt(passphrase, salt, { n, r, p, dklen }) {
+  if (n >= 2 ** (16 * r)) {
+    return Buffer.from(jsScrypt(passphrase, salt, { N: n, r, p, dkLen: dklen }));
+  }
+  // Default maxmem (32 MB) is below what standard keystores (n=2^18) need
+  return scryptSync(passphrase, salt, dklen, { N: n, r, p, maxmem: 128 * n * r * p + 1024 * 1024 });
+}
+
+/**
+ * Decrypt a Web3 Secret Storage v3 keystore and return the hex private key.
+ * Supports the scrypt and pbkdf2 (hmac-sha256) KDFs with aes-128-ctr.
+ */
+export function decryptKeystore(keystore, passphrase) {
+  if (keystore.version !== 3) {
+    throw new Error(`Unsupported keystore version: ${keystore.version}`);
+  }
+  const crypto = keystore.crypto || keystore.Crypto;
+  if (!crypto || crypto.cipher !== "aes-128-ctr") {
+    throw new Error(`Unsupported keystore cipher: ${crypto?.cipher}`);
+  }
+
+  const params = crypto.kdfparams;
+  const salt = Buffer.from(params.salt, "hex");
+  let derivedKey;
+  if (crypto.kdf === "scrypt") {
+    derivedKey = keystoreScrypt(passphrase, salt, params);
+  } else if (crypto.kdf === "pbkdf2") {
+    if (params.prf !== "hmac-sha256") {
+      throw new Error(`Unsupported pbkdf2 prf: ${params.prf}`);
+    }
+    derivedKey = pbkdf2Sync(passphrase, salt, params.c, params.dklen, "sha256");
+  } else {
+    throw new Error(`Unsupported keystore kdf: ${crypto.kdf}`);
+  }
+
+  const ciphertext = Buffer.from(crypto.ciphertext, "hex");
+  const mac = keccak256(concat([toHex(derivedKey.subarray(16, 32)), toHex(ciphertext)]));
+  if (!timingSafeEqual(Buffer.from(mac.slice(2), "hex"), Buffer.from(crypto.mac, "hex"))) {
+    throw new Error("Keystore MAC mismatch (wrong passphrase?)");
+  }
+
+  const decipher = createDecipheriv(
+    "aes-128-ctr",
+    derivedKey.subarray(0, 16),
+    Buffer.from(crypto.cipherparams.iv, "hex")
+  );
+  const key = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return normalizePrivateKey(key.toString("hex"), "Keystore");
+}
+
+async function readKeystoreKey(cfg) {
+  if (!cfg.keystoreFile) {
+    throw new Error("SAFE_SIGNER=keystore requires SAFE_KEYSTORE_FILE");
+  }
+  let keystore;
+  try {
+    keystore = JSON.parse(readFileSync(cfg.keystoreFile, "utf-8"));
+  } catch (e) {
+    throw new Error(`Could not read keystore ${cfg.keystoreFile}: ${e.message}`);
+  }
+  const passphrase = await readKeystorePassphrase(cfg);
+  return decryptKeystore(keystore, passphrase);
+}
+
+// --- Public API ---
+
+/**
+ * Load the agent account from the configured backend.
+ * Throws with a backend-specific hint if the key cannot be retrieved
+ * or the remote signer cannot be reached.
+ */
+export async function loadAgentAccount() {
+  const cfg = signerConfig();
+  let privateKey;
+
+  if (cfg.backend === "remote") {
+    return createRemoteAccount({
+      url: cfg.remoteUrl,
+      address: cfg.remoteAddress,
+      api: cfg.remoteApi,
+      timeoutMs: cfg.remoteTimeoutMs,
+    });
+  }
+
+  switch (cfg.backend) {
+    case "keychain":
+      privateKey = readKeychainKey(cfg);
+      break;
+    case "keystore":
+      privateKey = await readKeystoreKey(cfg);
+      break;
+    case "fd":
+      privateKey = readFdKey(cfg);
+      break;
+    default:
+      throw new Error(
+        `Unknown SAFE_SIGNER "${cfg.backend}". Use one of: ${SIGNER_BACKENDS.join(", ")}`
+      );
+  }
+
+  return privateKeyToAccount(privateKey);
+}
+
+/**
+ * Best human-readable message for an error raised while signing or sending.
+ * Prefers the remote signer's own reason over viem's generic wrapper text.
+ */
+export function signerErrorMessage(error) {
+  const remote = findRemoteSignerError(error);
+  if (remote) return remote.message;
+  return error.shortMessage || error.message;
+}
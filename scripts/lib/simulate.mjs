@@ -0,0 +1,306 @@
+/**
+ * simulate.mjs — Simulate a Safe transaction before anyone signs it
+ *
+ * The transaction's inner call(s) run as the Safe through the Safe's own
+ * simulateAndRevert (StorageAccessible, Safe >= 1.3): it delegatecalls a
+ * probe contract that is injected with an eth_call state override, so
+ * nothing is deployed. The probe executes the calls in the Safe's context
+ * (MultiSend batches are unpacked and run call by call, so the failing call
+ * and its revert reason are known), then reads balances, owners, threshold
+ * and modules. simulateAndRevert always reverts, which discards every change.
+ *
+ * Works on any node that supports eth_call state overrides (geth, reth,
+ * anvil/ganache local forks, most RPC providers). Queued transactions with
+ * lower nonces are not applied first.
+ *
+ * Probe source (solc 0.8.24, optimizer 200 runs, evmVersion paris,
+ * no metadata hash):
+ *
+ * // SPDX-License-Identifier: LGPL-3.0-only
+ * pragma solidity 0.8.24;
+ *
+ * interface ISafeState {
+ *     function getOwners() external view returns (address[] memory);
+ *     function getThreshold() external view returns (uint256);
+ *     function getModulesPaginated(address start, uint256 pageSize) external view returns (address[] memory array, address next);
+ * }
+ *
+ * contract SafeSimulationProbe {
+ *     struct Call {
+ *         uint8 operation;
+ *         address to;
+ *         uint256 value;
+ *         bytes data;
+ *     }
+ *
+ *     function simulate(Call[] calldata calls, address[] calldata tokens, address[] calldata accounts)
+ *         external
+ *         returns (
+ *             uint256 failedIndex,
+ *             bytes memory revertData,
+ *             uint256[] memory balances,
+ *             address[] memory owners,
+ *             uint256 threshold,
+ *             address[] memory modules
+ *         )
+ *     {
+ *         failedIndex = type(uint256).max;
+ *         for (uint256 i = 0; i < calls.length; i++) {
+ *             Call calldata c = calls[i];
+ *             bool ok;
+ *             bytes memory ret;
+ *             if (c.operation == 1) {
+ *                 (ok, ret) = c.to.delegatecall(c.data);
+ *             } else {
+ *                 (ok, ret) = c.to.call{value: c.value}(c.data);
+ *             }
+ *             if (!ok) {
+ *                 failedIndex = i;
+ *                 revertData = ret;
+ *                 break;
+ *             }
+ *         }
+ *
+ *         balances = new uint256[](tokens.length * accounts.length);
+ *         for (uint256 t = 0; t < tokens.length; t++) {
+ *             for (uint256 a = 0; a < accounts.length; a++) {
+ *                 balances[t * accounts.length + a] = tokens[t] == address(0)
+ *                     ? accounts[a].balance
+ *                     : balanceOf(tokens[t], accounts[a]);
+ *             }
+ *         }
+ *         owners = ISafeState(address(this)).getOwners();
+ *         threshold = ISafeState(address(this)).getThreshold();
+ *         (modules, ) = ISafeState(address(this)).getModulesPaginated(address(1), 50);
+ *     }
+ *
+ *     function balanceOf(address token, address account) private view returns (uint256) {
+ *         (bool ok, bytes memory ret) = token.staticcall(abi.encodeWithSignature("balanceOf(address)", account));
+ *         return ok && ret.length >= 32 ? abi.decode(ret, (uint256)) : 0;
+ *     }
+ * }
+ */
+
+import {
+  parseAbi,
+  encodeFunctionData,
+  decodeFunctionResult,
+  decodeErrorResult,
+  formatEther,
+  formatUnits,
+  getAddress,
+  hexToBigInt,
+  isAddressEqual,
+  size,
+  slice,
+  zeroAddress,
+} from "viem";
+import { OPERATION_DELEGATECALL, isMultiSend } from "./calldata.mjs";
+
+// Arbitrary address the probe code is placed at for the duration of the call
+const PROBE_ADDRESS = "0x000000000000000000000000000000000051d0be";
+
+const PROBE_CODE =
+  "0x608060405234801561001057600080fd5b506004361061002b5760003560e01c806345712c0114610030575b600080fd5b61004361003e3660046105ab565b61005e565b604051610055969594939291906106ae565b60405180910390f35b60001960608080600081815b8b8110156101d357368d8d8381811061008557610085610760565b90506020028101906100979190610776565b9050600060606100aa6020840184610796565b60ff16600103610133576100c460408401602085016107d8565b6001600160a01b03166100da60608501856107f5565b6040516100e892919061083c565b600060405180830381855af49150503d8060008114610123576040519150601f19603f3d011682016040523d82523d6000602084013e610128565b606091505b5090925090506101b5565b61014360408401602085016107d8565b6001600160a01b0316604084013561015e60608601866107f5565b60405161016c92919061083c565b60006040518083038185875af1925050503d80600081146101a9576040519150601f19603f3d011682016040523d82523d6000602084013e6101ae565b606091505b5090925090505b816101c8578399508098505050506101d3565b50505060010161006a565b506101de878a610862565b67ffffffffffffffff8111156101f6576101f6610879565b60405190808252806020026020018201604052801561021f578160200160208202803683370190505b50935060005b8981101561033e5760005b888110156103355760008c8c8481811061024c5761024c610760565b905060200201602081019061026191906107d8565b6001600160a01b0316146102ca576102c58c8c8481811061028457610284610760565b905060200201602081019061029991906107d8565b8b8b848181106102ab576102ab610760565b90506020020160208101906102c091906107d8565b61048b565b6102fc565b8989828181106102dc576102dc610760565b90506020020160208101906102f191906107d8565b6001600160a01b0316315b86826103088c86610862565b610312919061088f565b8151811061032257610322610760565b6020908102919091010152600101610230565b50600101610225565b50306001600160a01b031663a0e67e2b6040518163ffffffff1660e01b8152600401600060405180830381865afa15801561037d573d6000803e3d6000fd5b505050506040513d6000823e601f3d908101601f191682016040526103a59190810190610957565b9250306001600160a01b031663e75235b86040518163ffffffff1660e01b8152600401602060405180830381865afa1580156103e5573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906104099190610994565b604051636617c22960e11b81526001600482015260326024820152909250309063cc2f845290604401600060405180830381865afa15801561044f573d6000803e3d6000fd5b505050506040513d6000823e601f3d908101601f1916820160405261047791908101906109ad565b508091505096509650965096509650969050565b6040516001600160a01b038281166024830152600091829182919086169060440160408051601f198184030181529181526020820180516001600160e01b03166370a0823160e01b179052516104e191906109ff565b600060405180830381855afa9150503d806000811461051c576040519150601f19603f3d011682016040523d82523d6000602084013e610521565b606091505b509150915081801561053557506020815110155b610540576000610554565b808060200190518101906105549190610994565b925050505b92915050565b60008083601f84011261057157600080fd5b50813567ffffffffffffffff81111561058957600080fd5b6020830191508360208260051b85010111156105a457600080fd5b9250929050565b600080600080600080606087890312156105c457600080fd5b863567ffffffffffffffff808211156105dc57600080fd5b6105e88a838b0161055f565b9098509650602089013591508082111561060157600080fd5b61060d8a838b0161055f565b9096509450604089013591508082111561062657600080fd5b5061063389828a0161055f565b979a9699509497509295939492505050565b60005b83811015610660578181015183820152602001610648565b50506000910152565b60008151808452602080850194506020840160005b838110156106a35781516001600160a01b03168752958201959082019060010161067e565b509495945050505050565b8681526000602060c0602084015287518060c08501526106d58160e0860160208c01610645565b601f01601f1916830183810360e0908101604086015288519082018190526020890191600091610100909101905b808310156107235783518252928401926001929092019190840190610703565b508581036060870152610736818a610669565b935050505084608084015282810360a08401526107538185610669565b9998505050505050505050565b634e487b7160e01b600052603260045260246000fd5b60008235607e1983360301811261078c57600080fd5b9190910192915050565b6000602082840312156107a857600080fd5b813560ff811681146107b957600080fd5b9392505050565b6001600160a01b03811681146107d557600080fd5b50565b6000602082840312156107ea57600080fd5b81356107b9816107c0565b6000808335601e1984360301811261080c57600080fd5b83018035915067ffffffffffffffff82111561082757600080fd5b6020019150368190038213156105a457600080fd5b8183823760009101908152919050565b634e487b7160e01b600052601160045260246000fd5b80820281158282048414176105595761055961084c565b634e487b7160e01b600052604160045260246000fd5b808201808211156105595761055961084c565b80516108ad816107c0565b919050565b600082601f8301126108c357600080fd5b8151602067ffffffffffffffff808311156108e0576108e0610879565b8260051b604051601f19603f8301168101818110848211171561090557610905610879565b604052938452602081870181019490810192508785111561092557600080fd5b6020870191505b8482101561094c5761093d826108a2565b8352918301919083019061092c565b979650505050505050565b60006020828403121561096957600080fd5b815167ffffffffffffffff81111561098057600080fd5b61098c848285016108b2565b949350505050565b6000602082840312156109a657600080fd5b5051919050565b600080604083850312156109c057600080fd5b825167ffffffffffffffff8111156109d757600080fd5b6109e3858286016108b2565b92505060208301516109f4816107c0565b809150509250929050565b6000825161078c81846020870161064556";
+
+const PROBE_ABI = parseAbi([
+  "struct Call { uint8 operation; address to; uint256 value; bytes data; }",
+  "function simulate(Call[] calls, address[] tokens, address[] accounts) returns (uint256 failedIndex, bytes revertData, uint256[] balances, address[] owners, uint256 threshold, address[] modules)",
+]);
+
+const SIMULATE_ABI = parseAbi([
+  "function simulateAndRevert(address targetContract, bytes calldataPayload)",
+]);
+
+const NO_FAILURE = 2n ** 256n - 1n;
+
+/**
+ * Human-readable revert reason from raw revert data.
+ */
+export function revertReason(data) {
+  if (!data || data === "0x") return "reverted without a reason";
+  try {
+    const { errorName, args } = decodeErrorResult({ abi: [], data });
+    if (errorName === "Error") return args[0];
+    if (errorName === "Panic") return `panic 0x${args[0].toString(16)}`;
+  } catch {
+    // Custom error we have no ABI for
+  }
+  return `custom error ${slice(data, 0, Math.min(4, size(data)))} (${size(data)} bytes)`;
+}
+
+/**
+ * Run the probe once as the Safe and decode what it reports.
+ */
+async function runProbe(publicClient, safeAddress, { calls, tokens, accounts, blockNumber }) {
+  const payload = encodeFunctionData({
+    abi: PROBE_ABI,
+    functionName: "simulate",
+    args: [calls, tokens, accounts],
+  });
+
+  let revertData;
+  try {
+    await publicClient.call({
+      to: safeAddress,
+      data: encodeFunctionData({
+        abi: SIMULATE_ABI,
+        functionName: "simulateAndRevert",
+        args: [PROBE_ADDRESS, payload],
+      }),
+      blockNumber,
+      stateOverride: [{ address: PROBE_ADDRESS, code: PROBE_CODE }],
+    });
+  } catch (e) {
+    revertData = e.walk?.((err) => typeof err?.data === "string")?.data;
+    if (!revertData) throw e;
+  }
+
+  // simulateAndRevert reverts with: bool success | uint256 length | returndata
+  if (!revertData || size(revertData) < 64) {
+    throw new Error("Safe did not return simulation data (simulateAndRevert unsupported?)");
+  }
+  const success = hexToBigInt(slice(revertData, 0, 32)) === 1n;
+  const returned = size(revertData) > 64 ? slice(revertData, 64) : "0x";
+  if (!success) {
+    throw new Error(`Simulation probe failed: ${revertReason(returned)}`);
+  }
+  if (returned === "0x") {
+    throw new Error("The node ignored the eth_call state override; simulation needs override support");
+  }
+
+  const [failedIndex, failureData, balances, owners, threshold, modules] = decodeFunctionResult({
+    abi: PROBE_ABI,
+    functionName: "simulate",
+    data: returned,
+  });
+  return { failedIndex, failureData, balances, owners, threshold, modules };
+}
+
+/**
+ * Simulate a Safe transaction ({ to, value, data, operation }).
+ *
+ * tokens:   [{ address, symbol, decimals }] ERC-20s to track (ETH is always tracked)
+ * accounts: addresses whose balances to report (the Safe is always included)
+ *
+ * Returns { success, failedCall, reason, balanceChanges, owners, threshold, modules }
+ * where balanceChanges is [{ account, symbol, decimals, before, after, delta }]
+ * and owners/threshold/modules each hold { before, after }.
+ */
+export async function simulateSafeTx(publicClient, safeAddress, txData, { tokens = [], accounts = [], decoded } = {}) {
+  // Unpack MultiSend batches so the failing call can be pinpointed
+  let calls;
+  if (
+    decoded?.calls &&
+    Number(txData.operation) === OPERATION_DELEGATECALL &&
+    isMultiSend(txData.to)
+  ) {
+    calls = decoded.calls.map((c) => ({ operation: c.operation, to: c.to, value: c.value, data: c.data }));
+  } else {
+    calls = [{
+      operation: Number(txData.operation ?? 0),
+      to: getAddress(txData.to),
+      value: BigInt(txData.value ?? 0),
+      data: txData.data || "0x",
+    }];
+  }
+
+  const assets = [{ address: zeroAddress, symbol: "ETH", decimals: 18 }, ...tokens];
+  const watched = [getAddress(safeAddress)];
+  for (const account of accounts) {
+    if (!watched.some((a) => isAddressEqual(a, account))) watched.push(getAddress(account));
+  }
+  const query = { tokens: assets.map((t) => t.address), accounts: watched };
+
+  // Both runs read the same block so the diff only reflects the transaction
+  const blockNumber = await publicClient.getBlockNumber();
+  const before = await runProbe(publicClient, safeAddress, { calls: [], ...query, blockNumber });
+  const after = await runProbe(publicClient, safeAddress, { calls, ...query, blockNumber });
+
+  const success = after.failedIndex === NO_FAILURE;
+  const result = {
+    success,
+    failedCall: success ? null : Number(after.failedIndex) + 1,
+    reason: success ? null : revertReason(after.failureData),
+    calls: calls.length,
+    balanceChanges: [],
+    owners: { before: before.owners, after: after.owners },
+    threshold: { before: before.threshold, after: after.threshold },
+    modules: { before: before.modules, after: after.modules },
+  };
+  if (!success) return result;
+
+  assets.forEach((asset, t) => {
+    watched.forEach((account, a) => {
+      const i = t * watched.length + a;
+      const delta = after.balances[i] - before.balances[i];
+      if (delta !== 0n) {
+        result.balanceChanges.push({
+          account,
+          symbol: asset.symbol,
+          decimals: asset.decimals,
+          before: before.balances[i],
+          after: after.balances[i],
+          delta,
+        });
+      }
+    });
+  });
+  return result;
+}
+
+function listDiff(before, after) {
+  const added = after.filter((a) => !before.some((b) => isAddressEqual(a, b)));
+  const removed = before.filter((b) => !after.some((a) => isAddressEqual(a, b)));
+  return { added, removed };
+}
+
+/**
+ * Render a simulation result as text lines.
+ * labels maps lowercase address -> name (e.g. "this Safe").
+ */
+export function formatSimulation(result, { labels = new Map(), indent = "" } = {}) {
+  const name = (address) => {
+    const label = labels.get(address.toLowerCase());
+    return label ? `${address} (${label})` : address;
+  };
+  const lines = [];
+
+  if (!result.success) {
+    const where = result.calls > 1 ? ` at call #${result.failedCall} of ${result.calls}` : "";
+    lines.push(`${indent}Result:    WOULD REVERT${where}: ${result.reason}`);
+    return lines;
+  }
+  lines.push(`${indent}Result:    success`);
+
+  if (result.balanceChanges.length === 0) {
+    lines.push(`${indent}Balances:  no changes`);
+  } else {
+    lines.push(`${indent}Balances:`);
+    for (const c of result.balanceChanges) {
+      const sign = c.delta > 0n ? "+" : "-";
+      const abs = c.delta > 0n ? c.delta : -c.delta;
+      const amount = c.symbol === "ETH" ? formatEther(abs) : formatUnits(abs, c.decimals);
+      lines.push(`${indent}  ${name(c.account)}: ${sign}${amount} ${c.symbol}`);
+    }
+  }
+
+  const owners = listDiff(result.owners.before, result.owners.after);
+  for (const a of owners.added) lines.push(`${indent}Owners:    + ${name(a)}`);
+  for (const r of owners.removed) lines.push(`${indent}Owners:    - ${name(r)}`);
+  if (result.threshold.before !== result.threshold.after) {
+    lines.push(
+      `${indent}Threshold: ${result.threshold.before}-of-${result.owners.before.length} -> ${result.threshold.after}-of-${result.owners.after.length}`
+    );
+  }
+  const modules = listDiff(result.modules.before, result.modules.after);
+  for (const a of modules.added) lines.push(`${indent}Modules:   + ${name(a)} enabled`);
+  for (const r of modules.removed) lines.push(`${indent}Modules:   - ${name(r)} disabled`);
+  const unchanged =
+    owners.added.length + owners.removed.length + modules.added.length + modules.removed.length === 0 &&
+    result.threshold.before === result.threshold.after;
+  if (unchanged) {
+    lines.push(`${indent}Safe:      owners, threshold and modules unchanged`);
+  }
+  return lines;
+}
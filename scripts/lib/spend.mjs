@@ -0,0 +1,275 @@
+/**
+ * spend.mjs — Pay a third party from the Safe within the agent's allowance
+ *
+ * The AllowanceModule lets a delegate send its allowance to any address.
+ * spendFromAllowance() is the one path the agent uses to do that:
+ *
+ *   1. refuse while the Safe is frozen
+ *   2. local policy (recipients.spend allowlist, tokens.*.maxPerPayment)
+ *   3. remaining on-chain allowance (amount - spent for the current period)
+ *   4. simulate executeAllowanceTransfer as the delegate
+ *   5. send it, wait for the receipt and append it to the ledger
+ *
+ * Steps 1-4 throw SpendRefusedError before anything is sent. Refused and
+ * failed payments are appended to the ledger too (dry runs are not); a
+ * failure after the transfer was handed to the relayer counts as failed,
+ * not refused, since it may have been sent. The delegate
+ * calls the module itself, so no transfer signature is needed, unless a
+ * relayer is configured: then steps 4-5 sign an authorization and the
+ * relayer submits it (see allowance-transfer.mjs).
+ */
+
+import { formatUnits, zeroAddress, parseAbi } from "viem";
+import { checkSpend } from "./policy.mjs";
+import { readFreezeMarker } from "./freeze.mjs";
+import { appendLedger, errorClass } from "./ledger.mjs";
+import { relayAllowanceTransfer, RelaySubmitError } from "./allowance-transfer.mjs";
+
+const ALLOWANCE_MODULE_ABI = parseAbi([
+  "function executeAllowanceTransfer(address safe, address token, address payable to, uint96 amount, address paymentToken, uint96 payment, address delegate, bytes signature)",
+  "function getTokenAllowance(address safe, address delegate, address token) view returns (uint256[5])",
+]);
+
+/**
+ * A payment that was refused before sending. violations holds the policy
+ * violations ({ rule, message, ... }) when the policy refused it.
+ */
+export class SpendRefusedError extends Error {
+  constructor(message, violations = []) {
+    super(message);
+    this.name = "SpendRefusedError";
+    this.violations = violations;
+  }
+}
+
+/**
+ * The delegate's allowance for one token in the current period.
+ * nextResetMin is null for one-time allowances.
+ */
+export async function readAllowance(publicClient, { moduleAddress, safeAddress, delegate, token }) {
+  const [amount, spent, resetTimeMin, lastResetMin, nonce] = await publicClient.readContract({
+    address: moduleAddress,
+    abi: ALLOWANCE_MODULE_ABI,
+    functionName: "getTokenAllowance",
+    args: [safeAddress, delegate, token],
+  });
+  return {
+    amount,
+    spent,
+    remaining: amount > spent ? amount - spent : 0n,
+    resetTimeMin: Number(resetTimeMin),
+    lastResetMin: Number(lastResetMin),
+    nonce: Number(nonce),
+    nextResetMin: resetTimeMin > 0n ? Number(lastResetMin + resetTimeMin) : null,
+  };
+}
+
+/**
+ * Pay `amount` (base units) of `token` ({ address, symbol, decimals };
+ * zeroAddress for ETH) to `to` from the Safe.
+ *
+ * gasless is gaslessConfig() or null. With dryRun, stops after simulating
+ * the direct call (no relayer is contacted). Returns { status, txHash,
+ * gasUsed, allowanceBefore, allowanceAfter, entry } where status is
+ * "simulated", "success" or "reverted" and entry is the ledger record.
+ * A payment that throws is recorded as "refused" or "failed" first.
+ */
+export async function spendFromAllowance(options) {
+  // Filled in as the payment progresses, for the ledger entry of a failure
+  const attempt = { allowanceBefore: null, txHash: null };
+  try {
+    return await sendPayment(options, attempt);
+  } catch (e) {
+    if (!options.dryRun) {
+      const { safeDir, safeAddress, walletClient, token, to, amount, memo = null } = options;
+      appendLedger(safeDir, {
+        kind: "spend",
+        status: e instanceof SpendRefusedError ? "refused" : "failed",
+        safe: safeAddress,
+        delegate: walletClient.account.address,
+        token: token.address,
+        symbol: token.symbol,
+        decimals: token.decimals,
+        to,
+        amount: formatUnits(amount, token.decimals),
+        txHash: attempt.txHash,
+        gasUsed: null,
+        allowanceBefore: attempt.allowanceBefore,
+        allowanceAfter: null,
+        error: e.shortMessage || e.message,
+        errorClass: errorClass(e),
+        memo,
+      });
+    }
+    throw e;
+  }
+}
+
+/**
+ * The payment itself; records allowanceBefore and txHash in `attempt` as
+ * soon as they are known.
+ */
+async function sendPayment({
+  publicClient,
+  walletClient,
+  safeDir,
+  policy,
+  safeAddress,
+  moduleAddress,
+  token,
+  to,
+  amount,
+  memo = null,
+  dryRun = false,
+  gasless = null,
+  scheme = "eth_sign",
+  log = () => {},
+}, attempt) {
+  const delegate = walletClient.account.address;
+  const fmt = (value) => `${formatUnits(value, token.decimals)} ${token.symbol}`;
+
+  // Before anything else, so a frozen Safe is refused even for a dry run
+  const frozen = readFreezeMarker(safeDir);
+  if (frozen) {
+    throw new SpendRefusedError(
+      `The Safe is frozen since ${frozen.frozenAt || "unknown time"}${frozen.reason ? ` (${frozen.reason})` : ""}`
+    );
+  }
+
+  if (amount <= 0n) {
+    throw new SpendRefusedError("Amount must be above 0");
+  }
+
+  const violations = checkSpend(policy, {
+    asset: token.address === zeroAddress ? "eth" : token.address.toLowerCase(),
+    decimals: token.decimals,
+    to,
+    amount,
+  });
+  if (violations.length > 0) {
+    throw new SpendRefusedError(`Policy refused paying ${fmt(amount)} to ${to}`, violations);
+  }
+
+  const allowance = await readAllowance(publicClient, {
+    moduleAddress,
+    safeAddress,
+    delegate,
+    token: token.address,
+  });
+  if (allowance.amount === 0n) {
+    throw new SpendRefusedError(`Delegate ${delegate} has no ${token.symbol} allowance on ${safeAddress}`);
+  }
+  const resets = allowance.nextResetMin
+    ? `resets ${new Date(allowance.nextResetMin * 60000).toISOString()}`
+    : "one-time allowance, does not reset";
+  log(`Allowance: ${fmt(allowance.remaining)} of ${fmt(allowance.amount)} left (${resets})`);
+  if (amount > allowance.remaining) {
+    throw new SpendRefusedError(
+      `Payment of ${fmt(amount)} exceeds the remaining allowance of ${fmt(allowance.remaining)} (${resets})`
+    );
+  }
+
+  const allowanceBefore = formatUnits(allowance.remaining, token.decimals);
+  attempt.allowanceBefore = allowanceBefore;
+  let txHash, status, gasUsed;
+  let relay = null;
+
+  if (gasless && !dryRun) {
+    log(`Paying ${fmt(amount)} to ${to} via relayer ${gasless.relayerUrl}...`);
+    let relayed;
+    try {
+      relayed = await relayAllowanceTransfer(publicClient, walletClient.account, {
+        gasless,
+        moduleAddress,
+        safeAddress,
+        token: token.address,
+        to,
+        amount,
+        scheme,
+        log,
+      });
+    } catch (e) {
+      if (e instanceof RelaySubmitError) {
+        attempt.txHash = e.txHash;
+        throw e;
+      }
+      // Quote, fee cap, signing or simulation: nothing was sent
+      throw new SpendRefusedError(`Gasless payment failed: ${e.shortMessage || e.message}`);
+    }
+    ({ txHash, status, gasUsed } = relayed);
+    relay = {
+      relayer: relayed.relayer,
+      paymentToken: gasless.paymentToken,
+      payment: formatUnits(relayed.payment, 18),
+    };
+    log(`Payment tx: ${txHash} (relayer fee ${relay.payment} ${gasless.paymentSymbol})`);
+  } else {
+    const args = [
+      safeAddress,   // safe
+      token.address, // token (address(0) = native ETH)
+      to,            // to
+      amount,        // amount (uint96)
+      zeroAddress,   // paymentToken (no gas payment)
+      0n,            // payment
+      delegate,      // delegate (msg.sender == delegate, no sig needed)
+      "0x",          // signature
+    ];
+
+    // Simulate first to avoid wasting gas on reverts
+    log(`Simulating payment of ${fmt(amount)} to ${to}...`);
+    try {
+      await publicClient.simulateContract({
+        address: moduleAddress,
+        abi: ALLOWANCE_MODULE_ABI,
+        functionName: "executeAllowanceTransfer",
+        args,
+        account: delegate,
+      });
+    } catch (e) {
+      throw new SpendRefusedError(`Simulation failed: ${e.shortMessage || e.message}`);
+    }
+    log("Simulation OK.");
+
+    if (dryRun) {
+      return { status: "simulated", txHash: null, gasUsed: null, allowanceBefore, allowanceAfter: null, entry: null };
+    }
+
+    txHash = await walletClient.writeContract({
+      address: moduleAddress,
+      abi: ALLOWANCE_MODULE_ABI,
+      functionName: "executeAllowanceTransfer",
+      args,
+    });
+    log(`Payment tx: ${txHash}`);
+    attempt.txHash = txHash;
+    const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
+    status = receipt.status === "success" ? "success" : "reverted";
+    gasUsed = receipt.gasUsed;
+  }
+
+  // The relayer fee also comes out of this allowance when paid in the same token
+  const after = (await readAllowance(publicClient, { moduleAddress, safeAddress, delegate, token: token.address })).remaining;
+  const allowanceAfter = formatUnits(after, token.decimals);
+
+  const entry = appendLedger(safeDir, {
+    kind: "spend",
+    status,
+    safe: safeAddress,
+    delegate,
+    token: token.address,
+    symbol: token.symbol,
+    decimals: token.decimals,
+    to,
+    amount: formatUnits(amount, token.decimals),
+    txHash,
+    gasUsed: gasUsed === null ? null : gasUsed.toString(),
+    allowanceBefore,
+    allowanceAfter,
+    error: status === "reverted" ? `Payment transaction ${txHash} reverted` : null,
+    errorClass: null,
+    ...(relay ? { relay } : {}),
+    memo,
+  });
+
+  return { status, txHash, gasUsed, allowanceBefore, allowanceAfter, entry };
+}
@@ -0,0 +1,124 @@
+/**
+ * stub-signer.mjs — Minimal JSON-RPC signer for exercising remote-signer.mjs
+ *
+ * Serves both method sets of remote-signer.mjs (clef and eth) on 127.0.0.1
+ * with a throwaway in-memory key, so the remote signer interface can be
+ * checked without Clef, a KMS or an HSM. Not for real funds: it signs every
+ * request without asking anyone.
+ *
+ * Modes, to check that the treasury side refuses a misbehaving signer:
+ *   sign      -- sign every request (default)
+ *   reject    -- answer every signing request with a JSON-RPC error
+ *   wrong-key -- sign with a different key than the one it lists
+ *   tamper    -- sign transactions with a changed value
+ */
+
+import { createServer } from "node:http";
+import { hexToBigInt, hexToNumber } from "viem";
+import { privateKeyToAccount, generatePrivateKey } from "viem/accounts";
+
+export const STUB_SIGNER_MODES = ["sign", "reject", "wrong-key", "tamper"];
+
+const ACCOUNT_METHODS = ["account_list", "eth_accounts"];
+
+/**
+ * Build a viem transaction from a JSON-RPC request (hex quantities).
+ */
+function transactionFromRequest(request, { tamper }) {
+  const quantity = (value) => (value === undefined ? undefined : hexToBigInt(value));
+  const transaction = {
+    chainId: hexToNumber(request.chainId),
+    to: request.to,
+    data: request.data || request.input,
+    value: (quantity(request.value) ?? 0n) + (tamper ? 1n : 0n),
+    nonce: request.nonce === undefined ? 0 : hexToNumber(request.nonce),
+    gas: quantity(request.gas),
+  };
+  if (request.maxFeePerGas !== undefined) {
+    return {
+      ...transaction,
+      type: "eip1559",
+      maxFeePerGas: quantity(request.maxFeePerGas),
+      maxPriorityFeePerGas: quantity(request.maxPriorityFeePerGas),
+    };
+  }
+  return { ...transaction, type: "legacy", gasPrice: quantity(request.gasPrice) };
+}
+
+/**
+ * Answer one JSON-RPC call. Throws for anything the stub does not serve.
+ */
+async function handle({ method, params }, { account, signingAccount, mode }) {
+  if (ACCOUNT_METHODS.includes(method)) return [account.address];
+  if (mode === "reject") throw new Error("Request denied");
+
+  switch (method) {
+    case "account_signData":
+      return signingAccount.signMessage({ message: { raw: params[2] } });
+    case "personal_sign":
+      return signingAccount.signMessage({ message: { raw: params[0] } });
+    case "account_signTypedData":
+    case "eth_signTypedData_v4": {
+      const typedData = typeof params[1] === "string" ? JSON.parse(params[1]) : params[1];
+      // viem derives the domain type itself and refuses an explicit one
+      const types = { ...typedData.types };
+      delete types.EIP712Domain;
+      return signingAccount.signTypedData({ ...typedData, types });
+    }
+    case "account_signTransaction":
+    case "eth_signTransaction": {
+      const raw = await signingAccount.signTransaction(
+        transactionFromRequest(params[0], { tamper: mode === "tamper" })
+      );
+      // Clef wraps the raw transaction, eth_signTransaction returns it as is
+      return method === "account_signTransaction" ? { raw, tx: {} } : raw;
+    }
+    default:
+      throw new Error(`Method ${method} not supported by the stub signer`);
+  }
+}
+
+/**
+ * Start a stub signer on a free local port. Returns { url, address, close }.
+ * privateKey defaults to a fresh random key.
+ */
+export async function startStubSigner({ privateKey = generatePrivateKey(), mode = "sign" } = {}) {
+  if (!STUB_SIGNER_MODES.includes(mode)) {
+    throw new Error(`Unknown stub signer mode "${mode}". Use one of: ${STUB_SIGNER_MODES.join(", ")}`);
+  }
+  const account = privateKeyToAccount(privateKey);
+  const signingAccount = mode === "wrong-key" ? privateKeyToAccount(generatePrivateKey()) : account;
+
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      let id = null;
+      let reply;
+      try {
+        const request = JSON.parse(body);
+        id = request.id ?? null;
+        reply = { result: await handle(request, { account, signingAccount, mode }) };
+      } catch (e) {
+        reply = { error: { code: -32000, message: e.message } };
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ jsonrpc: "2.0", id, ...reply }));
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    address: account.address,
+    close: () => new Promise((resolve) => {
+      server.close(() => resolve());
+      // fetch keeps connections alive, which would hold close() open
+      server.closeAllConnections();
+    }),
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * tx-service.mjs — Safe Transaction Service client (proposals, confirmations, queue)
+ *
+ * Optional in ~/morpheus/.env:
+ *   SAFE_TX_SERVICE=https://...   (default: safe-transaction-base.safe.global)
+ */
+
+import { zeroAddress } from "viem";
+
+// Safe Transaction Service for Base (read at call time, after loadEnv())
+export function txServiceUrl() {
+  return process.env.SAFE_TX_SERVICE || "https://safe-transaction-base.safe.global";
+}
+
+/**
+ * Submit a proposed transaction to the Safe Transaction Service.
+ */
+export async function submitToTxService(safeAddress, txData, safeTxHash, signature, senderAddress) {
+  const url = `${txServiceUrl()}/api/v1/safes/${safeAddress}/multisig-transactions/`;
+
+  const body = {
+    to: txData.to,
+    value: txData.value.toString(),
+    data: txData.data,
+    operation: txData.operation,
+    safeTxGas: "0",
+    baseGas: "0",
+    gasPrice: "0",
+    gasToken: zeroAddress,
+    refundReceiver: zeroAddress,
+    nonce: txData.nonce.toString(),
+    contractTransactionHash: safeTxHash,
+    sender: senderAddress,
+    signature: signature,
+  };
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Transaction Service error (${response.status}): ${errorText}`);
+  }
+
+  return response.status;
+}
+
+/**
+ * Submit a confirmation (signature) for an existing pending transaction.
+ */
+export async function submitConfirmation(safeTxHash, signature) {
+  const url = `${txServiceUrl()}/api/v1/multisig-transactions/${safeTxHash}/confirmations/`;
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ signature }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Confirmation error (${response.status}): ${errorText}`);
+  }
+
+  return response.status;
+}
+
+/**
+ * Fetch a paginated list and every page after it via `next`.
+ */
+async function fetchAllPages(url, what) {
+  const results = [];
+  for (let next = url; next; ) {
+    const response = await fetch(next);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${what}: ${response.status}`);
+    }
+    const data = await response.json();
+    results.push(...(data.results || []));
+    next = data.next || null;
+  }
+  return results;
+}
+
+/**
+ * Fetch the queue: unexecuted transactions at or above the Safe's current
+ * nonce, sorted by nonce, from every page. Lower nonces are spent and can
+ * never execute.
+ */
+export async function getQueuedTransactions(safeAddress, currentNonce) {
+  const url = `${txServiceUrl()}/api/v1/safes/${safeAddress}/multisig-transactions/?executed=false&nonce__gte=${currentNonce}&limit=100`;
+
+  const queued = await fetchAllPages(url, "queued txs");
+  return queued
+    .filter((tx) => BigInt(tx.nonce) >= currentNonce)
+    .sort((a, b) => (BigInt(a.nonce) < BigInt(b.nonce) ? -1 : BigInt(a.nonce) > BigInt(b.nonce) ? 1 : 0));
+}
+
+/**
+ * The nonce after the last queued transaction (or the current nonce if the
+ * queue is empty), so a new proposal does not replace anything.
+ */
+export function nextFreeNonce(queued, currentNonce) {
+  return queued.length > 0 ? BigInt(queued[queued.length - 1].nonce) + 1n : currentNonce;
+}
+
+/**
+ * When a transaction counts for a rolling window: when it executed, or when
+ * it was submitted if it is still queued (ms since the epoch).
+ */
+export function windowTimestamp(tx) {
+  return Date.parse(tx.isExecuted && tx.executionDate ? tx.executionDate : tx.submissionDate);
+}
+
+/**
+ * Fetch multisig transactions executed since the given time, or submitted
+ * since then and not executed yet. Follows every page, so a busy Safe
+ * cannot push older ones out of the window.
+ */
+export async function getRecentTransactions(safeAddress, since) {
+  const base = `${txServiceUrl()}/api/v1/safes/${safeAddress}/multisig-transactions/?limit=100`;
+  const [submitted, executed] = await Promise.all([
+    fetchAllPages(`${base}&submission_date__gte=${since.toISOString()}`, "recent txs"),
+    // Submitted before the window but executed inside it
+    fetchAllPages(`${base}&executed=true&execution_date__gte=${since.toISOString()}`, "recent txs"),
+  ]);
+
+  const byHash = new Map();
+  for (const tx of [...submitted, ...executed]) {
+    byHash.set(tx.safeTxHash.toLowerCase(), tx);
+  }
+  return [...byHash.values()].filter((tx) => windowTimestamp(tx) >= since.getTime());
+}
+
+/**
+ * Fetch a single multisig transaction (with confirmations) by safeTxHash.
+ */
+export async function getTransaction(safeTxHash) {
+  const url = `${txServiceUrl()}/api/v1/multisig-transactions/${safeTxHash}/`;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch transaction ${safeTxHash}: ${response.status}`);
+  }
+
+  return response.json();
+}